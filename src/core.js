@@ -10,31 +10,106 @@ import {
   FileUploadValidator,
   ErrorMessageConfig,
   removeHubSpotFormStyles,
+  registerPlugin,
+  DebugLogger,
+  MarkupAdapter,
+  SelectorRegistry,
+  MutationDispatcher,
+  PhoneCountries,
+  FieldRules,
+  EmailPolicy,
+  EmailSuggestions,
+  supportsHasSelector,
 } from './hubspot-forms.js';
 
 const CORE_STATE_KEY = '__HUBSPOT_FORMS_CORE_STATE__';
 
+function createCoreState() {
+  return {
+    classObserver: null,
+    positioningObserver: null,
+    formsObserver: null,
+    // Class/positioning observers attached to shadow roots as the manager discovers them
+    shadowObservers: [],
+    // Deferred behind ready(); replaced once settled so a later init gets a fresh one
+    readiness: null,
+    pendingInitialization: false,
+    // Bumped by destroyCore() so a deferred initialization can tell it was cancelled
+    generation: 0,
+  };
+}
+
 function getCoreState() {
   if (typeof window === 'undefined') {
     return null;
   }
 
   if (!window[CORE_STATE_KEY]) {
-    window[CORE_STATE_KEY] = {
-      classObserver: null,
-      positioningObserver: null,
-      pendingInitialization: false,
-    };
+    window[CORE_STATE_KEY] = createCoreState();
   }
 
   return window[CORE_STATE_KEY];
 }
 
+function createReadiness() {
+  const readiness = { settled: false };
+
+  readiness.promise = new Promise((resolve, reject) => {
+    readiness.resolve = (forms) => {
+      readiness.settled = true;
+      resolve(forms);
+    };
+    readiness.reject = (error) => {
+      readiness.settled = true;
+      reject(error);
+    };
+  });
+
+  // Nobody may be listening; only callers of ready() should see the rejection
+  readiness.promise.catch(() => {});
+
+  return readiness;
+}
+
+function getReadiness(coreState) {
+  if (!coreState.readiness) {
+    coreState.readiness = createReadiness();
+  }
+
+  return coreState.readiness;
+}
+
+// Elements under root, limited to forms matching formSelector when one is given
+function queryInScope(root, selector, formSelector = null) {
+  const elements = Array.from(root.querySelectorAll(selector));
+
+  return formSelector
+    ? elements.filter(el => HubSpotFormManager.isInFormScope(el, formSelector))
+    : elements;
+}
+
+// In-scope forms (.hsfc-Form or legacy form.hs-form) at or under node, including open
+// shadow roots when the manager looks there
+function findForms(manager, node) {
+  return manager.getSearchRoots(node)
+    .flatMap(searchRoot => MarkupAdapter.findForms(searchRoot))
+    .filter(form => manager.isInFormScope(form));
+}
+
+// Element or selector; null when a selector matches nothing yet
+function resolveRoot(rootOption) {
+  if (typeof rootOption === 'string') {
+    return document.querySelector(rootOption);
+  }
+
+  return rootOption || document;
+}
+
 /**
  * Hide native HubSpot character limit errors
  */
-export function hideNativeCharLimitErrors(root = document) {
-  root.querySelectorAll('.hsfc-hs-form-errorAlert').forEach(el => {
+export function hideNativeCharLimitErrors(root = document, formSelector = null) {
+  queryInScope(root, SelectorRegistry.get('nativeCharLimitError'), formSelector).forEach(el => {
     if (
       el.textContent.includes('Enter 500 characters or fewer') ||
       el.textContent.includes('enter 500 characters or fewer')
@@ -44,60 +119,102 @@ export function hideNativeCharLimitErrors(root = document) {
   });
 }
 
+const hasValidationOrProgress = el =>
+  !!el.querySelector('.hsfc-CustomValidationError, .hsfc-ProgressBar--repositioned');
+
+/**
+ * Classes standing in for :has() selectors: the element matching selector gets className
+ * while test(element) is true. None are needed where :has() is supported; the error
+ * summary's fieldLabel selector then uses :has() too (SelectorRegistry.nativeHasSelectors).
+ */
+function getHasReplacementRules() {
+  if (supportsHasSelector()) return [];
+
+  const selectors = SelectorRegistry.hsfc;
+
+  return [
+    { selector: selectors.step, className: 'hsfc-step-with-validation-and-progress', test: hasValidationOrProgress },
+    { selector: selectors.stepContent, className: 'hsfc-content-with-validation-and-progress', test: hasValidationOrProgress },
+    { selector: 'label', className: 'hsfc-label-without-required', test: label => !label.querySelector(selectors.requiredIndicator) },
+    { selector: selectors.row, className: 'hsfc-row-with-form-inputs', test: row => !!row.querySelector('input, select, textarea') },
+  ];
+}
+
 /**
  * Toggle classes that replace :has() selectors for broader browser support
  */
-export function toggleHasReplacementClasses(root = document) {
-  root.querySelectorAll('.hsfc-Step').forEach(step => {
-    const hasValidation = step.querySelector('.hsfc-CustomValidationError, .hsfc-ProgressBar--repositioned');
-    step.classList.toggle('hsfc-step-with-validation-and-progress', !!hasValidation);
+export function toggleHasReplacementClasses(root = document, formSelector = null) {
+  getHasReplacementRules().forEach(({ selector, className, test }) => {
+    queryInScope(root, selector, formSelector).forEach(el => {
+      el.classList.toggle(className, test(el));
+    });
   });
+}
 
-  root.querySelectorAll('.hsfc-Step__Content').forEach(content => {
-    const hasValidation = content.querySelector('.hsfc-CustomValidationError, .hsfc-ProgressBar--repositioned');
-    content.classList.toggle('hsfc-content-with-validation-and-progress', !!hasValidation);
-  });
+/**
+ * Re-evaluate only node and its ancestors up to the form: the elements whose :has()
+ * condition a mutation at node can change
+ */
+export function updateHasReplacementClasses(node, formSelector = null, rules = getHasReplacementRules()) {
+  if (formSelector && !HubSpotFormManager.isInFormScope(node, formSelector)) return;
 
-  root.querySelectorAll('label').forEach(label => {
-    const hasRequired = label.querySelector('.hsfc-FieldLabel__RequiredIndicator');
-    label.classList.toggle('hsfc-label-without-required', !hasRequired);
-  });
+  for (let el = node; el; el = el.parentElement) {
+    rules.forEach(({ selector, className, test }) => {
+      if (el.matches(selector)) {
+        el.classList.toggle(className, test(el));
+      }
+    });
 
-  root.querySelectorAll('.hsfc-Row').forEach(row => {
-    const hasInput = row.querySelector('input, select, textarea');
-    row.classList.toggle('hsfc-row-with-form-inputs', !!hasInput);
-  });
+    if (el.matches(MarkupAdapter.FORM_SELECTOR)) break;
+  }
 }
 
 /**
  * Setup mutation observer for class toggles and error hiding
  */
-export function setupClassObserver() {
+export function setupClassObserver(root = document.body, { hideCharLimitErrors = true, formSelector = null } = {}) {
   if (typeof window === 'undefined') return null;
-  
-  const hasClassObserver = new MutationObserver(mutations => {
+
+  // With native :has() there are no fallback classes to keep current, so attribute changes
+  // aren't observed at all and childList only matters for the character-limit errors
+  const fallbackClasses = !supportsHasSelector();
+  if (!fallbackClasses && !hideCharLimitErrors) {
+    return { disconnect() {} };
+  }
+
+  // Attribute changes arrive coalesced per animation frame, so a burst of class toggles re-queries once
+  const hasClassObserver = MutationDispatcher.subscribe(root, mutations => {
+    const rules = getHasReplacementRules();
+    // Elements whose ancestor chain needs re-evaluating, each walked once per batch
+    const changed = new Set();
+
     for (const mutation of mutations) {
+      if (mutation.target && mutation.target.nodeType === Node.ELEMENT_NODE) {
+        changed.add(mutation.target);
+      }
+
       if (mutation.type === 'childList') {
         mutation.addedNodes.forEach(node => {
           if (node.nodeType === Node.ELEMENT_NODE) {
-            toggleHasReplacementClasses(node);
-            hideNativeCharLimitErrors(node);
+            // New markup needs its own classes; querySelectorAll skips node itself
+            toggleHasReplacementClasses(node, formSelector);
+            changed.add(node);
+            if (hideCharLimitErrors) hideNativeCharLimitErrors(node, formSelector);
           }
         });
       } else if (mutation.type === 'attributes') {
         if (mutation.target && mutation.target.nodeType === Node.ELEMENT_NODE) {
-          toggleHasReplacementClasses(mutation.target);
-          hideNativeCharLimitErrors(mutation.target);
+          if (hideCharLimitErrors) hideNativeCharLimitErrors(mutation.target, formSelector);
         }
       }
     }
-  });
-  
-  hasClassObserver.observe(document.body, {
+
+    changed.forEach(el => {
+      if (el.isConnected) updateHasReplacementClasses(el, formSelector, rules);
+    });
+  }, {
     childList: true,
-    subtree: true,
-    attributes: true,
-    attributeFilter: ['class', 'id', 'type', 'name']
+    attributes: fallbackClasses ? ['class', 'id', 'type', 'name'] : false
   });
   
   return hasClassObserver;
@@ -107,11 +224,13 @@ export function setupClassObserver() {
  * Position progress bars immediately to prevent layout shifts
  * Also deduplicates IDs to fix WCAG violations
  */
-export function positionElementsImmediately() {
-  document.querySelectorAll('.hsfc-ProgressBar').forEach((progressBar, index) => {
+export function positionElementsImmediately(root = document, formSelector = null) {
+  const selectors = SelectorRegistry.hsfc;
+
+  queryInScope(root, selectors.progressBar, formSelector).forEach((progressBar, index) => {
     if (progressBar.hasAttribute('data-repositioned')) return;
     
-    const step = progressBar.closest('.hsfc-Step');
+    const step = progressBar.closest(selectors.step);
     if (!step) return;
     
     // Make ID unique by appending step index to prevent duplicate IDs
@@ -122,8 +241,11 @@ export function positionElementsImmediately() {
     progressBar.setAttribute('data-repositioned', 'true');
     progressBar.remove();
     
-    const stepContent = step.querySelector('.hsfc-Step__Content') || step;
-    const firstFormField = stepContent.querySelector('.hsfc-Row:has(input, select, textarea), .hsfc-FormField, .hs-form-field, input, select, textarea');
+    const stepContent = step.querySelector(selectors.stepContent) || step;
+    // First field container, input or row holding an input, in document order
+    const firstFormField = Array.from(
+      stepContent.querySelectorAll(`${selectors.row}, ${selectors.field}, input, select, textarea`)
+    ).find(el => !el.matches(selectors.row) || el.querySelector('input, select, textarea'));
     const existingValidationError = stepContent.querySelector('.hsfc-CustomValidationError');
     
     if (existingValidationError) {
@@ -143,8 +265,8 @@ export function positionElementsImmediately() {
 /**
  * Add styling class to character limit warnings
  */
-export function styleCharacterLimitWarnings() {
-  document.querySelectorAll('.hsfc-CustomValidationError').forEach(el => {
+export function styleCharacterLimitWarnings(root = document, formSelector = null) {
+  queryInScope(root, '.hsfc-CustomValidationError', formSelector).forEach(el => {
     if (
       el.textContent.includes('Enter 500 characters or fewer') ||
       el.textContent.includes('enter 500 characters or fewer')
@@ -157,110 +279,165 @@ export function styleCharacterLimitWarnings() {
 /**
  * Setup mutation observer for progress bar positioning
  */
-export function setupPositioningObserver() {
-  const positioningObserver = new MutationObserver((mutations) => {
+export function setupPositioningObserver(root = document.body, { formSelector = null } = {}) {
+  const positioningObserver = MutationDispatcher.subscribe(root, (mutations) => {
     for (const mutation of mutations) {
       if (mutation.type === 'childList') {
         for (const addedNode of mutation.addedNodes) {
           if (addedNode.nodeType === Node.ELEMENT_NODE) {
-            if (addedNode.classList?.contains('hsfc-ProgressBar')) {
-              positionElementsImmediately();
+            const progressBarSelector = SelectorRegistry.get('progressBar');
+            if (addedNode.matches?.(progressBarSelector)) {
+              positionElementsImmediately(root, formSelector);
             }
-            const progressBars = addedNode.querySelectorAll?.('.hsfc-ProgressBar');
+            const progressBars = addedNode.querySelectorAll?.(progressBarSelector);
             if (progressBars?.length > 0) {
-              positionElementsImmediately();
+              positionElementsImmediately(root, formSelector);
             }
           }
         }
       }
     }
-  });
-
-  positioningObserver.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+  }, { childList: true });
   
   return positioningObserver;
 }
 
 /**
- * Wait for safe initialization (React hydration safety)
+ * Wait for safe initialization (React hydration safety).
+ * onTimeout() runs instead of callback when the page isn't hydration-safe within timeout ms
+ * (a [data-react-hydration-error] marker can stay in the DOM for good).
  */
-export function whenSafeToInitialize(callback) {
+export function whenSafeToInitialize(callback, { timeout = null, onTimeout = null } = {}) {
   if (typeof window === 'undefined') return;
-  
-  const executeCallback = () => {
-    const isHydrationSafe = () => {
-      if (document.readyState !== 'complete') return false;
-      if (document.documentElement.classList.contains('react-hydrating')) return false;
-      if (document.querySelector('[data-react-hydration-error]')) return false;
-      return true;
-    };
-    
-    if (isHydrationSafe()) {
-      if (typeof window.requestIdleCallback === 'function') {
-        window.requestIdleCallback(() => {
-          setTimeout(callback, 50);
-        });
-      } else {
-        setTimeout(callback, 100);
-      }
+
+  let subscription = null;
+  let timer = null;
+  let markers = [];
+
+  // Markers already seen are rechecked before the document is queried again, so a lasting
+  // hydration error doesn't cost a querySelectorAll per mutation batch
+  const isHydrationSafe = () => {
+    if (document.documentElement.classList.contains('react-hydrating')) return false;
+    if (markers.some(marker => marker.isConnected && marker.hasAttribute('data-react-hydration-error'))) {
+      return false;
+    }
+
+    markers = Array.from(document.querySelectorAll('[data-react-hydration-error]'));
+    return markers.length === 0;
+  };
+
+  const stopWaiting = () => {
+    window.removeEventListener('load', waitForHydration);
+    if (subscription) subscription.disconnect();
+    clearTimeout(timer);
+  };
+
+  const runWhenIdle = () => {
+    stopWaiting();
+
+    if (typeof window.requestIdleCallback === 'function') {
+      window.requestIdleCallback(() => callback());
     } else {
-      setTimeout(executeCallback, 100);
+      setTimeout(callback, 0);
     }
   };
-  
-  executeCallback();
+
+  // Wait for the load event, then for the hydration markers to go away, instead of polling
+  const waitForHydration = () => {
+    if (isHydrationSafe()) {
+      runWhenIdle();
+      return;
+    }
+
+    subscription = MutationDispatcher.subscribe(document.documentElement, () => {
+      if (isHydrationSafe()) runWhenIdle();
+    }, { childList: true, attributes: ['class', 'data-react-hydration-error'] });
+  };
+
+  if (timeout != null) {
+    timer = setTimeout(() => {
+      stopWaiting();
+      if (onTimeout) onTimeout();
+    }, timeout);
+  }
+
+  if (document.readyState === 'complete') {
+    waitForHydration();
+  } else {
+    window.addEventListener('load', waitForHydration, { once: true });
+  }
 }
 
 /**
  * Setup form initialization with dynamic form observer
+ * Returns the waiting observer, or null when forms were already present.
+ * onSettled(error, forms) reports the enhanced forms, or an error if none appeared in time.
  */
-export function setupForms() {
-  const hubspotForms = document.querySelectorAll('.hsfc-Form');
+export function setupForms(manager = HubSpotFormManager, root = document, formOptions = {}, onSettled = null) {
+  const hubspotForms = findForms(manager, root);
+  const timeout = HubSpotFormManager.FORM_READY_TIMEOUT_MS;
+
+  const enhanceAll = () => {
+    manager.setupAllForms(root, formOptions);
+
+    if (onSettled) {
+      const forms = findForms(manager, root);
+      onSettled(null, forms.filter(form => manager.activeForms.has(form)));
+    }
+  };
   
   if (hubspotForms.length > 0) {
-    HubSpotFormManager.setupAllForms();
-    return;
+    enhanceAll();
+    return null;
   }
 
-  // If no forms found immediately, set up observer for dynamic forms
-  const observer = new MutationObserver((mutations) => {
+  let timer = null;
+
+  // If no forms found immediately, subscribe to added nodes for dynamic forms
+  const onMutations = (mutations) => {
     for (const mutation of mutations) {
       if (mutation.type !== 'childList') continue;
       
       for (const addedNode of mutation.addedNodes) {
         if (addedNode.nodeType === Node.ELEMENT_NODE) {
-          const newForms = addedNode.classList?.contains('hsfc-Form') ? 
-            [addedNode] : 
-            addedNode.querySelectorAll?.('.hsfc-Form') || [];
-          
-          if (newForms.length > 0) {
+          if (findForms(manager, addedNode).length > 0) {
             observer.disconnect();
-            HubSpotFormManager.setupAllForms();
+            clearTimeout(timer);
+            enhanceAll();
             return;
           }
         }
       }
     }
-  });
+  };
 
-  observer.observe(document.body, {
-    childList: true,
-    subtree: true
-  });
+  // A form rendered later inside an existing shadow root never reaches the document subscription
+  const subscriptions = [root === document ? document.body : root]
+    .concat(manager.discoverShadowRoots ? manager.findOpenShadowRoots(root) : [])
+    .map(target => MutationDispatcher.subscribe(target, onMutations, { childList: true }));
 
-  setTimeout(() => {
+  const observer = {
+    disconnect: () => subscriptions.forEach(subscription => subscription.disconnect()),
+  };
+
+  timer = setTimeout(() => {
     observer.disconnect();
-  }, 10000);
+
+    if (onSettled) {
+      onSettled(new Error(`No HubSpot form (${MarkupAdapter.FORM_SELECTOR}) appeared within ${timeout}ms`), []);
+    }
+  }, timeout);
+
+  return observer;
 }
 
 /**
  * Apply configuration options
  */
 export function applyConfiguration(options = {}) {
+  DebugLogger.configure(options.debug, options.logger);
   HubSpotFormManager.configureMobileStepScrollReset(options.mobileStepScrollReset);
+  HubSpotFormManager.configureFeatures(options.features);
 
   if (options.characterLimit) {
     CharacterLimitValidator.DEFAULT_LIMIT = options.characterLimit;
@@ -285,6 +462,42 @@ export function applyConfiguration(options = {}) {
   if (typeof options.strictErrorSummaryOrdering === 'boolean') {
     HubSpotFormValidator.strictErrorSummaryOrdering = options.strictErrorSummaryOrdering;
   }
+
+  if ('formSelector' in options) {
+    HubSpotFormManager.formSelector = options.formSelector || null;
+  }
+
+  if ('shadowRoots' in options) {
+    HubSpotFormManager.discoverShadowRoots = !!options.shadowRoots;
+  }
+
+  if ('adoptStyles' in options) {
+    HubSpotFormManager.adoptStyles = options.adoptStyles || false;
+  }
+
+  if ('selectors' in options) {
+    SelectorRegistry.configure(options.selectors);
+  }
+
+  if ('phone' in options) {
+    PhoneCountries.configure(options.phone);
+  }
+
+  if ('rules' in options) {
+    FieldRules.configure(options.rules);
+  }
+
+  if ('emailPolicy' in options) {
+    EmailPolicy.configure(options.emailPolicy);
+  }
+
+  if ('emailSuggestions' in options) {
+    EmailSuggestions.configure(options.emailSuggestions);
+  }
+
+  if (Array.isArray(options.plugins)) {
+    options.plugins.forEach(registerPlugin);
+  }
 }
 
 /**
@@ -293,36 +506,243 @@ export function applyConfiguration(options = {}) {
 export function initializeCore(options = {}) {
   if (typeof window === 'undefined') return;
 
+  // Apply configuration first so a selectors override reaches the style removal
+  applyConfiguration(options);
+
   // Always remove HubSpot injected styles
   removeHubSpotFormStyles();
 
-  // Apply configuration
-  applyConfiguration(options);
-
   const coreState = getCoreState();
   if (!coreState || coreState.pendingInitialization) {
     return;
   }
 
+  const root = resolveRoot(options.root);
+  if (!root) {
+    DebugLogger.log('root-not-found', { root: options.root });
+    rejectRootNotFound(coreState, options.root);
+    return;
+  }
+
+  runCoreInitialization(coreState, HubSpotFormManager, root);
+}
+
+// ready() callers would otherwise wait forever: no form observer is started without a root
+function rejectRootNotFound(coreState, rootOption) {
+  if (coreState.readiness?.settled) {
+    coreState.readiness = null;
+  }
+
+  getReadiness(coreState).reject(new Error(`Root not found: no element matches "${rootOption}"`));
+}
+
+/**
+ * Hydration-safe setup of observers and forms inside root, tracked in coreState.
+ * Shared by initializeCore() and createFormEnhancer() instances.
+ */
+function runCoreInitialization(coreState, manager, root, formOptions = {}) {
   coreState.pendingInitialization = true;
+  const generation = coreState.generation;
 
-  // Defer all DOM mutations until hydration-safe state.
+  if (coreState.readiness?.settled) {
+    coreState.readiness = null;
+  }
+  const observerRoot = root === document ? document.body : root;
+
+  const timeout = HubSpotFormManager.FORM_READY_TIMEOUT_MS;
+
+  // Defer all DOM mutations until hydration-safe state; ready() rejects if that takes longer
+  // than the window setupForms() gives forms to appear.
   whenSafeToInitialize(() => {
-    toggleHasReplacementClasses();
-    hideNativeCharLimitErrors();
+    // destroyCore() ran while we were waiting
+    if (generation !== coreState.generation) return;
+
+    // HubSpot's own onFormReady signal can start enhancement before the DOM observer sees the form
+    manager.installLifecycleBridge(root, formOptions);
+
+    const characterLimit = manager.isFeatureEnabled('characterLimit');
+    const progressBar = manager.isFeatureEnabled('progressBar');
+    const { formSelector } = manager;
+
+    toggleHasReplacementClasses(root, formSelector);
+    if (characterLimit) hideNativeCharLimitErrors(root, formSelector);
 
     if (!coreState.classObserver) {
-      coreState.classObserver = setupClassObserver();
+      coreState.classObserver = setupClassObserver(observerRoot, {
+        hideCharLimitErrors: characterLimit,
+        formSelector,
+      });
     }
 
-    positionElementsImmediately();
-    styleCharacterLimitWarnings();
+    if (progressBar) positionElementsImmediately(root, formSelector);
+    if (characterLimit) styleCharacterLimitWarnings(root, formSelector);
 
-    if (!coreState.positioningObserver) {
-      coreState.positioningObserver = setupPositioningObserver();
+    if (progressBar && !coreState.positioningObserver) {
+      coreState.positioningObserver = setupPositioningObserver(observerRoot, { formSelector });
     }
 
-    setupForms();
+    // Document-level observers can't see into shadow roots, so each one found gets its own
+    manager._onShadowRootSetup = (shadowRoot) => {
+      if (shadowRoot === root) return;
+
+      toggleHasReplacementClasses(shadowRoot, formSelector);
+      coreState.shadowObservers.push(setupClassObserver(shadowRoot, {
+        hideCharLimitErrors: characterLimit,
+        formSelector,
+      }));
+
+      if (characterLimit) {
+        hideNativeCharLimitErrors(shadowRoot, formSelector);
+        styleCharacterLimitWarnings(shadowRoot, formSelector);
+      }
+
+      if (progressBar) {
+        positionElementsImmediately(shadowRoot, formSelector);
+        coreState.shadowObservers.push(setupPositioningObserver(shadowRoot, { formSelector }));
+      }
+    };
+
+    coreState.formsObserver = setupForms(manager, root, formOptions, (error, forms) => {
+      if (generation !== coreState.generation) return;
+
+      const readiness = getReadiness(coreState);
+      if (error) {
+        readiness.reject(error);
+      } else {
+        readiness.resolve(forms);
+      }
+    });
     coreState.pendingInitialization = false;
+  }, {
+    timeout,
+    onTimeout: () => {
+      if (generation !== coreState.generation) return;
+
+      coreState.pendingInitialization = false;
+      DebugLogger.log('hydration-timeout', { timeout });
+      getReadiness(coreState).reject(new Error(`React hydration did not finish within ${timeout}ms`));
+    },
+  });
+}
+
+function teardownCore(coreState, manager) {
+  ['classObserver', 'positioningObserver', 'formsObserver'].forEach(key => {
+    if (coreState[key]) {
+      coreState[key].disconnect();
+      coreState[key] = null;
+    }
   });
+
+  coreState.shadowObservers.forEach(observer => observer.disconnect());
+  coreState.shadowObservers = [];
+  manager._onShadowRootSetup = null;
+
+  coreState.pendingInitialization = false;
+  coreState.generation += 1;
+
+  if (coreState.readiness && !coreState.readiness.settled) {
+    coreState.readiness.reject(new Error('Enhancements were destroyed before forms were ready'));
+  }
+  coreState.readiness = null;
+
+  manager.destroyAll();
+}
+
+/**
+ * Undo initializeCore(): disconnect every observer, tear down all enhanced
+ * forms and restore the native scrollIntoView. Safe to call more than once.
+ */
+export function destroyCore() {
+  if (typeof window === 'undefined') return;
+
+  teardownCore(getCoreState(), HubSpotFormManager);
+}
+
+/**
+ * Resolves with the enhanced forms once init()'s setupForms() has run; rejects if no
+ * form appears within HubSpotFormManager.FORM_READY_TIMEOUT_MS or destroy() runs first.
+ */
+export function ready() {
+  if (typeof window === 'undefined') {
+    return Promise.reject(new Error('ready() requires a browser environment'));
+  }
+
+  return getReadiness(getCoreState()).promise;
+}
+
+/**
+ * Resolves with the form once it (or the first form inside a wrapper) is enhanced
+ */
+export function whenFormReady(formContainer, timeout) {
+  return HubSpotFormManager.whenFormReady(formContainer, timeout);
+}
+
+/**
+ * Create an isolated enhancer with its own manager, observers and config.
+ * Nothing is stored on window and the module-wide defaults are left untouched,
+ * so several instances (or micro-frontends) can coexist on one page.
+ *
+ * options.root scopes the instance to an element, shadow root or selector, options.formSelector
+ * narrows it to matching forms, options.shadowRoots/adoptStyles control shadow DOM handling and options.features applies to all of its forms; every other option becomes a per-form default,
+ * overridable per form via setupForm().
+ */
+export function createFormEnhancer(options = {}) {
+  const {
+    root: rootOption,
+    formSelector,
+    shadowRoots,
+    adoptStyles,
+    mobileStepScrollReset,
+    features,
+    ...formOptions
+  } = options;
+  const manager = HubSpotFormManager.createInstance({
+    formSelector,
+    shadowRoots,
+    adoptStyles,
+    mobileStepScrollReset,
+    features,
+  });
+  const coreState = createCoreState();
+
+  return {
+    manager,
+
+    init() {
+      if (typeof window === 'undefined' || coreState.pendingInitialization) return;
+
+      // Resolved lazily so a selector can point at markup rendered after creation
+      const root = resolveRoot(rootOption);
+      if (!root) {
+        rejectRootNotFound(coreState, rootOption);
+        return;
+      }
+
+      removeHubSpotFormStyles();
+      runCoreInitialization(coreState, manager, root, formOptions);
+    },
+
+    setupForm(formContainer, overrides = {}) {
+      removeHubSpotFormStyles();
+      manager.setupSingleForm(formContainer, { ...formOptions, ...overrides });
+    },
+
+    destroyForm(formContainer) {
+      manager.destroyForm(formContainer);
+    },
+
+    ready() {
+      return getReadiness(coreState).promise;
+    },
+
+    whenFormReady(formContainer, timeout) {
+      return manager.whenFormReady(formContainer, timeout);
+    },
+
+    destroy() {
+      if (typeof window === 'undefined') return;
+
+      teardownCore(coreState, manager);
+    },
+  };
 }
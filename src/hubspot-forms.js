@@ -1,24 +1,23 @@
-const removeHubSpotFormStyles = () => {
+// root may be a shadow root when the embed renders inside a web component
+const removeHubSpotFormStyles = (root = document) => {
   // Constants for HubSpot BaseStyle CSS removal
-  const HUBSPOT_BASESTYLE_SELECTOR = 'style[data-hsfc-id="BaseStyle"]';
+  const HUBSPOT_BASESTYLE_SELECTOR = SelectorRegistry.get("baseStyle");
   const OBSERVER_TIMEOUT_MS = 10000;
-  const HUBSPOT_DATA_ATTR = "data-hsfc-id";
-  const HUBSPOT_BASESTYLE_VALUE = "BaseStyle";
 
   // Helper function to check if a node is the target HubSpot style element
   const isHubSpotBaseStyleElement = (node) => {
     return (
       node.nodeType === Node.ELEMENT_NODE &&
-      node.tagName === "STYLE" &&
-      node.getAttribute(HUBSPOT_DATA_ATTR) === HUBSPOT_BASESTYLE_VALUE
+      node.matches(HUBSPOT_BASESTYLE_SELECTOR)
     );
   };
 
   // Function to remove HubSpot BaseStyle CSS
   const removeHubSpotBaseStyle = () => {
-    const hsBaseFormCss = document.querySelector(HUBSPOT_BASESTYLE_SELECTOR);
+    const hsBaseFormCss = root.querySelector(HUBSPOT_BASESTYLE_SELECTOR);
     if (hsBaseFormCss) {
       hsBaseFormCss.remove();
+      Diagnostics.baseStylesRemoved += 1;
       return true;
     }
     return false;
@@ -31,8 +30,8 @@ const removeHubSpotFormStyles = () => {
 
   // Try to remove immediately
   if (!removeHubSpotBaseStyle()) {
-    // Set up a MutationObserver to watch for the style element being added
-    const observer = new MutationObserver((mutations) => {
+    // Watch for the style element being added
+    const observer = MutationDispatcher.subscribe(root, (mutations) => {
       for (const mutation of mutations) {
         if (mutation.type !== "childList") continue;
 
@@ -40,6 +39,7 @@ const removeHubSpotFormStyles = () => {
           // Direct match: added node is the target style element
           if (isHubSpotBaseStyleElement(addedNode)) {
             addedNode.remove();
+            Diagnostics.baseStylesRemoved += 1;
             handleStyleRemoved(observer);
             return;
           }
@@ -56,13 +56,7 @@ const removeHubSpotFormStyles = () => {
           }
         }
       }
-    });
-
-    // Start observing the document for changes
-    observer.observe(document, {
-      childList: true,
-      subtree: true,
-    });
+    }, { childList: true });
 
     // Set a timeout to stop observing if element isn't found
     setTimeout(() => {
@@ -71,1006 +65,3030 @@ const removeHubSpotFormStyles = () => {
   }
 };
 
-const FieldValidator = {
-  /** @param {HTMLElement} field @param {HTMLElement} container @returns {boolean} */
-  isFieldValid(field, container) {
-    switch (field.type) {
-      case "checkbox":
-        return this._validateCheckboxField(field, container);
-      case "radio":
-        return this._validateRadioField(field, container);
-      case "tel":
-        return this._validateTelField(field);
-      case "file":
-        return this._validateFileField(field);
-      default:
-        return this._validateTextBasedField(field);
+// Namespaced lifecycle events dispatched from each enhanced .hsfc-Form element
+const FORM_EVENTS = {
+  ENHANCED: "hsfc:enhanced",
+  STEP_CHANGE: "hsfc:step-change",
+  VALIDATION_FAILED: "hsfc:validation-failed",
+  FILE_REJECTED: "hsfc:file-rejected",
+  SUBMISSION_ERROR: "hsfc:submission-error",
+  BEFORE_SUBMIT: "hsfc:before-submit",
+  SUBMITTED: "hsfc:submitted",
+};
+
+// Bubbles and crosses shadow boundaries so page-level analytics listeners can catch it
+const dispatchFormEvent = (formContainer, type, detail = {}) => {
+  if (!formContainer || typeof CustomEvent === "undefined") {
+    return;
+  }
+
+  formContainer.dispatchEvent(
+    new CustomEvent(type, {
+      bubbles: true,
+      composed: true,
+      detail: { formContainer, ...detail },
+    }),
+  );
+};
+
+// Opt-in structured logging (init({ debug: true, logger })). Entries are
+// { event, ...details }; the default logger prints them with console.debug.
+const DebugLogger = {
+  enabled: false,
+  logger: null,
+
+  configure(debug, logger) {
+    if (typeof debug === "boolean") {
+      this.enabled = debug;
     }
-  },
 
-  /** @param {HTMLElement} field @param {HTMLElement} container @returns {boolean} */
-  isFieldInvalid(field, container) {
-    return !this.isFieldValid(field, container);
+    if (typeof logger === "function" || (logger && typeof logger.debug === "function")) {
+      this.logger = logger;
+    } else if (logger === null) {
+      this.logger = null;
+    }
   },
 
-  /** @param {HTMLElement} field @param {HTMLElement} container @returns {boolean} */
-  needsValidation(field, container) {
-    return this.isFieldInvalid(field, container);
-  },
+  log(event, details = {}) {
+    if (!this.enabled) {
+      return;
+    }
 
-  /** @param {HTMLElement} field @returns {boolean} */
-  isGroupField(field) {
-    return field.type === "radio" || field.type === "checkbox";
-  },
+    const entry = { event, ...details };
 
-  /** @param {HTMLElement} field @param {HTMLElement} container @returns {NodeList} */
-  getFieldGroup(field, container) {
-    return container.querySelectorAll(`input[name="${field.name}"]`);
+    try {
+      if (typeof this.logger === "function") {
+        this.logger(entry);
+      } else if (this.logger) {
+        this.logger.debug(`[hsfc] ${event}`, entry);
+      } else if (typeof console !== "undefined") {
+        console.debug(`[hsfc] ${event}`, entry);
+      }
+    } catch (e) {
+      // A broken logger must not break the form
+    }
   },
+};
 
-  // Private validation methods
-  _validateCheckboxField(field, container) {
-    const checkboxGroup = this.getFieldGroup(field, container);
-    return checkboxGroup.length > 1
-      ? Array.from(checkboxGroup).some((checkbox) => checkbox.checked)
-      : field.checked;
-  },
+const requestFrame = (callback) =>
+  typeof requestAnimationFrame === "function"
+    ? requestAnimationFrame(callback)
+    : setTimeout(callback, 16);
+
+// One MutationObserver per document or shadow root, shared by every subscriber instead of
+// each feature observing document.body on its own. childList and characterData records are
+// delivered right away, to subscribers whose target contains them; attribute records are
+// coalesced (one per element and attribute) and delivered once per animation frame, after the
+// childList records of the same batch. Hidden tabs get no frames, so a timer flushes there
+// instead of letting records pile up. characterData is observed only under the subscribers
+// that ask for it, so text changes elsewhere on the page produce no records.
+const MutationDispatcher = {
+  // Root node (document, shadow root or detached subtree) ->
+  // { observer, subscribers, options, textTargets, pending }
+  roots: new Map(),
+  flushScheduled: false,
+  // Bumped per scheduled flush so whichever of frame and timer fires second does nothing
+  flushGeneration: 0,
+  // Fallback delay for hidden tabs, where requestAnimationFrame doesn't fire
+  FLUSH_TIMEOUT_MS: 100,
+
+  // options: { childList, characterData, attributes: true | string[], subtree (default true) }.
+  // Returns a handle with disconnect() so it can be tracked like a MutationObserver.
+  subscribe(
+    target,
+    callback,
+    { childList = false, characterData = false, attributes = false, subtree = true } = {},
+  ) {
+    const rootNode = target.getRootNode();
+    let entry = this.roots.get(rootNode);
+
+    if (!entry) {
+      entry = {
+        observer: null,
+        subscribers: new Set(),
+        options: "",
+        textTargets: new WeakSet(),
+        pending: new Map(),
+      };
+      entry.observer = new MutationObserver((records) => this.dispatch(entry, records));
+      this.roots.set(rootNode, entry);
+    }
 
-  _validateRadioField(field, container) {
-    return Array.from(this.getFieldGroup(field, container)).some(
-      (radio) => radio.checked,
-    );
+    const subscriber = { target, callback, childList, characterData, attributes, subtree, active: true };
+    entry.subscribers.add(subscriber);
+    this.observe(rootNode, entry);
+
+    return {
+      disconnect: () => this.unsubscribe(rootNode, subscriber),
+    };
   },
 
-  _validateTelField(field) {
-    const value = (field.value || "").trim();
-    return value && !/^\+\d{0,3}$/.test(value) && value !== "+";
+  unsubscribe(rootNode, subscriber) {
+    const entry = this.roots.get(rootNode);
+    subscriber.active = false;
+    if (!entry || !entry.subscribers.delete(subscriber)) return;
+
+    if (entry.subscribers.size === 0) {
+      entry.observer.disconnect();
+      this.roots.delete(rootNode);
+    } else {
+      this.observe(rootNode, entry);
+    }
   },
 
-  _validateFileField(field) {
-    // If no files selected but field is required, it's invalid
-    if (!field.files || field.files.length === 0) {
-      return (
-        !field.hasAttribute("required") &&
-        field.getAttribute("aria-required") !== "true"
-      );
+  // (Re-)observe with the union of what the subscribers need; observe() on an already
+  // observed node replaces its options. characterData is registered on each subscriber's own
+  // target instead of the root.
+  observe(rootNode, entry) {
+    const subscribers = Array.from(entry.subscribers);
+    const childList = subscribers.some((s) => s.childList);
+    const textTargets = subscribers.filter((s) => s.characterData).map((s) => s.target);
+    const allAttributes = subscribers.some((s) => s.attributes === true);
+    const attributeFilter = allAttributes
+      ? null
+      : [...new Set(subscribers.flatMap((s) => (Array.isArray(s.attributes) ? s.attributes : [])))].sort();
+
+    const options = { childList, characterData: textTargets.includes(rootNode), subtree: true };
+    if (allAttributes) {
+      options.attributes = true;
+    } else if (attributeFilter.length > 0) {
+      options.attributeFilter = attributeFilter;
     }
 
-    // If files are selected, validate them
-    const validation = FileUploadValidator.validateFile(field);
-    return validation.valid;
+    const key = JSON.stringify(options);
+    if (key !== entry.options) {
+      entry.options = key;
+      if (!childList && !options.characterData && !options.attributes && !options.attributeFilter) {
+        entry.observer.disconnect();
+        entry.textTargets = new WeakSet();
+      } else {
+        entry.observer.observe(rootNode, options);
+      }
+    }
+
+    // Registrations can only be dropped all at once (disconnect), which would also lose queued
+    // records, so a target whose subscriber left stays registered; deliver() drops its records
+    textTargets.forEach((target) => {
+      if (target === rootNode || entry.textTargets.has(target)) return;
+
+      entry.textTargets.add(target);
+      entry.observer.observe(target, { characterData: true, subtree: true });
+    });
   },
 
-  _validateTextBasedField(field) {
-    const hasContent = field.value && field.value.trim() !== "";
+  dispatch(entry, records) {
+    const immediate = [];
 
-    // Special handling for HubSpot date fields
-    if (field.classList?.contains('hsfc-DateInput') || field.closest('.hsfc-DateField')) {
-      // If HubSpot has already marked this field as invalid, trust that
-      if (field.getAttribute('aria-invalid') === 'true') {
-        return false;
+    records.forEach((record) => {
+      if (record.type !== "attributes") {
+        immediate.push(record);
+        return;
       }
-      // If field has placeholder text, treat as empty
-      if (hasContent && this._isHubSpotDateFieldWithPlaceholder(field)) {
-        return false; 
+
+      // Keep the first record per element and attribute; it carries the oldest oldValue
+      const attributes = entry.pending.get(record.target) || new Map();
+      if (!attributes.has(record.attributeName)) {
+        attributes.set(record.attributeName, record);
       }
+      entry.pending.set(record.target, attributes);
+    });
+
+    if (immediate.length > 0) {
+      this.deliver(entry, immediate);
     }
 
-    // For textarea elements, also check character limit
-    if (field.tagName.toLowerCase() === "textarea") {
-      const characterLimit =
-        parseInt(field.getAttribute("data-character-limit")) || 500;
-      const isWithinLimit = field.value.length <= characterLimit;
-      return hasContent && isWithinLimit;
+    if (entry.pending.size > 0) {
+      this.scheduleFlush();
     }
+  },
 
-    return hasContent;
+  scheduleFlush() {
+    if (this.flushScheduled) return;
+
+    this.flushScheduled = true;
+    const generation = ++this.flushGeneration;
+    const run = () => {
+      if (this.flushScheduled && this.flushGeneration === generation) this.flush();
+    };
+
+    requestFrame(run);
+    setTimeout(run, this.FLUSH_TIMEOUT_MS);
   },
 
-  // Helper to detect HubSpot date fields with placeholder text
-  _isHubSpotDateFieldWithPlaceholder(field) {
-    // Check if this is a HubSpot date field
-    const isDateField = 
-      field.classList?.contains('hsfc-DateInput') ||
-      field.closest('.hsfc-DateField');
+  flush() {
+    this.flushScheduled = false;
 
-    if (!isDateField) {
-      return false;
-    }
+    this.roots.forEach((entry) => {
+      if (entry.pending.size === 0) return;
 
-    // If the field value matches the placeholder attribute, it's placeholder text
-    if (field.placeholder && field.value === field.placeholder) {
-      return true;
+      const records = Array.from(entry.pending.values()).flatMap((attributes) => [
+        ...attributes.values(),
+      ]);
+      entry.pending.clear();
+      this.deliver(entry, records);
+    });
+  },
+
+  deliver(entry, records) {
+    Array.from(entry.subscribers).forEach((subscriber) => {
+      if (!subscriber.active) return;
+
+      const matching = records.filter((record) => this.matches(subscriber, record));
+      if (matching.length === 0) return;
+
+      try {
+        subscriber.callback(matching);
+      } catch (error) {
+        // One failing subscriber must not starve the others
+        DebugLogger.log("observer-error", { target: subscriber.target, error });
+      }
+    });
+  },
+
+  matches(subscriber, record) {
+    const wanted =
+      record.type === "childList" || record.type === "characterData"
+        ? subscriber[record.type]
+        : subscriber.attributes === true ||
+          (Array.isArray(subscriber.attributes) &&
+            subscriber.attributes.includes(record.attributeName));
+
+    if (!wanted) {
+      return false;
     }
 
-    // Fallback: Check for common date format patterns (letters, numbers, separators)
-    const dateFormatPattern = /^[MDYmdyHhSsAaPp\s\-\/\.\,\:]+$/;
-    return dateFormatPattern.test(field.value.trim());
+    return (
+      record.target === subscriber.target ||
+      (subscriber.subtree && subscriber.target.contains(record.target))
+    );
   },
 };
 
-// Character limit validation system - hides native HubSpot errors and shows custom ones
-const CharacterLimitValidator = {
-  DEFAULT_LIMIT: 500,
+// Whether the browser matches :has() itself, making the JS fallback classes unnecessary
+const supportsHasSelector = () => {
+  try {
+    return typeof CSS !== "undefined" && typeof CSS.supports === "function" && CSS.supports("selector(:has(*))");
+  } catch (e) {
+    return false;
+  }
+};
 
-  // Setup character limit validation for all textareas in a form
-  setupCharacterLimits(formContainer, cleanup) {
-    const textareas = formContainer.querySelectorAll("textarea");
+// Every HubSpot markup selector the package relies on, for the current renderer (.hsfc-*).
+// Override any of them with init({ selectors }) when HubSpot changes its markup.
+const HSFC_SELECTORS = {
+  renderer: ".hsfc-Renderer",
+  baseStyle: 'style[data-hsfc-id="BaseStyle"]',
+  form: ".hsfc-Form",
+  step: ".hsfc-Step",
+  stepContent: ".hsfc-Step__Content",
+  row: ".hsfc-Row",
+  field: ".hsfc-FormField, .hs-form-field",
+  // Containers used to order the error summary
+  fieldContainer:
+    ".hsfc-TextField, .hsfc-EmailField, .hsfc-FileField, .hsfc-PhoneField, .hsfc-DateField, .hsfc-CheckboxFieldGroup, .hsfc-RadioFieldGroup, .hsfc-FormField, .hs-form-field, [data-hsfc-id$='Field'], [data-hsfc-id$='FieldGroup']",
+  fieldTypeContainer:
+    ".hs-fieldtype-text, .hs-fieldtype-email, .hs-fieldtype-number, .hs-fieldtype-select, .hs-fieldtype-textarea",
+  groupField:
+    ".hsfc-RadioFieldGroup, .hsfc-CheckboxFieldGroup, .hs-fieldtype-radio, .hs-fieldtype-checkbox",
+  fileField: ".hsfc-FileField, .hs-fieldtype-file",
+  dateField: ".hsfc-DateField",
+  dateInput: ".hsfc-DateInput",
+  label: '[data-hsfc-id="FieldLabel"], .hsfc-FieldLabel',
+  // Labels of required fields, as they appear in the error summary. .hsfc-label-without-required
+  // is only maintained without native :has(); see SelectorRegistry.nativeHasSelectors()
+  fieldLabel:
+    '[data-hsfc-id="FieldLabel"]:not(.hsfc-label-without-required), .hsfc-FieldLabel:not(.hsfc-label-without-required), legend',
+  requiredIndicator: ".hsfc-FieldLabel__RequiredIndicator",
+  // HubSpot uses both 'required' and 'aria-required="true"' attributes
+  requiredField:
+    'input[required], select[required], textarea[required], input[aria-required="true"], select[aria-required="true"], textarea[aria-required="true"]',
+  errorAlert: ".hsfc-ErrorAlert",
+  nativeCharLimitError: ".hsfc-hs-form-errorAlert",
+  infoAlert: ".hsfc-InfoAlert",
+  // Includes submit buttons placed outside .hsfc-NavigationRow
+  navigationButton:
+    '.hsfc-NavigationRow button[type="button"], .hsfc-NavigationRow button[type="submit"], button[type="submit"]',
+  progressBar: ".hsfc-ProgressBar",
+  phoneField: '.hsfc-PhoneField, [data-hsfc-id="PhoneField"]',
+  phoneFlagAndCaret: ".hsfc-PhoneInput__FlagAndCaret",
+  phoneFlag: ".hsfc-PhoneInput__FlagAndCaret__Flag",
+  dropdownField: ".hsfc-DropdownField",
+  dropdownInput: ".hsfc-DropdownInput",
+  // role="combobox" once setupDropdownCombobox() has run
+  dropdownButton:
+    '.hsfc-DropdownInput input[type="text"]:is([role="button"], [role="combobox"])',
+  dropdownCaret: ".hsfc-DropdownInput__Caret",
+  dropdownOptions: ".hsfc-DropdownOptions",
+  dropdownSearchInput: 'input[role="searchbox"], .hsfc-DropdownOptions__Search input',
+  listbox: 'ul[role="listbox"]',
+  option: 'li[role="option"]',
+};
 
-    textareas.forEach((textarea) => {
-      this.setupSingleTextarea(textarea, cleanup);
-    });
+// Legacy v3 embeds render a single-page form.hs-form with .hs-form-field, .hs-error-msgs
+// (one .hs-error-msg label per message) and .hs_submit; other keys fall back to HSFC_SELECTORS
+const LEGACY_SELECTORS = {
+  form: "form.hs-form",
+  // No steps: the form is the only "step"
+  step: null,
+  stepContent: null,
+  field: ".hs-form-field",
+  fieldContainer: ".hs-form-field",
+  label: ".hs-form-field > label",
+  fieldLabel: ".hs-form-field > label",
+  requiredIndicator: ".hs-form-required",
+  // Our own injected errors (file, character limit) keep the .hsfc-ErrorAlert class
+  errorAlert: ".hs-error-msgs .hs-error-msg, .hsfc-ErrorAlert",
+  navigationButton:
+    '.hs_submit input[type="submit"], .hs_submit button, input[type="submit"], button[type="submit"]',
+  dateField: ".hs-fieldtype-date",
+  dateInput: ".hs-dateinput input",
+  fileField: ".hs-fieldtype-file",
+};
+
+const SelectorRegistry = {
+  DEFAULTS: HSFC_SELECTORS,
+  LEGACY_DEFAULTS: LEGACY_SELECTORS,
+
+  // Resolved sets, built by configure() (run once below with the defaults); name and
+  // flexboxOrdering describe the markup rather than select anything
+  hsfc: null,
+  legacy: null,
+
+  // Defaults that use :has() directly where the browser supports it, instead of a fallback
+  // class; built from the configured requiredIndicator
+  nativeHasSelectors(requiredIndicator = HSFC_SELECTORS.requiredIndicator) {
+    if (!supportsHasSelector()) return {};
+
+    const withoutRequired = `label:not(:has(${requiredIndicator}))`;
+    return {
+      fieldLabel: `[data-hsfc-id="FieldLabel"]:not(${withoutRequired}), .hsfc-FieldLabel:not(${withoutRequired}), legend`,
+    };
   },
 
-  // Setup character limit for a single textarea
-  setupSingleTextarea(textarea, cleanup) {
-    const characterLimit =
-      parseInt(textarea.getAttribute("data-character-limit")) ||
-      this.DEFAULT_LIMIT;
+  // overrides: { step: ".my-Step", ..., legacy: { errorAlert: "..." } }; null restores the defaults
+  configure(overrides) {
+    const { legacy: legacyOverrides, ...hsfcOverrides } = overrides || {};
+    const validHsfcOverrides = this.validate(hsfcOverrides);
+    const nativeHas = this.nativeHasSelectors(
+      validHsfcOverrides.requiredIndicator || this.DEFAULTS.requiredIndicator,
+    );
 
-    // Set the character limit attribute if not present
-    if (!textarea.hasAttribute("data-character-limit")) {
-      textarea.setAttribute("data-character-limit", characterLimit);
-    }
+    this.hsfc = {
+      ...this.DEFAULTS,
+      ...nativeHas,
+      ...validHsfcOverrides,
+      name: "hsfc",
+      flexboxOrdering: true,
+    };
+    // Top-level overrides also reach legacy forms for keys legacy markup shares with hsfc
+    this.legacy = {
+      ...this.DEFAULTS,
+      ...nativeHas,
+      ...validHsfcOverrides,
+      ...this.LEGACY_DEFAULTS,
+      ...this.validate(legacyOverrides),
+      name: "legacy",
+      // Summary and progress bar are only ordered with flexbox on the current renderer
+      flexboxOrdering: false,
+    };
+  },
 
-    // Set the native maxlength attribute for browser enforcement
-    textarea.setAttribute("maxlength", characterLimit);
+  // Known keys with a parseable selector; anything else is dropped (and logged in debug mode)
+  validate(overrides = {}) {
+    const valid = {};
 
-    // Create or update character counter
-    this.createCharacterCounter(textarea, characterLimit);
+    Object.entries(overrides || {}).forEach(([key, selector]) => {
+      if (!(key in this.DEFAULTS)) {
+        DebugLogger.log("invalid-selector", { key, selector, reason: "unknown key" });
+        return;
+      }
 
-    // Add event listeners
-    this.addTextareaEventListeners(textarea, characterLimit, cleanup);
+      if (typeof selector !== "string") {
+        DebugLogger.log("invalid-selector", { key, selector, reason: "not a string" });
+        return;
+      }
 
-    // Set up observer to hide HubSpot error messages
-    this.setupErrorHidingObserver(textarea, cleanup);
+      try {
+        document.createDocumentFragment().querySelector(selector);
+        valid[key] = selector;
+      } catch (e) {
+        DebugLogger.log("invalid-selector", { key, selector, error: e });
+      }
+    });
 
-    // Set up immediate pre-emptive observer to catch errors before they render
-    this.setupPreemptiveErrorObserver(textarea, cleanup);
+    return valid;
   },
 
-  // Create character counter element
-  createCharacterCounter(textarea, characterLimit) {
-    const existingCounter = this.findCharacterCounter(textarea);
-    if (existingCounter) {
-      existingCounter.remove();
-    }
+  // Selector for key, for the markup of context's form when given
+  get(key, context = null) {
+    return (context ? MarkupAdapter.detect(context) : this.hsfc)[key];
+  },
+};
 
-    const counter = document.createElement("div");
-    counter.className = "hsfc-CharacterCounter";
-    counter.setAttribute(
-      "data-textarea-id",
-      textarea.id || `textarea-${Date.now()}`,
-    );
+SelectorRegistry.configure(null);
 
-    // Insert after textarea
-    const parent = textarea.parentElement;
-    const nextSibling = textarea.nextElementSibling;
-    if (nextSibling) {
-      parent.insertBefore(counter, nextSibling);
-    } else {
-      parent.appendChild(counter);
+// Picks the selector set for the HubSpot embed generation a form uses
+const MarkupAdapter = {
+  get hsfc() {
+    return SelectorRegistry.hsfc;
+  },
+
+  get legacy() {
+    return SelectorRegistry.legacy;
+  },
+
+  get FORM_SELECTOR() {
+    return `${this.hsfc.form}, ${this.legacy.form}`;
+  },
+
+  // Markup of the form element belongs to; anything outside a legacy form is treated as hsfc
+  detect(element) {
+    if (!element?.closest || element.closest(this.hsfc.form)) {
+      return this.hsfc;
     }
 
-    this.updateCharacterCounter(textarea, counter, characterLimit);
+    return element.closest(this.legacy.form) ? this.legacy : this.hsfc;
+  },
 
-    return counter;
+  isForm(element) {
+    return !!element?.matches?.(this.FORM_SELECTOR) && !this.isWrappedLegacyForm(element);
   },
 
-  // Find existing character counter for textarea
-  findCharacterCounter(textarea) {
-    const textareaId = textarea.id || `textarea-${Date.now()}`;
-    return textarea.parentElement.querySelector(
-      `.hsfc-CharacterCounter[data-textarea-id="${textareaId}"]`,
+  // A form.hs-form wrapping (or wrapped by) the new renderer is handled through its .hsfc-Form
+  isWrappedLegacyForm(form) {
+    return (
+      form.matches(this.legacy.form) &&
+      !form.matches(this.hsfc.form) &&
+      !!(form.closest(this.hsfc.form) || form.querySelector(this.hsfc.form))
     );
   },
 
-  // Update character counter display
-  updateCharacterCounter(textarea, counter, characterLimit) {
-    const currentLength = textarea.value.length;
-    const remaining = characterLimit - currentLength;
+  // Forms at or under node, either markup
+  findForms(node) {
+    const forms = Array.from(node.querySelectorAll?.(this.FORM_SELECTOR) || []);
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      forms.unshift(node);
+    }
 
-    counter.textContent = `${currentLength}/${characterLimit} characters`;
+    return forms.filter((form) => this.isForm(form));
+  },
 
-    // Set single class based on status
-    if (remaining == 0) {
-      counter.className = "hsfc-CharacterCounter hsfc-CharacterCounter--danger";
-    } else if (remaining <= 20) {
-      counter.className =
-        "hsfc-CharacterCounter hsfc-CharacterCounter--warning";
-    } else {
-      counter.className =
-        "hsfc-CharacterCounter hsfc-CharacterCounter--default";
-    }
+  getSteps(formContainer) {
+    const { step } = this.detect(formContainer);
+    return step ? Array.from(formContainer.querySelectorAll(step)) : [formContainer];
   },
 
-  // Add event listeners to textarea
-  addTextareaEventListeners(textarea, characterLimit, cleanup) {
-    const counter = this.findCharacterCounter(textarea);
+  getStepContent(step) {
+    const { stepContent } = this.detect(step);
+    return (stepContent && step.querySelector(stepContent)) || step;
+  },
 
-    // Input event for real-time updates
-    textarea.addEventListener(
-      "input",
-      () => {
-        this.handleTextareaInput(textarea, characterLimit, counter);
-      },
-      {
-        signal: cleanup.abortController.signal,
-      },
+  getErrorAlerts(container) {
+    return Array.from(container.querySelectorAll(this.detect(container).errorAlert)).filter(
+      (errorEl) => !errorEl.classList.contains("hsfc-CustomValidationError"),
     );
+  },
 
-    // Keyup event for additional validation
-    textarea.addEventListener(
-      "keyup",
-      () => {
-        this.handleTextareaInput(textarea, characterLimit, counter);
-      },
-      {
-        signal: cleanup.abortController.signal,
-      },
-    );
+  isErrorAlert(element) {
+    return !!element?.matches?.(this.detect(element).errorAlert);
+  },
 
-    // Paste event for paste validation
-    textarea.addEventListener(
-      "paste",
-      (event) => {
-        // Use setTimeout to get the value after paste is processed
-        setTimeout(() => {
-          this.handleTextareaInput(textarea, characterLimit, counter);
-        }, 10);
-      },
-      {
-        signal: cleanup.abortController.signal,
-      },
-    );
+  isDateInput(field) {
+    const { dateField, dateInput } = this.detect(field);
+    return !!(field.matches?.(dateInput) || field.closest?.(dateField));
+  },
 
-    // Focus event to ensure counter is visible
-    textarea.addEventListener(
-      "focus",
-      () => {
-        if (counter) {
-          counter.style.display = "block";
+  // <input type="submit"> has no text content, only a value
+  getButtonText(button) {
+    return (button.textContent.trim() || button.value || "").trim().toLowerCase();
+  },
+};
+
+// Per-form configuration from setupSingleForm() options and data-hsfc-* wrapper attributes.
+// Resolved values take precedence over the module-wide settings from applyConfiguration().
+const FormConfig = {
+  _forms: new WeakMap(),
+
+  // Read from the form element or its closest ancestor carrying the attribute
+  ATTRIBUTES: {
+    characterLimit: "data-hsfc-character-limit",
+    allowedExtensions: "data-hsfc-allowed-extensions",
+    maxFileSize: "data-hsfc-max-file-size",
+    maxFiles: "data-hsfc-max-files",
+    errorMessages: "data-hsfc-error-messages",
+    strictErrorSummaryOrdering: "data-hsfc-strict-error-summary-ordering",
+    phone: "data-hsfc-phone",
+    rules: "data-hsfc-rules",
+    emailPolicy: "data-hsfc-email-policy",
+    emailSuggestions: "data-hsfc-email-suggestions",
+  },
+
+  readAttributes(formContainer) {
+    const options = {};
+
+    Object.entries(this.ATTRIBUTES).forEach(([key, attribute]) => {
+      const host = formContainer.closest(`[${attribute}]`);
+      if (!host) return;
+
+      const rawValue = host.getAttribute(attribute);
+
+      if (["errorMessages", "phone", "rules", "emailPolicy", "emailSuggestions"].includes(key)) {
+        try {
+          options[key] = JSON.parse(rawValue);
+        } catch (e) {
+          // Malformed JSON - fall back to module-wide settings
         }
-      },
-      {
-        signal: cleanup.abortController.signal,
-      },
-    );
+      } else if (key === "strictErrorSummaryOrdering") {
+        options.strictErrorSummaryOrdering = rawValue !== "false";
+      } else {
+        options[key] = rawValue;
+      }
+    });
+
+    return options;
   },
 
-  // Handle textarea input events
-  handleTextareaInput(textarea, characterLimit, counter) {
-    // Update character counter
-    if (counter) {
-      this.updateCharacterCounter(textarea, counter, characterLimit);
+  // Accept the same shapes as applyConfiguration() and drop anything unusable
+  normalize(options = {}) {
+    const config = {};
+
+    const characterLimit = parseInt(options.characterLimit, 10);
+    if (Number.isFinite(characterLimit) && characterLimit > 0) {
+      config.characterLimit = characterLimit;
     }
 
-    const currentLength = textarea.value.length;
+    const extensions =
+      typeof options.allowedExtensions === "string"
+        ? options.allowedExtensions.split(",")
+        : options.allowedExtensions;
+    if (Array.isArray(extensions)) {
+      config.allowedExtensions = extensions
+        .map((ext) => ext.toString().trim().replace(/^\./, "").toLowerCase())
+        .filter(Boolean);
+    }
 
-    // With maxlength attribute, the field should never exceed the limit
-    // But we'll keep the border color logic for visual feedback as users approach the limit
+    if (options.maxFileSize != null) {
+      const maxFileSize = FileUploadValidator.parseMaxFileSize(options.maxFileSize);
+      if (maxFileSize) {
+        config.maxFileSize = maxFileSize;
+      }
+    }
 
-    // Set appropriate class for visual feedback (preserving existing classes)
-    const baseClasses = textarea.className
-      .replace(/\bhsfc-Textarea--\w+\b/g, "")
-      .trim();
+    if (options.maxFiles != null) {
+      const maxFiles = parseInt(options.maxFiles, 10);
+      if (Number.isFinite(maxFiles) && maxFiles > 0) {
+        config.maxFiles = maxFiles;
+      }
+    }
 
-    if (currentLength >= characterLimit) {
-      textarea.className = `${baseClasses} hsfc-Textarea--danger`.trim();
-    } else if (currentLength >= characterLimit - 20) {
-      textarea.className = `${baseClasses} hsfc-Textarea--warning`.trim();
-    } else {
-      textarea.className = baseClasses;
+    if (options.errorMessages && typeof options.errorMessages === "object") {
+      config.errorMessages = options.errorMessages;
     }
-  },
 
-  // Show custom character limit error
-  showCustomCharacterError(textarea, currentLength, characterLimit) {
-    // Remove existing custom error first
-    this.hideCustomCharacterError(textarea);
+    if (typeof options.strictErrorSummaryOrdering === "boolean") {
+      config.strictErrorSummaryOrdering = options.strictErrorSummaryOrdering;
+    }
 
-    const overBy = currentLength - characterLimit;
+    if (options.features && typeof options.features === "object") {
+      config.features = HubSpotFormManager.normalizeFeatures(options.features);
+    }
 
-    // Create error element
-    const errorDiv = document.createElement("div");
-    errorDiv.className = "hsfc-ErrorAlert hsfc-CustomCharacterError";
-    errorDiv.setAttribute("role", "alert");
+    if (options.phone && typeof options.phone === "object") {
+      config.phone = PhoneCountries.normalizeOptions(options.phone);
+    }
 
-    errorDiv.textContent = `This field must be ${characterLimit} characters or less. You are ${overBy} character${overBy > 1 ? "s" : ""} over the limit.`;
+    if (options.rules && typeof options.rules === "object") {
+      config.rules = FieldRules.normalize(options.rules);
+    }
 
-    // Insert after character counter
-    const counter = this.findCharacterCounter(textarea);
-    const insertAfter = counter || textarea;
+    if (options.emailPolicy && typeof options.emailPolicy === "object") {
+      config.emailPolicy = EmailPolicy.normalizeOptions(options.emailPolicy);
+    }
 
-    if (insertAfter.nextElementSibling) {
-      insertAfter.parentElement.insertBefore(
-        errorDiv,
-        insertAfter.nextElementSibling,
-      );
-    } else {
-      insertAfter.parentElement.appendChild(errorDiv);
+    if (options.emailSuggestions != null) {
+      config.emailSuggestions = EmailSuggestions.normalizeOptions(options.emailSuggestions);
     }
+
+    return config;
   },
 
-  // Hide custom character limit error
-  hideCustomCharacterError(textarea) {
-    const container =
-      textarea.closest(".hsfc-FormField, .hs-form-field") ||
-      textarea.parentElement;
-    const customError = container.querySelector(".hsfc-CustomCharacterError");
-    if (customError) {
-      customError.remove();
+  // Explicit options passed to setupSingleForm() win over markup attributes
+  set(formContainer, options = {}) {
+    const config = {
+      ...this.normalize(this.readAttributes(formContainer)),
+      ...this.normalize(options),
+    };
+
+    this._forms.set(formContainer, config);
+    return config;
+  },
+
+  // Per-form config for any element inside an enhanced form (empty object when none)
+  get(element) {
+    for (let node = element; node; node = node.parentElement) {
+      const config = this._forms.get(node);
+      if (config) return config;
     }
+
+    return {};
   },
 
-  // Enhance HubSpot character limit errors for textareas
-  hideHubSpotCharacterErrors(textarea) {
-    const container =
-      textarea.closest(".hsfc-FormField, .hs-form-field") ||
-      textarea.parentElement;
-    if (!container) return;
+  delete(formContainer) {
+    this._forms.delete(formContainer);
+  },
+};
 
-    // Use a more comprehensive approach - look for errors in the entire container
-    const errorElements = container.querySelectorAll("*");
+// Registered plugins. A plugin is an object with a name and any of these hooks:
+//   setupSingleForm({ formContainer, cleanup, signal, validator, options }) - may return a teardown function
+//   createValidator({ formContainer }) - may return a (step) => boolean extra validity check
+//   getFieldsWithErrors({ step, formContainer, fieldsWithErrors }) - may return extra summary entries
+//   handleVisibleStepChange({ formContainer, cleanup, previousStep, currentStep, ... })
+const PluginRegistry = {
+  plugins: [],
+
+  // Re-registering a name replaces the earlier plugin
+  register(plugin) {
+    if (!plugin || typeof plugin !== "object") {
+      return;
+    }
 
-    errorElements.forEach((errorEl) => {
-      if (errorEl.textContent) {
-        const errorText = errorEl.textContent.toLowerCase().trim();
-        const match = errorText.match(/enter (\d+) characters? or fewer/i);
+    if (plugin.name) {
+      this.unregister(plugin.name);
+    }
 
-        if (match) {
-          const limit = parseInt(match[1]);
-          const currentLength = textarea.value.length;
-          const overBy = currentLength - limit;
+    this.plugins.push(plugin);
+  },
 
-          if (overBy > 0) {
-            // Enhance the error message instead of hiding it
-            errorEl.textContent = `Enter ${limit} characters or fewer. You are ${overBy} character${overBy > 1 ? "s" : ""} over the limit.`;
-            errorEl.setAttribute("data-hubspot-character-error", "enhanced");
-          }
+  unregister(pluginOrName) {
+    this.plugins = this.plugins.filter(
+      (plugin) => plugin !== pluginOrName && (!plugin.name || plugin.name !== pluginOrName),
+    );
+  },
+
+  // Call hookName on every plugin that implements it and collect the non-empty results.
+  // A throwing plugin is skipped so it can't break the form for everyone else.
+  run(hookName, context) {
+    const results = [];
+
+    for (const plugin of this.plugins) {
+      if (typeof plugin[hookName] !== "function") continue;
+
+      try {
+        const result = plugin[hookName](context);
+        if (result != null) {
+          results.push(result);
         }
+      } catch (e) {
+        // Plugin error - ignore and keep going
+        DebugLogger.log("plugin-error", { plugin: plugin.name || null, hook: hookName, error: e });
       }
-    });
+    }
+
+    return results;
   },
+};
 
-  // Show HubSpot character limit errors
-  showHubSpotCharacterErrors(textarea) {
-    const container = textarea.closest(".hsfc-FormField, .hs-form-field");
-    if (!container) return;
+const registerPlugin = (plugin) => PluginRegistry.register(plugin);
+const unregisterPlugin = (pluginOrName) => PluginRegistry.unregister(pluginOrName);
 
-    const hiddenErrors = container.querySelectorAll(
-      '[data-hidden-by-character-validator="true"]',
-    );
+// Selectors every form of a markup is expected to contain, and selectors expected inside
+// each element matched by another key. Anything else is only counted in the report.
+const REQUIRED_SELECTOR_KEYS = ["step", "stepContent", "field", "label", "navigationButton"];
+const NESTED_SELECTOR_KEYS = {
+  phoneField: ["phoneFlagAndCaret", "phoneFlag", "dropdownOptions", "dropdownSearchInput", "listbox", "option"],
+  dropdownField: ["dropdownButton", "dropdownOptions"],
+  dateField: ["dateInput"],
+};
+// Looked up in the form's document or shadow root rather than inside the form
+const PAGE_SELECTOR_KEYS = ["baseStyle", "renderer"];
+
+// Markup-drift self-diagnostics: which selectors still match and which subsystems gave up
+// during setupSingleForm(), so a HubSpot markup change shows up before a client reports it
+const Diagnostics = {
+  REPORT_VERSION: 1,
+  // formContainer -> { enhanced, features, bailouts }
+  forms: new WeakMap(),
+  baseStylesRemoved: 0,
+
+  // Called at the start of setupSingleForm(); drops records from an earlier setup
+  reset(formContainer) {
+    this.forms.set(formContainer, { enhanced: false, features: [], bailouts: [] });
+  },
 
-    hiddenErrors.forEach((errorEl) => {
-      errorEl.style.display = "";
-      errorEl.removeAttribute("data-hidden-by-character-validator");
-    });
+  markEnhanced(formContainer, features) {
+    const record = this.forms.get(formContainer);
+    if (record) {
+      record.enhanced = true;
+      record.features = features;
+    }
   },
 
-  // Set up observer to hide HubSpot error messages as they appear
-  setupErrorHidingObserver(textarea, cleanup) {
-    const container = textarea.closest(".hsfc-FormField, .hs-form-field");
-    if (!container) return;
+  clear(formContainer) {
+    this.forms.delete(formContainer);
+  },
 
-    const observer = new MutationObserver((mutations) => {
-      const currentLength = textarea.value.length;
-      const characterLimit =
-        parseInt(textarea.getAttribute("data-character-limit")) ||
-        this.DEFAULT_LIMIT;
-
-      // Only hide errors if we're over the character limit
-      if (currentLength > characterLimit) {
-        mutations.forEach((mutation) => {
-          mutation.addedNodes.forEach((node) => {
-            if (node.nodeType === Node.ELEMENT_NODE) {
-              // Check if the added node is an error message
-              if (
-                node.classList &&
-                (node.classList.contains("hsfc-ErrorAlert") ||
-                  node.classList.contains("hs-error-msg"))
-              ) {
-                this.checkAndHideCharacterError(node);
-              }
+  // A subsystem skipped (part of) its setup because the markup it needs is missing
+  recordBailout(formContainer, subsystem, reason, selector = null) {
+    const record = this.forms.get(formContainer);
+    if (record && !record.bailouts.some((b) => b.subsystem === subsystem && b.reason === reason)) {
+      record.bailouts.push({ subsystem, reason, selector });
+    }
 
-              // Also check for error messages within the added node
-              const errorElements = node.querySelectorAll?.(
-                ".hsfc-ErrorAlert, .hs-error-msg",
-              );
-              if (errorElements) {
-                errorElements.forEach((errorEl) => {
-                  this.checkAndHideCharacterError(errorEl);
-                });
-              }
-            }
-          });
-        });
+    DebugLogger.log("subsystem-bailout", { formContainer, subsystem, reason, selector });
+  },
+
+  // JSON-safe report for one form, a wrapper holding forms, or (no argument) every form on the page
+  diagnose(formContainer = null) {
+    const forms = formContainer
+      ? MarkupAdapter.isForm(formContainer)
+        ? [formContainer]
+        : MarkupAdapter.findForms(formContainer)
+      : [document, ...HubSpotFormManager.findOpenShadowRoots(document)].flatMap((root) =>
+          MarkupAdapter.findForms(root),
+        );
+
+    const formReports = forms.map((form, index) => this.diagnoseForm(form, index));
+    const baseStyle = this.countSelector(document, SelectorRegistry.get("baseStyle"));
+
+    return {
+      version: this.REPORT_VERSION,
+      generatedAt: new Date().toISOString(),
+      ok: formReports.length > 0 && formReports.every((report) => report.ok),
+      baseStyle: {
+        selector: SelectorRegistry.get("baseStyle"),
+        found: baseStyle,
+        removed: this.baseStylesRemoved,
+        // Never seen at all usually means HubSpot renamed the tag's attribute
+        missing: baseStyle === 0 && this.baseStylesRemoved === 0,
+      },
+      forms: formReports,
+    };
+  },
+
+  diagnoseForm(form, index) {
+    const markup = MarkupAdapter.detect(form);
+    const record = this.forms.get(form);
+    const selectors = {};
+    const missing = [];
+
+    Object.keys(SelectorRegistry.DEFAULTS).forEach((key) => {
+      const selector = markup[key];
+      const scope = PAGE_SELECTOR_KEYS.includes(key) ? form.getRootNode() : form;
+      selectors[key] = {
+        selector,
+        found: selector ? this.countSelector(scope, selector, key === "form") : null,
+      };
+    });
+
+    REQUIRED_SELECTOR_KEYS.forEach((key) => {
+      if (markup[key] && selectors[key].found === 0) {
+        missing.push({ key, selector: markup[key], reason: "not found in form" });
       }
     });
 
-    // Track observer for cleanup
-    cleanup.observers.push(observer);
+    Object.entries(NESTED_SELECTOR_KEYS).forEach(([parentKey, keys]) => {
+      const parents = Array.from(form.querySelectorAll(markup[parentKey]));
 
-    observer.observe(container, {
-      childList: true,
-      subtree: true,
+      keys.forEach((key) => {
+        const without = parents.filter((parent) => !parent.querySelector(markup[key])).length;
+        if (without > 0) {
+          missing.push({
+            key,
+            selector: markup[key],
+            reason: `not found in ${without} of ${parents.length} ${parentKey}`,
+          });
+        }
+      });
     });
+
+    const bailouts = record ? record.bailouts.map((bailout) => ({ ...bailout })) : [];
+
+    return {
+      index,
+      id: form.id || form.getAttribute("data-form-id") || null,
+      markup: markup.name,
+      enhanced: !!record?.enhanced,
+      features: record ? [...record.features] : [],
+      stepCount: MarkupAdapter.getSteps(form).length,
+      selectors,
+      missing,
+      bailouts,
+      ok: !!record?.enhanced && missing.length === 0 && bailouts.length === 0,
+    };
   },
 
-  // Check if an error message should be enhanced for textareas
-  checkAndHideCharacterError(errorElement) {
-    if (errorElement.textContent) {
-      const errorText = errorElement.textContent.toLowerCase().trim();
-      const match = errorText.match(/enter (\d+) characters? or fewer/i);
+  countSelector(scope, selector, includeSelf = false) {
+    try {
+      const self = includeSelf && scope.matches?.(selector) ? 1 : 0;
+      return self + (scope.querySelectorAll?.(selector).length || 0);
+    } catch (e) {
+      return 0;
+    }
+  },
+};
 
-      if (match) {
-        const limit = parseInt(match[1]);
+const diagnose = (formContainer) => Diagnostics.diagnose(formContainer);
 
-        // Find the associated textarea to calculate characters over
-        const container = errorElement.closest(
-          ".hsfc-FormField, .hs-form-field",
-        );
-        const textarea = container?.querySelector("textarea");
+const FieldValidator = {
+  /** @param {HTMLElement} field @param {HTMLElement} container @returns {boolean} */
+  isFieldValid(field, container) {
+    switch (field.type) {
+      case "checkbox":
+        return this._validateCheckboxField(field, container);
+      case "radio":
+        return this._validateRadioField(field, container);
+      case "tel":
+        return this._validateTelField(field);
+      case "file":
+        return this._validateFileField(field);
+      default:
+        return this._validateTextBasedField(field);
+    }
+  },
 
-        if (textarea) {
-          const currentLength = textarea.value.length;
-          const overBy = currentLength - limit;
+  /** @param {HTMLElement} field @param {HTMLElement} container @returns {boolean} */
+  isFieldInvalid(field, container) {
+    return !this.isFieldValid(field, container);
+  },
 
-          if (overBy > 0) {
-            // Enhance the error message instead of hiding it
-            errorElement.textContent = `Enter ${limit} characters or fewer. You are ${overBy} character${overBy > 1 ? "s" : ""} over the limit.`;
-            errorElement.setAttribute(
-              "data-hubspot-character-error",
-              "enhanced",
-            );
-          }
+  /** @param {HTMLElement} field @param {HTMLElement} container @returns {boolean} */
+  needsValidation(field, container) {
+    return this.isFieldInvalid(field, container);
+  },
+
+  /** Short human-readable reason a field fails isFieldValid(), for debug logs
+   * @param {HTMLElement} field @param {HTMLElement} container @returns {string} */
+  getInvalidReason(field, container) {
+    if (this.isGroupField(field)) {
+      return "no option selected";
+    }
+
+    const value = (field.value || "").trim();
+
+    if (field.type === "file") {
+      return field.files?.length > 0
+        ? `file rejected: ${FileUploadValidator.validateFile(field).errors.join(" ")}`
+        : "no file selected";
+    }
+
+    if (field.type === "tel" && value) {
+      return this.hasPhoneNumber(field)
+        ? `not a valid phone number (${PhoneCountries.validateField(field).reason})`
+        : "only a country code was entered";
+    }
+
+    if (!value) {
+      return "empty";
+    }
+
+    if (field.getAttribute("aria-invalid") === "true") {
+      return "marked invalid by HubSpot";
+    }
+
+    if (field.tagName.toLowerCase() === "textarea") {
+      return `over the ${CharacterLimitValidator.getCharacterLimit(field)} character limit`;
+    }
+
+    if (this._isHubSpotDateFieldWithPlaceholder(field)) {
+      return "date placeholder text";
+    }
+
+    return "invalid value";
+  },
+
+  /** Whether a tel field holds more than a bare country code such as "+1"
+   * @param {HTMLElement} field @returns {boolean} */
+  hasPhoneNumber(field) {
+    const value = (field.value || "").trim();
+    return value !== "" && !/^\+\d{0,3}$/.test(value);
+  },
+
+  /** @param {HTMLElement} field @returns {boolean} */
+  isGroupField(field) {
+    return field.type === "radio" || field.type === "checkbox";
+  },
+
+  /** @param {HTMLElement} field @param {HTMLElement} container @returns {NodeList} */
+  getFieldGroup(field, container) {
+    return container.querySelectorAll(`input[name="${field.name}"]`);
+  },
+
+  // Private validation methods
+  _validateCheckboxField(field, container) {
+    const checkboxGroup = this.getFieldGroup(field, container);
+    return checkboxGroup.length > 1
+      ? Array.from(checkboxGroup).some((checkbox) => checkbox.checked)
+      : field.checked;
+  },
+
+  _validateRadioField(field, container) {
+    return Array.from(this.getFieldGroup(field, container)).some(
+      (radio) => radio.checked,
+    );
+  },
+
+  _validateTelField(field) {
+    return this.hasPhoneNumber(field) && PhoneCountries.validateField(field).valid;
+  },
+
+  _validateFileField(field) {
+    // If no files selected but field is required, it's invalid
+    if (!field.files || field.files.length === 0) {
+      return (
+        !field.hasAttribute("required") &&
+        field.getAttribute("aria-required") !== "true"
+      );
+    }
+
+    // If files are selected, validate them
+    const validation = FileUploadValidator.validateFile(field);
+    return validation.valid;
+  },
+
+  _validateTextBasedField(field) {
+    const hasContent = field.value && field.value.trim() !== "";
+
+    // Special handling for HubSpot date fields
+    if (MarkupAdapter.isDateInput(field)) {
+      // If HubSpot has already marked this field as invalid, trust that
+      if (field.getAttribute('aria-invalid') === 'true') {
+        return false;
+      }
+      // If field has placeholder text, treat as empty
+      if (hasContent && this._isHubSpotDateFieldWithPlaceholder(field)) {
+        return false; 
+      }
+    }
+
+    // For textarea elements, also check character limit
+    if (field.tagName.toLowerCase() === "textarea") {
+      const characterLimit = CharacterLimitValidator.getCharacterLimit(field);
+      const isWithinLimit = field.value.length <= characterLimit;
+      return hasContent && isWithinLimit;
+    }
+
+    return hasContent;
+  },
+
+  // Helper to detect HubSpot date fields with placeholder text
+  _isHubSpotDateFieldWithPlaceholder(field) {
+    // Check if this is a HubSpot date field
+    if (!MarkupAdapter.isDateInput(field)) {
+      return false;
+    }
+
+    // If the field value matches the placeholder attribute, it's placeholder text
+    if (field.placeholder && field.value === field.placeholder) {
+      return true;
+    }
+
+    // Fallback: Check for common date format patterns (letters, numbers, separators)
+    const dateFormatPattern = /^[MDYmdyHhSsAaPp\s\-\/\.\,\:]+$/;
+    return dateFormatPattern.test(field.value.trim());
+  },
+};
+
+// Declarative per-field rules from the rules option, keyed by HubSpot field name:
+//   { company: { minLength: 2 }, website: { url: true }, zip: { pattern: /^\d{5}$/, message: "..." } }
+// Failures block navigation and are listed in the error summary like HubSpot's own errors.
+// validate(value, field, { signal }) may return a promise; see scheduleValidation().
+const FieldRules = {
+  // Checked in this order; the first failing rule is reported
+  RULES: ["required", "minLength", "maxLength", "pattern", "email", "emailPolicy", "url", "validate"],
+
+  // Milliseconds of typing quiet before an async validate() runs
+  DEFAULT_DEBOUNCE: 300,
+
+  // Milliseconds a validate() run may stay pending before it counts as passing
+  DEFAULT_TIMEOUT: 10000,
+
+  // Rule -> ErrorMessageConfig message type
+  MESSAGE_TYPES: {
+    required: "required",
+    minLength: "minLength",
+    maxLength: "maxLength",
+    pattern: "pattern",
+    email: "email",
+    emailPolicy: "businessEmail",
+    url: "url",
+  },
+
+  // Module-wide rules from init({ rules }); per-form rules come from FormConfig
+  _rules: {},
+
+  // aria-invalid values set by markInvalid(), so clearInvalid() leaves HubSpot's own alone
+  _ariaInvalidSet: new WeakSet(),
+
+  // Field -> { value, status, message, controller, timer, settled } for its latest validate() run
+  _validations: new WeakMap(),
+
+  // Drop unknown keys and unusable values; string patterns (from data-hsfc-rules JSON) are compiled
+  normalize(rules) {
+    const normalized = {};
+    if (!rules || typeof rules !== "object") return normalized;
+
+    Object.entries(rules).forEach(([name, fieldRules]) => {
+      if (!fieldRules || typeof fieldRules !== "object") return;
+
+      const rule = {};
+
+      if (fieldRules.required === true) rule.required = true;
+      if (fieldRules.email === true) rule.email = true;
+      if (fieldRules.url === true) rule.url = true;
+
+      ["minLength", "maxLength"].forEach((key) => {
+        const length = parseInt(fieldRules[key], 10);
+        if (Number.isFinite(length) && length >= 0) rule[key] = length;
+      });
+
+      if (typeof fieldRules.validate === "function") {
+        rule.validate = fieldRules.validate;
+
+        const debounce = parseInt(fieldRules.debounce, 10);
+        if (Number.isFinite(debounce) && debounce >= 0) rule.debounce = debounce;
+
+        const timeout = parseInt(fieldRules.timeout, 10);
+        if (Number.isFinite(timeout) && timeout > 0) rule.timeout = timeout;
+      }
+
+      if (fieldRules.pattern instanceof RegExp) {
+        rule.pattern = fieldRules.pattern;
+      } else if (typeof fieldRules.pattern === "string") {
+        try {
+          rule.pattern = new RegExp(fieldRules.pattern);
+        } catch (e) {
+          // Invalid pattern - skip the rule
+        }
+      }
+
+      if (
+        typeof fieldRules.message === "string" ||
+        (fieldRules.message && typeof fieldRules.message === "object")
+      ) {
+        rule.message = fieldRules.message;
+      }
+
+      normalized[name] = rule;
+    });
+
+    return normalized;
+  },
+
+  // Replace the module-wide rules (null removes them)
+  configure(rules) {
+    this._rules = this.normalize(rules);
+  },
+
+  // Rules for a field by its full name ("0-1/company") or property name ("company");
+  // per-form rules win over module-wide ones key by key
+  getRules(field) {
+    if (!field?.name) return null;
+
+    const formRules = FormConfig.get(field).rules || {};
+    const property = field.name.split("/").pop();
+    const rules = {
+      ...this._rules[property],
+      ...this._rules[field.name],
+      ...formRules[property],
+      ...formRules[field.name],
+    };
+
+    return Object.keys(rules).length > 0 ? rules : null;
+  },
+
+  isValidUrl(value) {
+    try {
+      const url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `https://${value}`);
+      return (url.protocol === "http:" || url.protocol === "https:") && url.hostname.includes(".");
+    } catch (e) {
+      return false;
+    }
+  },
+
+  // Name of the first rule the field fails, or null. Only required applies to empty fields;
+  // validate only fails once its result for the current value is in. emailPolicy applies to
+  // every email field while an emailPolicy option blocks something.
+  getFailedRule(field, container, rules = this.getRules(field)) {
+    if (EmailPolicy.appliesTo(field)) {
+      rules = { ...rules, emailPolicy: true };
+    }
+    if (!rules) return null;
+
+    const value = FieldValidator.isGroupField(field) || field.type === "file"
+      ? ""
+      : (field.value || "").trim();
+
+    if (rules.required && !FieldValidator.isFieldValid(field, container)) {
+      return "required";
+    }
+
+    if (!value) return null;
+
+    const checks = {
+      minLength: () => value.length >= rules.minLength,
+      maxLength: () => value.length <= rules.maxLength,
+      pattern: () => {
+        rules.pattern.lastIndex = 0;
+        return rules.pattern.test(value);
+      },
+      email: () => HubSpotFormValidator.isValidEmail(value),
+      emailPolicy: () =>
+        !HubSpotFormValidator.isValidEmail(value) || EmailPolicy.checkField(field).allowed,
+      url: () => this.isValidUrl(value),
+      validate: () => this.getSettledValidation(field, value)?.status !== "invalid",
+    };
+
+    return this.RULES.find((rule) => rule in rules && checks[rule] && !checks[rule]()) || null;
+  },
+
+  // A string returned by validate(), the rule's own message (a string, or a map keyed by
+  // rule), then ErrorMessageConfig
+  getMessage(field, rule, rules = this.getRules(field)) {
+    rules = rules || {};
+    const returned = rule === "validate" ? this._validations.get(field)?.message : null;
+    const custom =
+      returned || (typeof rules.message === "string" ? rules.message : rules.message?.[rule]);
+    if (custom) return custom;
+
+    if (rule === "emailPolicy") return EmailPolicy.getMessage(field);
+
+    return (
+      ErrorMessageConfig.getMessage(
+        this.MESSAGE_TYPES[rule],
+        { min: rules.minLength, max: rules.maxLength },
+        field,
+      ) || "Please enter a valid value."
+    );
+  },
+
+  // { field, rule, message } for every field in container failing a rule, one per group
+  getFailures(container) {
+    const failures = [];
+    const processedFieldGroups = new Set();
+
+    container.querySelectorAll("input, select, textarea").forEach((field) => {
+      if (field.type === "hidden" || field.disabled) return;
+
+      if (FieldValidator.isGroupField(field)) {
+        if (processedFieldGroups.has(field.name)) return;
+        processedFieldGroups.add(field.name);
+      }
+
+      const rules = this.getRules(field);
+      const rule = this.getFailedRule(field, container, rules);
+      if (rule) {
+        failures.push({ field, rule, message: this.getMessage(field, rule, rules) });
+      }
+    });
+
+    return failures;
+  },
+
+  // Flag a failing field for assistive tech and styling until it passes again
+  markInvalid(field, rule) {
+    field.setAttribute("data-hsfc-rule-invalid", rule);
+
+    if (field.getAttribute("aria-invalid") !== "true") {
+      field.setAttribute("aria-invalid", "true");
+      this._ariaInvalidSet.add(field);
+    }
+  },
+
+  markFailures(container) {
+    this.getFailures(container).forEach(({ field, rule }) => this.markInvalid(field, rule));
+  },
+
+  clearInvalid(field) {
+    field.removeAttribute("data-hsfc-rule-invalid");
+
+    if (this._ariaInvalidSet.has(field)) {
+      field.removeAttribute("aria-invalid");
+      this._ariaInvalidSet.delete(field);
+    }
+  },
+
+  // The finished validate() run for value, or null while it is pending or hasn't started
+  getSettledValidation(field, value = (field.value || "").trim()) {
+    const validation = this._validations.get(field);
+    return validation && validation.value === value && validation.status !== "pending"
+      ? validation
+      : null;
+  },
+
+  // Run the field's validate() for its current value after the debounce (immediately when
+  // immediate is set). The field is aria-busy until the result is in; a newer value aborts
+  // the run through its signal. A throwing or rejecting validate() counts as passing so an
+  // unreachable endpoint doesn't block the form, and so does one still pending after the
+  // rule's timeout (its signal is then aborted). Returns the run, whose settled promise
+  // resolves true with its result or false when superseded, or null when nothing needs to run.
+  scheduleValidation(field, { immediate = false } = {}) {
+    const rules = this.getRules(field);
+    const value = (field.value || "").trim();
+    const current = this._validations.get(field);
+
+    if (current && current.value === value) {
+      if (immediate && current.timer) {
+        clearTimeout(current.timer);
+        current.run();
+      }
+      return current;
+    }
+
+    this.cancelValidation(field);
+    if (typeof rules?.validate !== "function" || !value) return null;
+
+    let resolveSettled;
+    const validation = {
+      value,
+      status: "pending",
+      message: null,
+      controller: new AbortController(),
+      timer: null,
+      timeoutTimer: null,
+      settled: new Promise((resolve) => {
+        resolveSettled = resolve;
+      }),
+    };
+
+    const finish = (result) => {
+      if (validation.controller.signal.aborted) return;
+
+      validation.status = result === false || typeof result === "string" ? "invalid" : "valid";
+      validation.message = typeof result === "string" ? result : null;
+      clearTimeout(validation.timeoutTimer);
+      field.removeAttribute("aria-busy");
+      resolveSettled(true);
+    };
+
+    validation.resolveSettled = resolveSettled;
+    validation.run = () => {
+      validation.timer = null;
+
+      let result;
+      try {
+        result = rules.validate(value, field, { signal: validation.controller.signal });
+      } catch (error) {
+        result = Promise.reject(error);
+      }
+
+      Promise.resolve(result).then(finish, (error) => {
+        if (!validation.controller.signal.aborted) {
+          DebugLogger.log("rule-error", { field, name: field.name || null, error });
+        }
+        finish(true);
+      });
+
+      // A hung request would otherwise leave the field busy and Next/Submit waiting for good
+      const timeout = rules.timeout ?? this.DEFAULT_TIMEOUT;
+      validation.timeoutTimer = setTimeout(() => {
+        if (validation.status !== "pending" || validation.controller.signal.aborted) return;
+
+        DebugLogger.log("rule-error", {
+          field,
+          name: field.name || null,
+          error: new Error(`validate() did not settle within ${timeout}ms`),
+        });
+        finish(true);
+        validation.controller.abort();
+      }, timeout);
+    };
+
+    this._validations.set(field, validation);
+    field.setAttribute("aria-busy", "true");
+
+    if (immediate) {
+      validation.run();
+    } else {
+      validation.timer = setTimeout(validation.run, rules.debounce ?? this.DEFAULT_DEBOUNCE);
+    }
+
+    return validation;
+  },
+
+  cancelValidation(field) {
+    const validation = this._validations.get(field);
+    if (!validation) return;
+
+    clearTimeout(validation.timer);
+    clearTimeout(validation.timeoutTimer);
+    validation.controller.abort();
+    if (validation.status === "pending") {
+      field.removeAttribute("aria-busy");
+      validation.resolveSettled(false);
+    }
+    this._validations.delete(field);
+  },
+
+  // Fields in container whose validate() result for the current value isn't in yet; fields
+  // already failing a synchronous rule don't wait for it
+  getUnsettledFields(container) {
+    return Array.from(container.querySelectorAll("input, select, textarea")).filter((field) => {
+      const rules = this.getRules(field);
+      const value = (field.value || "").trim();
+
+      return (
+        typeof rules?.validate === "function" &&
+        value !== "" &&
+        !field.disabled &&
+        !this.getSettledValidation(field, value) &&
+        !this.getFailedRule(field, container, rules)
+      );
+    });
+  },
+
+  // Start every unsettled validate() in container now; resolves true once all results are
+  // in, false if a field changed in the meantime
+  validateNow(container) {
+    const runs = this.getUnsettledFields(container)
+      .map((field) => this.scheduleValidation(field, { immediate: true }))
+      .filter(Boolean);
+
+    return Promise.all(runs.map((validation) => validation.settled)).then((results) =>
+      results.every(Boolean),
+    );
+  },
+
+  // Re-check a field marked by markInvalid() after the user edits it
+  refreshInvalid(field, container) {
+    if (!field.hasAttribute("data-hsfc-rule-invalid")) return;
+
+    const rule = this.getFailedRule(field, container);
+    if (rule) {
+      field.setAttribute("data-hsfc-rule-invalid", rule);
+    } else {
+      this.clearInvalid(field);
+    }
+  },
+};
+
+// Character limit validation system - hides native HubSpot errors and shows custom ones
+const CharacterLimitValidator = {
+  DEFAULT_LIMIT: 500,
+
+  // Explicit data-character-limit > per-form config > DEFAULT_LIMIT
+  getCharacterLimit(textarea) {
+    return (
+      parseInt(textarea.getAttribute("data-character-limit")) ||
+      FormConfig.get(textarea).characterLimit ||
+      this.DEFAULT_LIMIT
+    );
+  },
+
+  // Setup character limit validation for all textareas in a form
+  setupCharacterLimits(formContainer, cleanup) {
+    const textareas = formContainer.querySelectorAll("textarea");
+
+    textareas.forEach((textarea) => {
+      this.setupSingleTextarea(textarea, cleanup);
+    });
+  },
+
+  // Setup character limit for a single textarea
+  setupSingleTextarea(textarea, cleanup) {
+    const characterLimit =
+      this.getCharacterLimit(textarea);
+
+    // Set the character limit attribute if not present, marking it as ours so teardown can
+    // drop it without touching one HubSpot or the page set
+    if (!textarea.hasAttribute("data-character-limit")) {
+      textarea.setAttribute("data-character-limit", characterLimit);
+      textarea.setAttribute("data-hsfc-character-limit-set", "true");
+    }
+
+    // Set the native maxlength attribute for browser enforcement
+    textarea.setAttribute("maxlength", characterLimit);
+
+    // Create or update character counter
+    this.createCharacterCounter(textarea, characterLimit);
+
+    // Add event listeners
+    this.addTextareaEventListeners(textarea, characterLimit, cleanup);
+
+    // Enhance HubSpot's own character errors as they render in the field
+    this.setupErrorHidingObserver(textarea, cleanup);
+  },
+
+  // Create character counter element
+  createCharacterCounter(textarea, characterLimit) {
+    const existingCounter = this.findCharacterCounter(textarea);
+    if (existingCounter) {
+      existingCounter.remove();
+    }
+
+    const counter = document.createElement("div");
+    counter.className = "hsfc-CharacterCounter";
+    counter.setAttribute(
+      "data-textarea-id",
+      textarea.id || `textarea-${Date.now()}`,
+    );
+
+    // Insert after textarea
+    const parent = textarea.parentElement;
+    const nextSibling = textarea.nextElementSibling;
+    if (nextSibling) {
+      parent.insertBefore(counter, nextSibling);
+    } else {
+      parent.appendChild(counter);
+    }
+
+    this.updateCharacterCounter(textarea, counter, characterLimit);
+
+    return counter;
+  },
+
+  // Find existing character counter for textarea
+  findCharacterCounter(textarea) {
+    const textareaId = textarea.id || `textarea-${Date.now()}`;
+    return textarea.parentElement.querySelector(
+      `.hsfc-CharacterCounter[data-textarea-id="${textareaId}"]`,
+    );
+  },
+
+  // Update character counter display
+  updateCharacterCounter(textarea, counter, characterLimit) {
+    const currentLength = textarea.value.length;
+    const remaining = characterLimit - currentLength;
+
+    counter.textContent = `${currentLength}/${characterLimit} characters`;
+
+    // Set single class based on status
+    if (remaining == 0) {
+      counter.className = "hsfc-CharacterCounter hsfc-CharacterCounter--danger";
+    } else if (remaining <= 20) {
+      counter.className =
+        "hsfc-CharacterCounter hsfc-CharacterCounter--warning";
+    } else {
+      counter.className =
+        "hsfc-CharacterCounter hsfc-CharacterCounter--default";
+    }
+  },
+
+  // Add event listeners to textarea
+  addTextareaEventListeners(textarea, characterLimit, cleanup) {
+    const counter = this.findCharacterCounter(textarea);
+
+    // Input event for real-time updates
+    textarea.addEventListener(
+      "input",
+      () => {
+        this.handleTextareaInput(textarea, characterLimit, counter);
+      },
+      {
+        signal: cleanup.abortController.signal,
+      },
+    );
+
+    // Keyup event for additional validation
+    textarea.addEventListener(
+      "keyup",
+      () => {
+        this.handleTextareaInput(textarea, characterLimit, counter);
+      },
+      {
+        signal: cleanup.abortController.signal,
+      },
+    );
+
+    // Paste event for paste validation
+    textarea.addEventListener(
+      "paste",
+      (event) => {
+        // Use setTimeout to get the value after paste is processed
+        setTimeout(() => {
+          this.handleTextareaInput(textarea, characterLimit, counter);
+        }, 10);
+      },
+      {
+        signal: cleanup.abortController.signal,
+      },
+    );
+
+    // Focus event to ensure counter is visible
+    textarea.addEventListener(
+      "focus",
+      () => {
+        if (counter) {
+          counter.style.display = "block";
+        }
+      },
+      {
+        signal: cleanup.abortController.signal,
+      },
+    );
+  },
+
+  // Handle textarea input events
+  handleTextareaInput(textarea, characterLimit, counter) {
+    // Update character counter
+    if (counter) {
+      this.updateCharacterCounter(textarea, counter, characterLimit);
+    }
+
+    const currentLength = textarea.value.length;
+
+    // With maxlength attribute, the field should never exceed the limit
+    // But we'll keep the border color logic for visual feedback as users approach the limit
+
+    // Set appropriate class for visual feedback (preserving existing classes)
+    const baseClasses = textarea.className
+      .replace(/\bhsfc-Textarea--\w+\b/g, "")
+      .trim();
+
+    if (currentLength >= characterLimit) {
+      textarea.className = `${baseClasses} hsfc-Textarea--danger`.trim();
+    } else if (currentLength >= characterLimit - 20) {
+      textarea.className = `${baseClasses} hsfc-Textarea--warning`.trim();
+    } else {
+      textarea.className = baseClasses;
+    }
+  },
+
+  // Show custom character limit error
+  showCustomCharacterError(textarea, currentLength, characterLimit) {
+    // Remove existing custom error first
+    this.hideCustomCharacterError(textarea);
+
+    const overBy = currentLength - characterLimit;
+
+    // Create error element
+    const errorDiv = document.createElement("div");
+    errorDiv.className = "hsfc-ErrorAlert hsfc-CustomCharacterError";
+    errorDiv.setAttribute("role", "alert");
+
+    errorDiv.textContent = `This field must be ${characterLimit} characters or less. You are ${overBy} character${overBy > 1 ? "s" : ""} over the limit.`;
+
+    // Insert after character counter
+    const counter = this.findCharacterCounter(textarea);
+    const insertAfter = counter || textarea;
+
+    if (insertAfter.nextElementSibling) {
+      insertAfter.parentElement.insertBefore(
+        errorDiv,
+        insertAfter.nextElementSibling,
+      );
+    } else {
+      insertAfter.parentElement.appendChild(errorDiv);
+    }
+  },
+
+  // Hide custom character limit error
+  hideCustomCharacterError(textarea) {
+    const container =
+      textarea.closest(SelectorRegistry.get("field", textarea)) ||
+      textarea.parentElement;
+    const customError = container.querySelector(".hsfc-CustomCharacterError");
+    if (customError) {
+      customError.remove();
+    }
+  },
+
+  // Enhance HubSpot character limit errors already rendered in the textarea's field container
+  hideHubSpotCharacterErrors(textarea) {
+    const container = textarea.closest(SelectorRegistry.get("field", textarea));
+    if (!container) return;
+
+    container
+      .querySelectorAll("*")
+      .forEach((element) => {
+        if (element.children.length === 0) this.immediatelyMarkCharacterError(element);
+      });
+  },
+
+  // Show HubSpot character limit errors
+  showHubSpotCharacterErrors(textarea) {
+    const container = textarea.closest(SelectorRegistry.get("field", textarea));
+    if (!container) return;
+
+    const hiddenErrors = container.querySelectorAll(
+      '[data-hidden-by-character-validator="true"]',
+    );
+
+    hiddenErrors.forEach((errorEl) => {
+      errorEl.style.display = "";
+      errorEl.removeAttribute("data-hidden-by-character-validator");
+    });
+  },
+
+  // Enhance HubSpot character errors as they render. Driven only by mutations inside the
+  // textarea's field container: added error elements, and error text rewritten in place.
+  setupErrorHidingObserver(textarea, cleanup) {
+    const container = textarea.closest(SelectorRegistry.get("field", textarea));
+    if (!container) return;
+
+    // Only leaves are rewritten, so a wrapper (say, around the textarea) is never flattened
+    const markIfLeaf = (element) => {
+      if (element && element !== container && element.children.length === 0) {
+        this.immediatelyMarkCharacterError(element);
+      }
+    };
+
+    const observer = MutationDispatcher.subscribe(container, (mutations) => {
+      mutations.forEach((mutation) => {
+        if (mutation.type === "characterData") {
+          markIfLeaf(mutation.target.parentElement);
+          return;
+        }
+
+        // Text replaced on an existing error element
+        markIfLeaf(mutation.target);
+
+        mutation.addedNodes.forEach((node) => {
+          if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+          // Check the node itself and all of its descendants
+          markIfLeaf(node);
+          node.querySelectorAll("*").forEach(markIfLeaf);
+        });
+      });
+    }, { childList: true, characterData: true });
+
+    // Track observer for cleanup
+    cleanup.observers.push(observer);
+
+    // Keep an enhanced message's "over the limit" count current while the value changes
+    textarea.addEventListener(
+      "input",
+      () => {
+        if (container.querySelector('[data-hubspot-character-error="enhanced"]')) {
+          this.hideHubSpotCharacterErrors(textarea);
+        }
+      },
+      {
+        signal: cleanup.abortController.signal,
+      },
+    );
+  },
+
+  // Check if textarea has character limit error (for form validation)
+  hasCharacterLimitError(textarea) {
+    const characterLimit =
+      this.getCharacterLimit(textarea);
+    return textarea.value.length > characterLimit;
+  },
+
+  // Get character limit error message for form-level error summary
+  getCharacterLimitErrorMessage(textarea) {
+    const characterLimit =
+      this.getCharacterLimit(textarea);
+    const currentLength = textarea.value.length;
+
+    if (currentLength > characterLimit) {
+      const overBy = currentLength - characterLimit;
+      const fieldLabel =
+        HubSpotFormValidator.getFieldLabel(textarea) || "Text area";
+      return `${fieldLabel}: Must be ${characterLimit} characters or less (currently ${overBy} over)`;
+    }
+
+    return null;
+  },
+
+  // Immediately enhance character error elements as they're added
+  immediatelyMarkCharacterError(element) {
+    if (element?.textContent) {
+      const errorText = element.textContent.toLowerCase().trim();
+      const match = errorText.match(/enter (\d+) characters? or fewer/i);
+
+      if (match) {
+        const limit = parseInt(match[1]);
+
+        // Find the associated textarea to calculate characters over
+        const container = element.closest(SelectorRegistry.get("field", element));
+        const textarea = container?.querySelector("textarea");
+
+        if (textarea) {
+          const currentLength = textarea.value.length;
+          const overBy = currentLength - limit;
+
+          const enhancedText = `Enter ${limit} characters or fewer. You are ${overBy} character${overBy > 1 ? "s" : ""} over the limit.`;
+
+          // Rewriting identical text would re-trigger the observer that called us
+          if (overBy > 0 && element.textContent !== enhancedText) {
+            // Enhance the error message instead of hiding it
+            element.textContent = enhancedText;
+            element.setAttribute("data-hubspot-character-error", "enhanced");
+          }
+        }
+      }
+    }
+  },
+};
+
+// Simple file upload validator
+const FileUploadValidator = {
+  // Configuration storage
+  _config: {
+    allowedExtensions: null,
+    maxFileSize: null,
+    maxFiles: null,
+  },
+
+  DEFAULT_MAX_FILES: 5,
+  _accumulatedFiles: new WeakMap(),
+
+  // Default max file size (10 MB) used only when no site-level override is provided
+  DEFAULT_MAX_FILE_SIZE_BYTES: 10 * 1024 * 1024,
+
+  // Parse max file size from number/string into bytes
+  parseMaxFileSize(value) {
+    if (typeof value === "number") {
+      return Number.isFinite(value) && value > 0 ? value : null;
+    }
+
+    if (typeof value !== "string") {
+      return null;
+    }
+
+    // Normalize common input formats like "10MB", "10 MB", "10mb"
+    const normalized = value.trim().toUpperCase();
+    const match = normalized.match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const number = parseFloat(match[1]);
+    const unit = match[2] || "B";
+
+    if (!Number.isFinite(number) || number <= 0) {
+      return null;
+    }
+
+    if (unit === "GB") return number * 1024 * 1024 * 1024;
+    if (unit === "MB") return number * 1024 * 1024;
+    if (unit === "KB") return number * 1024;
+    return number;
+  },
+
+  // Get configuration from runtime config, window globals, or use defaults
+  get allowedExtensions() {
+    if (this._config.allowedExtensions) {
+      return this._config.allowedExtensions;
+    }
+    
+    // Check for runtime configuration via window global
+    if (typeof window !== 'undefined' && window.HUBSPOT_FORMS_ALLOWED_EXTENSIONS) {
+      const extensions = window.HUBSPOT_FORMS_ALLOWED_EXTENSIONS;
+      if (typeof extensions === 'string') {
+        return extensions.split(",").map((ext) => ext.trim().toLowerCase());
+      }
+      if (Array.isArray(extensions)) {
+        return extensions.map((ext) => ext.toString().trim().toLowerCase());
+      }
+    }
+    
+    // DEPRECATED: Environment variable approach no longer works in production
+    // const envExtensions = import.meta.env.VITE_UPLOAD_ALLOWED_EXTENSIONS;
+    // if (envExtensions) {
+    //   return envExtensions.split(",").map((ext) => ext.trim().toLowerCase());
+    // }
+    
+    return ["pdf", "doc", "docx", "jpg", "jpeg", "png", "gif", "txt"];
+  },
+
+  set allowedExtensions(value) {
+    this._config.allowedExtensions = value;
+  },
+
+  get maxFileSize() {
+    if (this._config.maxFileSize) {
+      const configuredSize = this.parseMaxFileSize(this._config.maxFileSize);
+      if (configuredSize) {
+        return configuredSize;
+      }
+    }
+    
+    // Check for runtime configuration via window global
+    if (typeof window !== 'undefined') {
+      const envSize =
+        window.HS_MAX_FILE_SIZE ||
+        window.HUBSPOT_FORMS_MAX_FILE_SIZE ||
+        window.HUBSPOT_MAX_FILE_SIZE;
+      if (envSize) {
+        const parsedSize = this.parseMaxFileSize(envSize);
+        if (parsedSize) {
+          return parsedSize;
+        }
+      }
+    }
+    
+    // DEPRECATED: Environment variable approach no longer works in production
+    // const envSize = import.meta.env.VITE_UPLOAD_MAX_SIZE;
+    // if (envSize) {
+    //   // Parse size like "10MB", "5GB", etc.
+    //   const size = envSize.toString().toUpperCase();
+    //   const number = parseFloat(size);
+    //
+    //   if (size.includes("GB")) return number * 1024 * 1024 * 1024;
+    //   if (size.includes("MB")) return number * 1024 * 1024;
+    //   if (size.includes("KB")) return number * 1024;
+    //
+    //   return number; // Assume bytes if no unit
+    // }
+    
+    return this.DEFAULT_MAX_FILE_SIZE_BYTES;
+  },
+
+  set maxFileSize(value) {
+    const parsedSize = this.parseMaxFileSize(value);
+    this._config.maxFileSize = parsedSize || null;
+  },
+
+  get maxFiles() {
+    if (this._config.maxFiles != null) return this._config.maxFiles;
+    if (typeof window !== 'undefined' && window.HUBSPOT_FORMS_MAX_FILES != null) {
+      const n = parseInt(window.HUBSPOT_FORMS_MAX_FILES, 10);
+      if (Number.isFinite(n) && n > 0) return n;
+    }
+    return this.DEFAULT_MAX_FILES;
+  },
+
+  set maxFiles(value) {
+    const n = parseInt(value, 10);
+    this._config.maxFiles = (Number.isFinite(n) && n > 0) ? n : null;
+  },
+
+  // Per-form overrides for the file input's form, falling back to the module-wide values above
+  getAllowedExtensions(context = null) {
+    return FormConfig.get(context).allowedExtensions || this.allowedExtensions;
+  },
+
+  getMaxFileSize(context = null) {
+    return FormConfig.get(context).maxFileSize || this.maxFileSize;
+  },
+
+  getMaxFiles(context = null) {
+    return FormConfig.get(context).maxFiles || this.maxFiles;
+  },
+
+  validateFile(fileInput) {
+    if (!fileInput.files || fileInput.files.length === 0) {
+      return { valid: true, errors: [], errorDetails: [] };
+    }
+
+    const errorDetails = [];
+
+    if (fileInput.files.length > this.getMaxFiles(fileInput)) {
+      errorDetails.push({
+        type: 'fileCount',
+        message: ErrorMessageConfig.getMessage('fileCount', { max: this.getMaxFiles(fileInput) }, fileInput) ||
+          `Maximum ${this.getMaxFiles(fileInput)} files allowed.`,
+      });
+      const errors = errorDetails.map(d => d.message);
+      return { valid: false, errors, errorDetails };
+    }
+
+    // Validate each selected file
+    for (let i = 0; i < fileInput.files.length; i++) {
+      const file = fileInput.files[i];
+
+      // Check file size
+      if (file.size > this.getMaxFileSize(fileInput)) {
+        errorDetails.push({
+          type: "fileSize",
+          message: ErrorMessageConfig.getMessage('fileSize', { maxSize: this.formatFileSize(this.getMaxFileSize(fileInput)) }, fileInput) ||
+            `File "${file.name}" size exceeds ${this.formatFileSize(this.getMaxFileSize(fileInput))} limit`,
+        });
+      }
+
+      // Check file extension
+      const extension = file.name.split(".").pop().toLowerCase();
+      if (!this.getAllowedExtensions(fileInput).includes(extension)) {
+        errorDetails.push({
+          type: "fileType",
+          message: ErrorMessageConfig.getMessage('fileType', {
+            allowedTypes: this.getAllowedExtensions(fileInput).map((ext) => "." + ext).join(", "),
+          }, fileInput) || `File "${file.name}" type ".${extension}" is not allowed.`,
+        });
+      }
+    }
+
+    const errors = errorDetails.map((errorDetail) => errorDetail.message);
+
+    return { valid: errors.length === 0, errors, errorDetails };
+  },
+
+  // Format file size for display
+  formatFileSize(bytes) {
+    if (!Number.isFinite(bytes) || bytes <= 0) return "0 Bytes";
+    const k = 1024;
+    const sizes = ["Bytes", "KB", "MB", "GB"];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + " " + sizes[i];
+  },
+
+  // Return the currently resolved max file size as display text
+  getResolvedMaxFileSizeLabel(context = null) {
+    return this.formatFileSize(this.getMaxFileSize(context));
+  },
+
+  // Show error message
+  showError(fileInput, errors, errorDetails = []) {
+    this.hideError(fileInput);
+
+    if (errors.length === 0) return;
+
+    const errorDiv = document.createElement("div");
+    errorDiv.className = "hsfc-ErrorAlert hsfc-FileError";
+    errorDiv.setAttribute("role", "alert");
+
+    const errorTypes = [...new Set(errorDetails.map((detail) => detail.type))];
+    if (errorTypes.length > 0) {
+      errorDiv.setAttribute("data-hsfc-file-error-types", errorTypes.join(","));
+    }
+
+    errorDiv.innerHTML = errors.join("<br/>");
+    fileInput.parentElement.appendChild(errorDiv);
+  },
+
+  // Hide error message
+  hideError(fileInput) {
+    const existingError =
+      fileInput.parentElement.querySelector(".hsfc-FileError");
+    if (existingError) {
+      existingError.remove();
+    }
+    fileInput.style.borderColor = "";
+  },
+
+  // Show accepted files list
+  showAcceptedFiles(fileInput) {
+    this.hideAcceptedFiles(fileInput);
+
+    // Use _accumulatedFiles as source of truth — fileInput.files can be cleared by HubSpot's own handlers
+    const accumulated = this._accumulatedFiles.get(fileInput) || [];
+    if (accumulated.length === 0) return;
+
+    const acceptedFiles = accumulated
+      .filter((file) => {
+        const extension = file.name.split(".").pop().toLowerCase();
+        return file.size <= this.getMaxFileSize(fileInput) && this.getAllowedExtensions(fileInput).includes(extension);
+      })
+      .map((file) => file.name);
+
+    if (acceptedFiles.length === 0) return;
+
+    const acceptedDiv = document.createElement("div");
+    acceptedDiv.className = "hsfc-AcceptedFiles";
+
+    const label = document.createElement("span");
+    label.className = "hsfc-AcceptedFiles__Label";
+    label.textContent = acceptedFiles.length === 1
+      ? "✓ Accepted:"
+      : `✓ Accepted files (${acceptedFiles.length}):`;
+    acceptedDiv.appendChild(label);
+
+    const list = document.createElement("ul");
+    list.className = "hsfc-AcceptedFiles__List";
+
+    acceptedFiles.forEach((name) => {
+      const item = document.createElement("li");
+      item.className = "hsfc-AcceptedFile";
+
+      const nameSpan = document.createElement("span");
+      nameSpan.className = "hsfc-AcceptedFile__Name";
+      nameSpan.textContent = name;
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "hsfc-AcceptedFile__Remove";
+      removeBtn.setAttribute("aria-label", `Remove ${name}`);
+      removeBtn.textContent = "×";
+
+      removeBtn.addEventListener("click", () => {
+        this.removeFileFromInput(fileInput, name);
+        this.showAcceptedFiles(fileInput);
+        if (!fileInput.files || fileInput.files.length === 0) {
+          this.hideError(fileInput);
+        } else {
+          const validation = this.validateFile(fileInput);
+          if (validation.valid) {
+            this.hideError(fileInput);
+          } else {
+            this.showError(fileInput, validation.errors, validation.errorDetails);
+          }
+        }
+      });
+
+      item.appendChild(nameSpan);
+      item.appendChild(removeBtn);
+      list.appendChild(item);
+    });
+
+    acceptedDiv.appendChild(list);
+    fileInput.parentElement.appendChild(acceptedDiv);
+  },
+
+  // Hide accepted files list
+  hideAcceptedFiles(fileInput) {
+    const existingAccepted = fileInput.parentElement.querySelector(
+      ".hsfc-AcceptedFiles",
+    );
+    if (existingAccepted) {
+      existingAccepted.remove();
+    }
+  },
+
+  // Remove a single file from the input by name using DataTransfer
+  removeFileFromInput(fileInput, fileName) {
+    const existing = this._accumulatedFiles.get(fileInput) || Array.from(fileInput.files || []);
+    const updated = existing.filter(f => f.name !== fileName);
+    const dt = new DataTransfer();
+    updated.forEach(f => dt.items.add(f));
+    fileInput.files = dt.files;
+    this._accumulatedFiles.set(fileInput, updated);
+  },
+
+  clearFileInput(fileInput) {
+    fileInput.value = '';
+    this._accumulatedFiles.set(fileInput, []);
+  },
+
+  // Show max file size note near the file input
+  showAllowedFormatsNote(fileInput) {
+    if (fileInput.parentElement.querySelector('[data-hsfc-allowed-formats="true"]')) return;
+
+    const fieldContainer = fileInput.closest(
+      `${SelectorRegistry.get("fileField", fileInput)}, ${SelectorRegistry.get("fieldContainer", fileInput)}`,
+    );
+    const fieldLabel = fieldContainer?.querySelector(
+      `${SelectorRegistry.get("label", fileInput)}, label`,
+    );
+    if (!fieldLabel) return;
+
+    const desc = document.createElement('div');
+    desc.className = 'hsfc-FieldDescription';
+    desc.setAttribute('data-hsfc-id', 'FieldDescription');
+    desc.setAttribute('data-hsfc-allowed-formats', 'true');
+    desc.setAttribute('lang', document.documentElement.lang || 'en');
+
+    const span = document.createElement('span');
+    span.textContent = `Allowed formats: ${this.getAllowedExtensions(fileInput).map(e => '.' + e).join(', ')}`;
+    desc.appendChild(span);
+
+    fieldLabel.insertAdjacentElement('afterend', desc);
+  },
+
+  showFileSizeNote(fileInput) {
+    const existingNote = fileInput.parentElement.querySelector(
+      '[data-hsfc-file-size-note="true"]',
+    );
+
+    const noteText = `Max file size: ${this.formatFileSize(this.getMaxFileSize(fileInput))}`;
+
+    if (existingNote) {
+      existingNote.textContent = noteText;
+      return;
+    }
+
+    const noteDiv = document.createElement("div");
+    noteDiv.className = "hsfc-FieldNote";
+    noteDiv.setAttribute("data-hsfc-file-size-note", "true");
+    noteDiv.textContent = noteText;
+
+    fileInput.parentElement.appendChild(noteDiv);
+  },
+
+  // Setup validation for file inputs
+  setup(formContainer, cleanup = null) {
+    const listenerOptions = cleanup
+      ? { signal: cleanup.abortController.signal }
+      : undefined;
+    const fileInputs = formContainer.querySelectorAll('input[type="file"]');
+
+    fileInputs.forEach((fileInput, index) => {
+      // HubSpot doesn't forward its "allow multiple files" setting to the DOM attribute
+      fileInput.setAttribute('multiple', 'multiple');
+      this.showAllowedFormatsNote(fileInput);
+      this.showFileSizeNote(fileInput);
+
+      fileInput.addEventListener("change", () => {
+        const existing = this._accumulatedFiles.get(fileInput) || [];
+        const incoming = Array.from(fileInput.files || []);
+
+        const errorDetails = [];
+        const validIncoming = [];
+        const rejectedFiles = [];
+
+        for (const file of incoming) {
+          if (existing.some(f => f.name === file.name)) continue;
+          const ext = file.name.split('.').pop().toLowerCase();
+          const reasons = [];
+          if (file.size > this.getMaxFileSize(fileInput)) {
+            errorDetails.push({ type: 'fileSize', message: ErrorMessageConfig.getMessage('fileSize', { maxSize: this.formatFileSize(this.getMaxFileSize(fileInput)) }, fileInput) || `"${file.name}" exceeds ${this.formatFileSize(this.getMaxFileSize(fileInput))}` });
+            reasons.push('fileSize');
+          }
+          if (!this.getAllowedExtensions(fileInput).includes(ext)) {
+            errorDetails.push({ type: 'fileType', message: ErrorMessageConfig.getMessage('fileType', { allowedTypes: this.getAllowedExtensions(fileInput).map(e => '.' + e).join(', ') }, fileInput) || `"${file.name}" type not allowed` });
+            reasons.push('fileType');
+          }
+          if (reasons.length === 0) {
+            validIncoming.push(file);
+          } else {
+            rejectedFiles.push({ file, reasons });
+          }
+        }
+
+        const reportRejected = () => {
+          if (rejectedFiles.length === 0) return;
+          dispatchFormEvent(formContainer, FORM_EVENTS.FILE_REJECTED, {
+            fileInput,
+            rejectedFiles,
+            errors: errorDetails,
+          });
+        };
+
+        const merged = [...existing, ...validIncoming];
+
+        if (merged.length > this.getMaxFiles(fileInput)) {
+          const allowed = Math.max(0, this.getMaxFiles(fileInput) - existing.length);
+          const trimmed = [...existing, ...validIncoming.slice(0, allowed)];
+          validIncoming.slice(allowed).forEach(file => rejectedFiles.push({ file, reasons: ['fileCount'] }));
+          errorDetails.push({ type: 'fileCount', message: ErrorMessageConfig.getMessage('fileCount', { max: this.getMaxFiles(fileInput) }, fileInput) || `Maximum ${this.getMaxFiles(fileInput)} files allowed.` });
+          const dt = new DataTransfer();
+          trimmed.forEach(f => dt.items.add(f));
+          fileInput.files = dt.files;
+          this._accumulatedFiles.set(fileInput, trimmed);
+          this.showAcceptedFiles(fileInput);
+          this.showError(fileInput, errorDetails.map(d => d.message), errorDetails);
+          reportRejected();
+          return;
+        }
+
+        const dt = new DataTransfer();
+        merged.forEach(f => dt.items.add(f));
+        fileInput.files = dt.files;
+        this._accumulatedFiles.set(fileInput, merged);
+        this.showAcceptedFiles(fileInput);
+
+        if (errorDetails.length > 0) {
+          this.showError(fileInput, errorDetails.map(d => d.message), errorDetails);
+          reportRejected();
+        } else {
+          this.hideError(fileInput);
         }
-      }
-    }
+      }, listenerOptions);
+    });
   },
+};
 
-  // Check if textarea has character limit error (for form validation)
-  hasCharacterLimitError(textarea) {
-    const characterLimit =
-      parseInt(textarea.getAttribute("data-character-limit")) ||
-      this.DEFAULT_LIMIT;
-    return textarea.value.length > characterLimit;
+// Phone country options: countries pinned at the top of the flag dropdown, the default country
+// (an ISO code or detected from the browser), country search by ISO code or localized name,
+// number validation against the selected country's numbering plan and as-you-type formatting
+const PhoneCountries = {
+  // Module-wide options from init({ phone }); per-form values come from FormConfig
+  _config: {
+    preferredCountries: [],
+    defaultCountry: null,
+    countrySearch: true,
+    validation: "lenient",
+    format: false,
   },
 
-  // Get character limit error message for form-level error summary
-  getCharacterLimitErrorMessage(textarea) {
-    const characterLimit =
-      parseInt(textarea.getAttribute("data-character-limit")) ||
-      this.DEFAULT_LIMIT;
-    const currentLength = textarea.value.length;
+  // "lenient" checks the number's length, "strict" also its leading digits, "off" only
+  // rejects an empty field or a bare country code
+  VALIDATION_LEVELS: ["strict", "lenient", "off"],
+
+  // ISO code -> "dial code|lengths|leading digits". Lengths count the national number after
+  // the dial code, without a trunk 0 ("9-10" is a range, "8,10" a list); leading digits is a
+  // pattern for the start of that number, only checked by validation: "strict".
+  // Countries not listed are held to the E.164 limits.
+  NUMBERING: {
+    US: "1|10|[2-9]\\d{2}[2-9]",
+    CA: "1|10|[2-9]\\d{2}[2-9]",
+    MX: "52|10|[1-9]",
+    BR: "55|10-11|[1-9]",
+    AR: "54|10-11|[1-9]",
+    CL: "56|9|[2-9]",
+    CO: "57|10|[1-8]",
+    PE: "51|8-9|[1-9]",
+    VE: "58|10|[2-9]",
+    GB: "44|9-10|[1235789]",
+    IE: "353|7-9|[1-9]",
+    FR: "33|9|[1-9]",
+    DE: "49|6-13|[1-9]",
+    NL: "31|9|[1-9]",
+    BE: "32|8-9|[1-9]",
+    LU: "352|4-11|[2-9]",
+    CH: "41|9|[1-9]",
+    AT: "43|4-13|[1-9]",
+    IT: "39|6-11|[03]",
+    ES: "34|9|[5-9]",
+    PT: "351|9|[29]",
+    DK: "45|8|[2-9]",
+    NO: "47|8|[2-9]",
+    SE: "46|7-10|[1-9]",
+    FI: "358|5-12|[1-9]",
+    IS: "354|7,9|[4-9]",
+    PL: "48|9|[1-9]",
+    CZ: "420|9|[2-9]",
+    SK: "421|9|[2-9]",
+    HU: "36|8-9|[1-9]",
+    RO: "40|9|[2-9]",
+    BG: "359|7-9|[2-9]",
+    GR: "30|10|[2-9]",
+    HR: "385|8-9|[1-9]",
+    SI: "386|8|[1-7]",
+    RS: "381|7-12|[1-9]",
+    UA: "380|9|[3-9]",
+    EE: "372|7-8|[3-9]",
+    LV: "371|8|[2-9]",
+    LT: "370|8|[3-9]",
+    TR: "90|10|[2-58]",
+    RU: "7|10|[3-9]",
+    IL: "972|8-9|[2-9]",
+    AE: "971|8-9|[2-9]",
+    SA: "966|9|[1-9]",
+    QA: "974|8|[3-7]",
+    EG: "20|9-10|[1-9]",
+    ZA: "27|9|[1-8]",
+    NG: "234|8-10|[1-9]",
+    KE: "254|9|[1-9]",
+    MA: "212|9|[5-8]",
+    IN: "91|10|[1-9]",
+    PK: "92|9-10|[2-9]",
+    BD: "880|8-10|[1-9]",
+    CN: "86|10-11|[1-9]",
+    HK: "852|8|[2-9]",
+    TW: "886|8-9|[2-9]",
+    JP: "81|9-10|[1-9]",
+    KR: "82|8-10|[1-9]",
+    SG: "65|8|[3689]",
+    MY: "60|8-10|[1-9]",
+    TH: "66|8-9|[2-9]",
+    VN: "84|9-10|[1-9]",
+    PH: "63|8-10|[2-9]",
+    ID: "62|8-12|[1-9]",
+    AU: "61|9|[2-478]",
+    NZ: "64|8-10|[2-9]",
+  },
 
-    if (currentLength > characterLimit) {
-      const overBy = currentLength - characterLimit;
-      const fieldLabel =
-        HubSpotFormValidator.getFieldLabel(textarea) || "Text area";
-      return `${fieldLabel}: Must be ${characterLimit} characters or less (currently ${overBy} over)`;
-    }
+  // Where a leading 0 is part of the number rather than a trunk prefix to drop
+  KEEPS_LEADING_ZERO: ["IT"],
+
+  // ISO code -> national number templates for format: true, "#" standing for a digit.
+  // Alternatives are separated by "|"; "pattern:template" only applies when the number starts
+  // with pattern, and the first match wins. Countries not listed are left as typed.
+  FORMATS: {
+    US: "(###) ###-####",
+    CA: "(###) ###-####",
+    MX: "## #### ####",
+    BR: "\\d{2}9:## #####-####|## ####-####",
+    GB: "2:## #### ####|7:#### ######|#### ######",
+    IE: "8:## ### ####|# ### ####",
+    FR: "# ## ## ## ##",
+    NL: "6:# ########|## ### ####",
+    BE: "4:### ## ## ##|# ### ## ##",
+    CH: "## ### ## ##",
+    IT: "3:### ### ####|## #### ####",
+    ES: "### ## ## ##",
+    DK: "## ## ## ##",
+    NO: "## ## ## ##",
+    SE: "7:## ### ## ##|## ### ## ##",
+    PL: "### ### ###",
+    IN: "##### #####",
+    CN: "1:### #### ####|## #### ####",
+    JP: "## #### ####",
+    HK: "#### ####",
+    SG: "#### ####",
+    AE: "5:## ### ####|# ### ####",
+    ZA: "## ### ####",
+    AU: "4:### ### ###|# #### ####",
+    NZ: "2:## ### ####|# ### ####",
+  },
 
-    return null;
+  // E.164: at most 15 digits. Without a matched country the dial code stays in the digits
+  FALLBACK_LENGTHS: { min: 4, max: 15 },
+
+  _numbering: new Map(),
+
+  // Time zone -> country for defaultCountry: "auto". Zones not listed fall back to the
+  // region in navigator.languages (e.g. "en-GB")
+  TIMEZONES: {
+    US: "America/New_York America/Chicago America/Denver America/Phoenix America/Los_Angeles America/Anchorage America/Detroit America/Boise America/Indiana/Indianapolis America/Kentucky/Louisville Pacific/Honolulu",
+    CA: "America/Toronto America/Vancouver America/Edmonton America/Winnipeg America/Halifax America/St_Johns America/Regina America/Montreal",
+    MX: "America/Mexico_City America/Monterrey America/Tijuana America/Cancun America/Merida America/Chihuahua",
+    BR: "America/Sao_Paulo America/Manaus America/Bahia America/Fortaleza America/Recife America/Belem",
+    AR: "America/Argentina/Buenos_Aires America/Buenos_Aires America/Argentina/Cordoba",
+    CL: "America/Santiago",
+    CO: "America/Bogota",
+    PE: "America/Lima",
+    VE: "America/Caracas",
+    GB: "Europe/London Europe/Belfast",
+    IE: "Europe/Dublin",
+    FR: "Europe/Paris",
+    DE: "Europe/Berlin Europe/Busingen",
+    NL: "Europe/Amsterdam",
+    BE: "Europe/Brussels",
+    LU: "Europe/Luxembourg",
+    CH: "Europe/Zurich",
+    AT: "Europe/Vienna",
+    IT: "Europe/Rome",
+    ES: "Europe/Madrid Atlantic/Canary",
+    PT: "Europe/Lisbon Atlantic/Azores Atlantic/Madeira",
+    DK: "Europe/Copenhagen",
+    NO: "Europe/Oslo",
+    SE: "Europe/Stockholm",
+    FI: "Europe/Helsinki",
+    IS: "Atlantic/Reykjavik",
+    PL: "Europe/Warsaw",
+    CZ: "Europe/Prague",
+    SK: "Europe/Bratislava",
+    HU: "Europe/Budapest",
+    RO: "Europe/Bucharest",
+    BG: "Europe/Sofia",
+    GR: "Europe/Athens",
+    HR: "Europe/Zagreb",
+    SI: "Europe/Ljubljana",
+    RS: "Europe/Belgrade",
+    UA: "Europe/Kyiv Europe/Kiev",
+    EE: "Europe/Tallinn",
+    LV: "Europe/Riga",
+    LT: "Europe/Vilnius",
+    TR: "Europe/Istanbul",
+    RU: "Europe/Moscow Asia/Yekaterinburg Asia/Novosibirsk Asia/Vladivostok",
+    IL: "Asia/Jerusalem Asia/Tel_Aviv",
+    AE: "Asia/Dubai",
+    SA: "Asia/Riyadh",
+    QA: "Asia/Qatar",
+    EG: "Africa/Cairo",
+    ZA: "Africa/Johannesburg",
+    NG: "Africa/Lagos",
+    KE: "Africa/Nairobi",
+    MA: "Africa/Casablanca",
+    IN: "Asia/Kolkata Asia/Calcutta",
+    PK: "Asia/Karachi",
+    BD: "Asia/Dhaka",
+    CN: "Asia/Shanghai Asia/Urumqi",
+    HK: "Asia/Hong_Kong",
+    TW: "Asia/Taipei",
+    JP: "Asia/Tokyo",
+    KR: "Asia/Seoul",
+    SG: "Asia/Singapore",
+    MY: "Asia/Kuala_Lumpur",
+    TH: "Asia/Bangkok",
+    VN: "Asia/Ho_Chi_Minh Asia/Saigon",
+    PH: "Asia/Manila",
+    ID: "Asia/Jakarta Asia/Makassar Asia/Jayapura",
+    AU: "Australia/Sydney Australia/Melbourne Australia/Brisbane Australia/Perth Australia/Adelaide Australia/Hobart Australia/Darwin",
+    NZ: "Pacific/Auckland",
   },
 
-  // Start aggressive monitoring to catch and remove HubSpot errors
-  startAggressiveErrorMonitoring(textarea) {
-    // Avoid setting up multiple monitors for the same textarea
-    if (textarea.hasAttribute("data-error-monitor-active")) {
-      return;
+  _timezoneIndex: null,
+  _countryNames: new Map(),
+
+  // Accepts an ISO code array or comma-separated string; keeps only the keys that were given
+  normalizeOptions(options = {}) {
+    const config = {};
+    if (!options || typeof options !== "object") return config;
+
+    const toIsoCode = (value) => {
+      const code = String(value).trim().toUpperCase();
+      return /^[A-Z]{2}$/.test(code) ? code : null;
+    };
+
+    const preferred =
+      typeof options.preferredCountries === "string"
+        ? options.preferredCountries.split(",")
+        : options.preferredCountries;
+    if (Array.isArray(preferred)) {
+      config.preferredCountries = [...new Set(preferred.map(toIsoCode).filter(Boolean))];
     }
 
-    textarea.setAttribute("data-error-monitor-active", "true");
+    if (options.defaultCountry === null || options.defaultCountry === false) {
+      config.defaultCountry = null;
+    } else if (String(options.defaultCountry).toLowerCase() === "auto") {
+      config.defaultCountry = "auto";
+    } else if (options.defaultCountry !== undefined && toIsoCode(options.defaultCountry)) {
+      config.defaultCountry = toIsoCode(options.defaultCountry);
+    }
 
-    // Set up a repeated check that runs every 100ms for 5 seconds
-    let checkCount = 0;
-    const maxChecks = 50; // 5 seconds at 100ms intervals
+    if (typeof options.countrySearch === "boolean") {
+      config.countrySearch = options.countrySearch;
+    }
 
-    const monitorInterval = setInterval(() => {
-      this.hideHubSpotCharacterErrors(textarea);
-      checkCount++;
+    if (this.VALIDATION_LEVELS.includes(options.validation)) {
+      config.validation = options.validation;
+    }
 
-      if (checkCount >= maxChecks) {
-        clearInterval(monitorInterval);
-        textarea.removeAttribute("data-error-monitor-active");
-      }
-    }, 100);
+    if (typeof options.format === "boolean") {
+      config.format = options.format;
+    }
 
-    // Also clean up if the user moves to within the character limit
-    const cleanupCheck = setInterval(() => {
-      const characterLimit =
-        parseInt(textarea.getAttribute("data-character-limit")) ||
-        this.DEFAULT_LIMIT;
-      if (textarea.value.length <= characterLimit) {
-        clearInterval(monitorInterval);
-        clearInterval(cleanupCheck);
-        textarea.removeAttribute("data-error-monitor-active");
-      }
-    }, 200);
+    return config;
   },
 
-  // Set up preemptive observer to catch and mark errors immediately as they're added
-  setupPreemptiveErrorObserver(textarea, cleanup) {
-    const container =
-      textarea.closest(".hsfc-FormField, .hs-form-field") || document.body;
+  // null restores the defaults
+  configure(options) {
+    this._config = {
+      preferredCountries: [],
+      defaultCountry: null,
+      countrySearch: true,
+      validation: "lenient",
+      format: false,
+      ...this.normalizeOptions(options),
+    };
+  },
 
-    const preemptiveObserver = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        mutation.addedNodes.forEach((node) => {
-          if (node.nodeType === Node.ELEMENT_NODE) {
-            // Check the node itself
-            this.immediatelyMarkCharacterError(node);
-
-            // Check all child nodes
-            const allDescendants = node.querySelectorAll("*");
-            allDescendants.forEach((descendant) => {
-              this.immediatelyMarkCharacterError(descendant);
-            });
-          }
-        });
-      });
-    });
+  // Per-form options for the phone field's form, falling back to the module-wide values
+  getOptions(context = null) {
+    return { ...this._config, ...FormConfig.get(context).phone };
+  },
 
-    // Track observer for cleanup
-    cleanup.observers.push(preemptiveObserver);
+  // A flag emoji is two regional indicator symbols: "🇬🇧 United Kingdom" -> "GB"
+  getFlagCountry(text) {
+    const [first, second] = Array.from((text || "").trim());
+    const offsets = [first, second].map((char) => (char ? char.codePointAt(0) - 0x1f1e6 : -1));
+    if (offsets.some((offset) => offset < 0 || offset > 25)) return null;
 
-    // Observe the entire document to catch errors added anywhere
-    preemptiveObserver.observe(document.body, {
-      childList: true,
-      subtree: true,
-    });
+    return String.fromCharCode(65 + offsets[0], 65 + offsets[1]);
   },
 
-  // Immediately enhance character error elements as they're added
-  immediatelyMarkCharacterError(element) {
-    if (element.textContent) {
-      const errorText = element.textContent.toLowerCase().trim();
-      const match = errorText.match(/enter (\d+) characters? or fewer/i);
+  // HubSpot starts each country option with its flag
+  getOptionCountry(option) {
+    return this.getFlagCountry(option.textContent);
+  },
 
-      if (match) {
-        const limit = parseInt(match[1]);
+  getTimezoneCountry(timeZone) {
+    if (!this._timezoneIndex) {
+      this._timezoneIndex = new Map();
+      Object.entries(this.TIMEZONES).forEach(([iso, zones]) => {
+        zones.split(" ").forEach((zone) => this._timezoneIndex.set(zone, iso));
+      });
+    }
 
-        // Find the associated textarea to calculate characters over
-        const container = element.closest(".hsfc-FormField, .hs-form-field");
-        const textarea = container?.querySelector("textarea");
+    return this._timezoneIndex.get(timeZone) || null;
+  },
 
-        if (textarea) {
-          const currentLength = textarea.value.length;
-          const overBy = currentLength - limit;
+  // The visitor's time zone says more about where they are than their browser language,
+  // so it wins; the language's region subtag covers zones missing from TIMEZONES
+  detectCountry() {
+    try {
+      const { timeZone } = Intl.DateTimeFormat().resolvedOptions();
+      const country = this.getTimezoneCountry(timeZone);
+      if (country) return country;
+    } catch (e) {
+      // No Intl time zone support - fall through to the language
+    }
 
-          if (overBy > 0) {
-            // Enhance the error message instead of hiding it
-            element.textContent = `Enter ${limit} characters or fewer. You are ${overBy} character${overBy > 1 ? "s" : ""} over the limit.`;
-            element.setAttribute("data-hubspot-character-error", "enhanced");
-          }
-        }
-      }
+    if (typeof navigator === "undefined") return null;
+
+    const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const tag of languages) {
+      const region = /^[a-z]{2,3}(?:-[a-z]{4})?-([a-z]{2})(?:-|$)/i.exec(tag || "")?.[1];
+      if (region) return region.toUpperCase();
     }
+
+    return null;
   },
-};
 
-// Simple file upload validator
-const FileUploadValidator = {
-  // Configuration storage
-  _config: {
-    allowedExtensions: null,
-    maxFileSize: null,
-    maxFiles: null,
+  // ISO code to preselect for this form, or null to keep HubSpot's default
+  resolveDefaultCountry(context = null) {
+    const { defaultCountry } = this.getOptions(context);
+    return defaultCountry === "auto" ? this.detectCountry() : defaultCountry;
   },
 
-  DEFAULT_MAX_FILES: 5,
-  _accumulatedFiles: new WeakMap(),
+  normalizeSearchText(text) {
+    return (text || "")
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .toLowerCase()
+      .trim();
+  },
 
-  // Default max file size (10 MB) used only when no site-level override is provided
-  DEFAULT_MAX_FILE_SIZE_BYTES: 10 * 1024 * 1024,
+  // Country name in the page language, the browser languages and English, for searching
+  getCountryNames(iso) {
+    if (this._countryNames.has(iso)) return this._countryNames.get(iso);
 
-  // Parse max file size from number/string into bytes
-  parseMaxFileSize(value) {
-    if (typeof value === "number") {
-      return Number.isFinite(value) && value > 0 ? value : null;
-    }
+    const locales = [
+      typeof document !== "undefined" ? document.documentElement.lang : "",
+      ...(typeof navigator !== "undefined" ? navigator.languages || [navigator.language] : []),
+      "en",
+    ].filter(Boolean);
 
-    if (typeof value !== "string") {
-      return null;
+    const names = new Set();
+    if (typeof Intl !== "undefined" && typeof Intl.DisplayNames === "function") {
+      locales.forEach((locale) => {
+        try {
+          names.add(new Intl.DisplayNames([locale], { type: "region" }).of(iso));
+        } catch (e) {
+          // Unsupported locale tag - skip it
+        }
+      });
     }
 
-    // Normalize common input formats like "10MB", "10 MB", "10mb"
-    const normalized = value.trim().toUpperCase();
-    const match = normalized.match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB|GB)?$/);
-
-    if (!match) {
-      return null;
-    }
+    const searchText = this.normalizeSearchText([...names].join(" "));
+    this._countryNames.set(iso, searchText);
+    return searchText;
+  },
 
-    const number = parseFloat(match[1]);
-    const unit = match[2] || "B";
+  // Parsed NUMBERING entry: { dialCode, lengths: number[], leadingDigits: RegExp }
+  getNumbering(iso) {
+    if (!iso || !this.NUMBERING[iso]) return null;
+    if (this._numbering.has(iso)) return this._numbering.get(iso);
 
-    if (!Number.isFinite(number) || number <= 0) {
-      return null;
-    }
+    const [dialCode, lengthSpec, leadingDigits] = this.NUMBERING[iso].split("|");
+    const lengths = lengthSpec.split(",").flatMap((part) => {
+      const [min, max = min] = part.split("-").map(Number);
+      return Array.from({ length: max - min + 1 }, (_, i) => min + i);
+    });
 
-    if (unit === "GB") return number * 1024 * 1024 * 1024;
-    if (unit === "MB") return number * 1024 * 1024;
-    if (unit === "KB") return number * 1024;
-    return number;
+    const numbering = { dialCode, lengths, leadingDigits: new RegExp(`^(?:${leadingDigits})`) };
+    this._numbering.set(iso, numbering);
+    return numbering;
   },
 
-  // Get configuration from runtime config, window globals, or use defaults
-  get allowedExtensions() {
-    if (this._config.allowedExtensions) {
-      return this._config.allowedExtensions;
-    }
-    
-    // Check for runtime configuration via window global
-    if (typeof window !== 'undefined' && window.HUBSPOT_FORMS_ALLOWED_EXTENSIONS) {
-      const extensions = window.HUBSPOT_FORMS_ALLOWED_EXTENSIONS;
-      if (typeof extensions === 'string') {
-        return extensions.split(",").map((ext) => ext.trim().toLowerCase());
-      }
-      if (Array.isArray(extensions)) {
-        return extensions.map((ext) => ext.toString().trim().toLowerCase());
+  // Listed country with the longest dial code the digits start with (+1 resolves to US)
+  findCountryByDialCode(digits) {
+    let match = null;
+
+    Object.keys(this.NUMBERING).forEach((iso) => {
+      const { dialCode } = this.getNumbering(iso);
+      if (digits.startsWith(dialCode) && (!match || dialCode.length > match.dialCode.length)) {
+        match = { iso, dialCode };
       }
-    }
-    
-    // DEPRECATED: Environment variable approach no longer works in production
-    // const envExtensions = import.meta.env.VITE_UPLOAD_ALLOWED_EXTENSIONS;
-    // if (envExtensions) {
-    //   return envExtensions.split(",").map((ext) => ext.trim().toLowerCase());
-    // }
-    
-    return ["pdf", "doc", "docx", "jpg", "jpeg", "png", "gif", "txt"];
+    });
+
+    return match?.iso || null;
   },
 
-  set allowedExtensions(value) {
-    this._config.allowedExtensions = value;
+  // Country selected in the flag dropdown of the field's phone field, if it has one
+  getFieldCountry(field) {
+    const phoneField = field.closest(SelectorRegistry.get("phoneField", field));
+    const flag = phoneField?.querySelector(SelectorRegistry.get("phoneFlag", field));
+    return flag ? this.getFlagCountry(flag.textContent) : null;
   },
 
-  get maxFileSize() {
-    if (this._config.maxFileSize) {
-      const configuredSize = this.parseMaxFileSize(this._config.maxFileSize);
-      if (configuredSize) {
-        return configuredSize;
+  // Split a number into { international, country, dialCode, national, trunkPrefix }. A dial
+  // code typed into the value wins over the selected country; national excludes a trunk 0, or
+  // in NANP countries (dial code 1) the long-distance 1 in front of an otherwise full number.
+  parseNumber(value, iso = null) {
+    const trimmed = (value || "").trim();
+    const international = trimmed.startsWith("+");
+    let digits = trimmed.replace(/\D/g, "");
+    let country = this.getNumbering(iso) ? iso : null;
+
+    if (international) {
+      const selected = this.getNumbering(country);
+      if (!selected || !digits.startsWith(selected.dialCode)) {
+        country = this.findCountryByDialCode(digits);
       }
-    }
-    
-    // Check for runtime configuration via window global
-    if (typeof window !== 'undefined') {
-      const envSize =
-        window.HS_MAX_FILE_SIZE ||
-        window.HUBSPOT_FORMS_MAX_FILE_SIZE ||
-        window.HUBSPOT_MAX_FILE_SIZE;
-      if (envSize) {
-        const parsedSize = this.parseMaxFileSize(envSize);
-        if (parsedSize) {
-          return parsedSize;
-        }
+
+      const numbering = this.getNumbering(country);
+      if (numbering) {
+        digits = digits.slice(numbering.dialCode.length);
       }
     }
-    
-    // DEPRECATED: Environment variable approach no longer works in production
-    // const envSize = import.meta.env.VITE_UPLOAD_MAX_SIZE;
-    // if (envSize) {
-    //   // Parse size like "10MB", "5GB", etc.
-    //   const size = envSize.toString().toUpperCase();
-    //   const number = parseFloat(size);
-    //
-    //   if (size.includes("GB")) return number * 1024 * 1024 * 1024;
-    //   if (size.includes("MB")) return number * 1024 * 1024;
-    //   if (size.includes("KB")) return number * 1024;
-    //
-    //   return number; // Assume bytes if no unit
-    // }
-    
-    return this.DEFAULT_MAX_FILE_SIZE_BYTES;
-  },
 
-  set maxFileSize(value) {
-    const parsedSize = this.parseMaxFileSize(value);
-    this._config.maxFileSize = parsedSize || null;
+    const numbering = this.getNumbering(country);
+    const dialCode = numbering?.dialCode || null;
+    const trunkPrefix =
+      dialCode === "1"
+        ? digits.startsWith("1") && digits.length > Math.max(...numbering.lengths)
+        : !!country && digits.startsWith("0") && !this.KEEPS_LEADING_ZERO.includes(country);
+
+    return {
+      international,
+      country,
+      dialCode,
+      national: trunkPrefix ? digits.slice(1) : digits,
+      trunkPrefix,
+    };
   },
 
-  get maxFiles() {
-    if (this._config.maxFiles != null) return this._config.maxFiles;
-    if (typeof window !== 'undefined' && window.HUBSPOT_FORMS_MAX_FILES != null) {
-      const n = parseInt(window.HUBSPOT_FORMS_MAX_FILES, 10);
-      if (Number.isFinite(n) && n > 0) return n;
+  // Check a number against a country's numbering plan; without a known country only the
+  // E.164 length limits apply.
+  // Returns { valid, country, reason } where reason is "too short", "too long" or "invalid prefix".
+  validateNumber(value, iso = null, level = "lenient") {
+    const { country, national: digits } = this.parseNumber(value, iso);
+
+    const numbering = this.getNumbering(country);
+    const lengths = numbering?.lengths || [];
+    const min = numbering ? Math.min(...lengths) : this.FALLBACK_LENGTHS.min;
+    const max = numbering ? Math.max(...lengths) : this.FALLBACK_LENGTHS.max;
+
+    let reason = null;
+    if (level === "off") {
+      reason = null;
+    } else if (digits.length < min || (numbering && !lengths.includes(digits.length) && digits.length < max)) {
+      reason = "too short";
+    } else if (digits.length > max) {
+      reason = "too long";
+    } else if (level === "strict" && numbering && !numbering.leadingDigits.test(digits)) {
+      reason = "invalid prefix";
     }
-    return this.DEFAULT_MAX_FILES;
+
+    return { valid: !reason, country, reason };
   },
 
-  set maxFiles(value) {
-    const n = parseInt(value, 10);
-    this._config.maxFiles = (Number.isFinite(n) && n > 0) ? n : null;
+  // validateNumber() for a tel input, using its form's validation level
+  validateField(field) {
+    const { validation } = this.getOptions(field);
+    return this.validateNumber(field.value, this.getFieldCountry(field), validation);
   },
-  validateFile(fileInput) {
-    if (!fileInput.files || fileInput.files.length === 0) {
-      return { valid: true, errors: [], errorDetails: [] };
-    }
 
-    const errorDetails = [];
+  getFormatTemplate(iso, national) {
+    const alternatives = this.FORMATS[iso]?.split("|") || [];
 
-    if (fileInput.files.length > this.maxFiles) {
-      errorDetails.push({
-        type: 'fileCount',
-        message: ErrorMessageConfig.getMessage('fileCount', { max: this.maxFiles }) ||
-          `Maximum ${this.maxFiles} files allowed.`,
-      });
-      const errors = errorDetails.map(d => d.message);
-      return { valid: false, errors, errorDetails };
+    for (const alternative of alternatives) {
+      const separator = alternative.lastIndexOf(":");
+      if (separator === -1) return alternative;
+
+      const pattern = alternative.slice(0, separator);
+      if (new RegExp(`^(?:${pattern})`).test(national)) return alternative.slice(separator + 1);
     }
 
-    // Validate each selected file
-    for (let i = 0; i < fileInput.files.length; i++) {
-      const file = fileInput.files[i];
+    return null;
+  },
 
-      // Check file size
-      if (file.size > this.maxFileSize) {
-        errorDetails.push({
-          type: "fileSize",
-          message: ErrorMessageConfig.getMessage('fileSize', { maxSize: this.formatFileSize(this.maxFileSize) }) ||
-            `File "${file.name}" size exceeds ${this.formatFileSize(this.maxFileSize)} limit`,
-        });
-      }
+  // International format for a partial or complete number: "+16145550100" -> "+1 (614) 555-0100".
+  // Separators only appear once a digit follows them; digits beyond the template are appended.
+  // Returns null for national numbers and countries without a template.
+  formatNumber(value, iso = null) {
+    const { international, country, dialCode, national } = this.parseNumber(value, iso);
+    if (!international || !country) return null;
 
-      // Check file extension
-      const extension = file.name.split(".").pop().toLowerCase();
-      if (!this.allowedExtensions.includes(extension)) {
-        errorDetails.push({
-          type: "fileType",
-          message: ErrorMessageConfig.getMessage('fileType', {
-            allowedTypes: this.allowedExtensions.map((ext) => "." + ext).join(", "),
-          }) || `File "${file.name}" type ".${extension}" is not allowed.`,
-        });
-      }
-    }
+    const template = this.getFormatTemplate(country, national);
+    if (!template) return null;
 
-    const errors = errorDetails.map((errorDetail) => errorDetail.message);
+    let formatted = "";
+    let pending = "";
+    let index = 0;
 
-    return { valid: errors.length === 0, errors, errorDetails };
-  },
+    for (const char of template) {
+      if (index >= national.length) break;
 
-  // Format file size for display
-  formatFileSize(bytes) {
-    if (!Number.isFinite(bytes) || bytes <= 0) return "0 Bytes";
-    const k = 1024;
-    const sizes = ["Bytes", "KB", "MB", "GB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + " " + sizes[i];
-  },
+      if (char === "#") {
+        formatted += pending + national[index];
+        pending = "";
+        index += 1;
+      } else {
+        pending += char;
+      }
+    }
+    formatted += national.slice(index);
 
-  // Return the currently resolved max file size as display text
-  getResolvedMaxFileSizeLabel() {
-    return this.formatFileSize(this.maxFileSize);
+    return formatted ? `+${dialCode} ${formatted}` : `+${dialCode}`;
   },
 
-  // Show error message
-  showError(fileInput, errors, errorDetails = []) {
-    this.hideError(fileInput);
-
-    if (errors.length === 0) return;
+  // Matches the option's own text, its ISO code exactly, or a localized country name
+  matchesSearch(option, query) {
+    const normalizedQuery = this.normalizeSearchText(query);
+    if (!normalizedQuery) return true;
 
-    const errorDiv = document.createElement("div");
-    errorDiv.className = "hsfc-ErrorAlert hsfc-FileError";
-    errorDiv.setAttribute("role", "alert");
+    const iso = this.getOptionCountry(option);
+    if (iso && iso.toLowerCase() === normalizedQuery) return true;
 
-    const errorTypes = [...new Set(errorDetails.map((detail) => detail.type))];
-    if (errorTypes.length > 0) {
-      errorDiv.setAttribute("data-hsfc-file-error-types", errorTypes.join(","));
-    }
+    const haystack = `${this.normalizeSearchText(option.textContent)} ${iso ? this.getCountryNames(iso) : ""}`;
+    return haystack.includes(normalizedQuery);
+  },
+};
 
-    errorDiv.innerHTML = errors.join("<br/>");
-    fileInput.parentElement.appendChild(errorDiv);
+// Business-email policy: reject free-mail, disposable and role addresses in email fields.
+// The bundled lists can be extended through the options or by adding to them before init().
+const EmailPolicy = {
+  // Module-wide options from init({ emailPolicy }); per-form values come from FormConfig
+  _config: {
+    blockFreeMail: false,
+    blockDisposable: false,
+    blockRoleAddresses: false,
+    freeMailDomains: [],
+    disposableDomains: [],
+    roleAddresses: [],
+    allowedDomains: [],
   },
 
-  // Hide error message
-  hideError(fileInput) {
-    const existingError =
-      fileInput.parentElement.querySelector(".hsfc-FileError");
-    if (existingError) {
-      existingError.remove();
-    }
-    fileInput.style.borderColor = "";
+  FREE_MAIL_DOMAINS: [
+    "gmail.com", "googlemail.com", "yahoo.com", "yahoo.co.uk", "yahoo.fr", "yahoo.de",
+    "yahoo.co.jp", "ymail.com", "rocketmail.com", "hotmail.com", "hotmail.co.uk", "hotmail.fr",
+    "hotmail.de", "hotmail.it", "outlook.com", "outlook.fr", "live.com", "live.co.uk", "msn.com",
+    "aol.com", "icloud.com", "me.com", "mac.com", "gmx.com", "gmx.de", "gmx.net", "web.de",
+    "mail.com", "proton.me", "protonmail.com", "pm.me", "tutanota.com", "fastmail.com", "hey.com",
+    "zoho.com", "yandex.com", "yandex.ru", "mail.ru", "qq.com", "163.com", "126.com", "naver.com",
+    "comcast.net", "att.net", "verizon.net", "sbcglobal.net", "btinternet.com", "orange.fr",
+    "free.fr", "libero.it", "t-online.de", "rediffmail.com",
+  ],
+
+  // Subdomains of these are blocked as well
+  DISPOSABLE_DOMAINS: [
+    "mailinator.com", "guerrillamail.com", "guerrillamail.net", "sharklasers.com",
+    "10minutemail.com", "temp-mail.org", "tempmail.com", "tempmailo.com", "throwawaymail.com",
+    "yopmail.com", "yopmail.fr", "trashmail.com", "getnada.com", "nada.email", "dispostable.com",
+    "maildrop.cc", "mintemail.com", "mohmal.com", "fakeinbox.com", "emailondeck.com",
+    "spamgourmet.com", "mailnesia.com", "mytemp.email", "burnermail.io", "tempinbox.com",
+    "discard.email", "moakt.com",
+  ],
+
+  // Local parts of shared mailboxes
+  ROLE_ADDRESSES: [
+    "abuse", "accounts", "admin", "administrator", "billing", "careers", "contact", "enquiries",
+    "feedback", "finance", "hello", "help", "hostmaster", "hr", "info", "inquiries", "jobs", "mail",
+    "marketing", "media", "no-reply", "noreply", "office", "postmaster", "press", "sales",
+    "service", "support", "team", "webmaster",
+  ],
+
+  // Accept the same shapes as init() (arrays or comma-separated strings) and drop anything unusable
+  normalizeOptions(options = {}) {
+    const config = {};
+    if (!options || typeof options !== "object") return config;
+
+    ["blockFreeMail", "blockDisposable", "blockRoleAddresses"].forEach((key) => {
+      if (typeof options[key] === "boolean") config[key] = options[key];
+    });
+
+    ["freeMailDomains", "disposableDomains", "roleAddresses", "allowedDomains"].forEach((key) => {
+      const list = typeof options[key] === "string" ? options[key].split(",") : options[key];
+      if (Array.isArray(list)) {
+        config[key] = list
+          .map((entry) => String(entry).trim().replace(/^@/, "").toLowerCase())
+          .filter(Boolean);
+      }
+    });
+
+    return config;
   },
 
-  // Show accepted files list
-  showAcceptedFiles(fileInput) {
-    this.hideAcceptedFiles(fileInput);
+  // null restores the defaults (no blocking)
+  configure(options) {
+    this._config = {
+      blockFreeMail: false,
+      blockDisposable: false,
+      blockRoleAddresses: false,
+      freeMailDomains: [],
+      disposableDomains: [],
+      roleAddresses: [],
+      allowedDomains: [],
+      ...this.normalizeOptions(options),
+    };
+  },
 
-    // Use _accumulatedFiles as source of truth — fileInput.files can be cleared by HubSpot's own handlers
-    const accumulated = this._accumulatedFiles.get(fileInput) || [];
-    if (accumulated.length === 0) return;
+  // Per-form options for the field's form, falling back to the module-wide values
+  getOptions(context = null) {
+    return { ...this._config, ...FormConfig.get(context).emailPolicy };
+  },
 
-    const acceptedFiles = accumulated
-      .filter((file) => {
-        const extension = file.name.split(".").pop().toLowerCase();
-        return file.size <= this.maxFileSize && this.allowedExtensions.includes(extension);
-      })
-      .map((file) => file.name);
+  isEnabled(options) {
+    return options.blockFreeMail || options.blockDisposable || options.blockRoleAddresses;
+  },
 
-    if (acceptedFiles.length === 0) return;
+  // Same notion of an email field as the error summary's format check
+  isEmailField(field) {
+    return (
+      field.type === "email" ||
+      ((field.type === "text" || !field.type) && !!field.name?.toLowerCase().includes("email"))
+    );
+  },
 
-    const acceptedDiv = document.createElement("div");
-    acceptedDiv.className = "hsfc-AcceptedFiles";
+  // Whether the policy should check this field
+  appliesTo(field) {
+    return this.isEmailField(field) && !!this.isEnabled(this.getOptions(field));
+  },
 
-    const label = document.createElement("span");
-    label.className = "hsfc-AcceptedFiles__Label";
-    label.textContent = acceptedFiles.length === 1
-      ? "✓ Accepted:"
-      : `✓ Accepted files (${acceptedFiles.length}):`;
-    acceptedDiv.appendChild(label);
+  // Returns { allowed, reason, domain } where reason is "free mail", "disposable" or
+  // "role address". Malformed addresses are left to the email format check.
+  check(value, options = this._config) {
+    const address = (value || "").trim().toLowerCase();
+    const at = address.lastIndexOf("@");
+    const allowed = { allowed: true, reason: null, domain: null };
+    if (at < 1) return allowed;
 
-    const list = document.createElement("ul");
-    list.className = "hsfc-AcceptedFiles__List";
+    const localPart = address.slice(0, at);
+    const domain = address.slice(at + 1);
+    const matchesDomain = (listed) => domain === listed || domain.endsWith(`.${listed}`);
+    const blocked = (reason) => ({ allowed: false, reason, domain });
 
-    acceptedFiles.forEach((name) => {
-      const item = document.createElement("li");
-      item.className = "hsfc-AcceptedFile";
+    if (options.allowedDomains?.some(matchesDomain)) return { ...allowed, domain };
 
-      const nameSpan = document.createElement("span");
-      nameSpan.className = "hsfc-AcceptedFile__Name";
-      nameSpan.textContent = name;
+    if (
+      options.blockDisposable &&
+      [...this.DISPOSABLE_DOMAINS, ...(options.disposableDomains || [])].some(matchesDomain)
+    ) {
+      return blocked("disposable");
+    }
 
-      const removeBtn = document.createElement("button");
-      removeBtn.type = "button";
-      removeBtn.className = "hsfc-AcceptedFile__Remove";
-      removeBtn.setAttribute("aria-label", `Remove ${name}`);
-      removeBtn.textContent = "×";
+    if (
+      options.blockFreeMail &&
+      [...this.FREE_MAIL_DOMAINS, ...(options.freeMailDomains || [])].includes(domain)
+    ) {
+      return blocked("free mail");
+    }
 
-      removeBtn.addEventListener("click", () => {
-        this.removeFileFromInput(fileInput, name);
-        this.showAcceptedFiles(fileInput);
-        if (!fileInput.files || fileInput.files.length === 0) {
-          this.hideError(fileInput);
-        } else {
-          const validation = this.validateFile(fileInput);
-          if (validation.valid) {
-            this.hideError(fileInput);
-          } else {
-            this.showError(fileInput, validation.errors, validation.errorDetails);
-          }
-        }
-      });
+    // "info+events@" and "sales.team@" are still shared mailboxes
+    const mailbox = localPart.split("+")[0];
+    if (
+      options.blockRoleAddresses &&
+      [...this.ROLE_ADDRESSES, ...(options.roleAddresses || [])].some(
+        (role) => mailbox === role || mailbox.startsWith(`${role}.`),
+      )
+    ) {
+      return blocked("role address");
+    }
 
-      item.appendChild(nameSpan);
-      item.appendChild(removeBtn);
-      list.appendChild(item);
-    });
+    return { ...allowed, domain };
+  },
 
-    acceptedDiv.appendChild(list);
-    fileInput.parentElement.appendChild(acceptedDiv);
+  // check() for an email field with its form's options
+  checkField(field) {
+    return this.check(field.value, this.getOptions(field));
   },
 
-  // Hide accepted files list
-  hideAcceptedFiles(fileInput) {
-    const existingAccepted = fileInput.parentElement.querySelector(
-      ".hsfc-AcceptedFiles",
+  getMessage(field, result = this.checkField(field)) {
+    return (
+      ErrorMessageConfig.getMessage(
+        "businessEmail",
+        { domain: result.domain || "", reason: result.reason || "" },
+        field,
+      ) || "Please use your work email address."
     );
-    if (existingAccepted) {
-      existingAccepted.remove();
-    }
   },
 
-  // Remove a single file from the input by name using DataTransfer
-  removeFileFromInput(fileInput, fileName) {
-    const existing = this._accumulatedFiles.get(fileInput) || Array.from(fileInput.files || []);
-    const updated = existing.filter(f => f.name !== fileName);
-    const dt = new DataTransfer();
-    updated.forEach(f => dt.items.add(f));
-    fileInput.files = dt.files;
-    this._accumulatedFiles.set(fileInput, updated);
-  },
+  // Message under the field, shown when it loses focus with a blocked address
+  showFieldError(field, message) {
+    const container = field.closest(SelectorRegistry.get("field", field)) || field.parentElement;
+    if (!container) return;
 
-  clearFileInput(fileInput) {
-    fileInput.value = '';
-    this._accumulatedFiles.set(fileInput, []);
+    let errorElement = container.querySelector(".hsfc-EmailPolicyError");
+    if (!errorElement) {
+      errorElement = document.createElement("div");
+      errorElement.className = "hsfc-EmailPolicyError";
+      errorElement.setAttribute("role", "alert");
+      container.appendChild(errorElement);
+    }
+
+    if (errorElement.textContent !== message) {
+      errorElement.textContent = message;
+    }
+
+    const errorId = ensureElementId(errorElement, "hsfc-email-policy-error");
+    const describedBy = (field.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean);
+    if (!describedBy.includes(errorId)) {
+      field.setAttribute("aria-describedby", [...describedBy, errorId].join(" "));
+    }
   },
 
-  // Show max file size note near the file input
-  showAllowedFormatsNote(fileInput) {
-    if (fileInput.parentElement.querySelector('[data-hsfc-allowed-formats="true"]')) return;
+  hideFieldError(field) {
+    const container = field.closest(SelectorRegistry.get("field", field)) || field.parentElement;
+    const errorElement = container?.querySelector(".hsfc-EmailPolicyError");
+    if (!errorElement) return;
 
-    const fieldContainer = fileInput.closest(
-      '.hsfc-FileField, .hs-fieldtype-file, .hsfc-FormField, .hs-form-field, [data-hsfc-id$="Field"]',
-    );
-    const fieldLabel = fieldContainer?.querySelector(
-      '[data-hsfc-id="FieldLabel"], .hsfc-FieldLabel, label',
-    );
-    if (!fieldLabel) return;
+    const describedBy = (field.getAttribute("aria-describedby") || "")
+      .split(/\s+/)
+      .filter((id) => id && id !== errorElement.id);
+    if (describedBy.length > 0) {
+      field.setAttribute("aria-describedby", describedBy.join(" "));
+    } else {
+      field.removeAttribute("aria-describedby");
+    }
 
-    const desc = document.createElement('div');
-    desc.className = 'hsfc-FieldDescription';
-    desc.setAttribute('data-hsfc-id', 'FieldDescription');
-    desc.setAttribute('data-hsfc-allowed-formats', 'true');
-    desc.setAttribute('lang', document.documentElement.lang || 'en');
+    errorElement.remove();
+  },
 
-    const span = document.createElement('span');
-    span.textContent = `Allowed formats: ${this.allowedExtensions.map(e => '.' + e).join(', ')}`;
-    desc.appendChild(span);
+  // Field listener entry point: show the message on change/blur, drop it as soon as the
+  // address is acceptable again
+  updateFieldError(field, eventType) {
+    const result = this.checkField(field);
 
-    fieldLabel.insertAdjacentElement('afterend', desc);
+    if (result.allowed || !HubSpotFormValidator.isValidEmail(field.value || "")) {
+      this.hideFieldError(field);
+      if (field.getAttribute("data-hsfc-rule-invalid") === "emailPolicy") {
+        FieldRules.clearInvalid(field);
+      }
+    } else if (eventType !== "input") {
+      this.showFieldError(field, this.getMessage(field, result));
+      FieldRules.markInvalid(field, "emailPolicy");
+    }
   },
+};
 
-  showFileSizeNote(fileInput) {
-    const existingNote = fileInput.parentElement.querySelector(
-      '[data-hsfc-file-size-note="true"]',
-    );
+// Opt-in "Did you mean gmail.com?" suggestions for mistyped email domains
+const EmailSuggestions = {
+  // Module-wide options from init({ emailSuggestions }); per-form values come from FormConfig
+  _config: {
+    enabled: false,
+    domains: [],
+    topLevelDomains: [],
+    maxDistance: 2,
+  },
 
-    const noteText = `Max file size: ${this.formatFileSize(this.maxFileSize)}`;
+  // Compared as a whole domain. Very short domains are left out: one typo away from them is
+  // usually some other real domain.
+  DOMAINS: [
+    "gmail.com", "googlemail.com", "yahoo.com", "yahoo.co.uk", "yahoo.fr", "yahoo.de", "yahoo.es",
+    "yahoo.it", "yahoo.ca", "ymail.com", "hotmail.com", "hotmail.co.uk", "hotmail.fr", "hotmail.de",
+    "hotmail.es", "hotmail.it", "hotmail.nl", "hotmail.be", "outlook.com", "outlook.fr",
+    "outlook.de", "outlook.es", "live.com", "live.co.uk", "live.fr", "live.nl", "live.de",
+    "aol.com", "icloud.com", "comcast.net", "verizon.net", "sbcglobal.net", "att.net",
+    "btinternet.com", "protonmail.com", "proton.me", "gmx.com", "gmx.net", "mail.com", "yandex.com",
+    "orange.fr", "orange.es", "free.fr", "libero.it", "t-online.de", "fastmail.com",
+  ],
+
+  // Last labels of a domain; anything else one edit away from one of these is corrected
+  TOP_LEVEL_DOMAINS: [
+    "com", "net", "org", "edu", "gov", "mil", "int", "io", "co", "ai", "app", "dev", "info", "biz",
+    "me", "tv", "us", "ca", "uk", "ie", "de", "fr", "it", "es", "nl", "be", "ch", "at", "se", "no",
+    "dk", "fi", "pl", "pt", "au", "nz", "jp", "in", "br", "mx",
+  ],
+
+  // true enables the defaults; an object enables them unless enabled is false
+  normalizeOptions(options) {
+    if (typeof options === "boolean") return { enabled: options };
+    if (!options || typeof options !== "object") return {};
+
+    const config = { enabled: options.enabled !== false };
+
+    ["domains", "topLevelDomains"].forEach((key) => {
+      const list = typeof options[key] === "string" ? options[key].split(",") : options[key];
+      if (Array.isArray(list)) {
+        config[key] = list
+          .map((entry) => String(entry).trim().replace(/^[@.]/, "").toLowerCase())
+          .filter(Boolean);
+      }
+    });
 
-    if (existingNote) {
-      existingNote.textContent = noteText;
-      return;
+    const maxDistance = parseInt(options.maxDistance, 10);
+    if (Number.isFinite(maxDistance) && maxDistance > 0) {
+      config.maxDistance = maxDistance;
     }
 
-    const noteDiv = document.createElement("div");
-    noteDiv.className = "hsfc-FieldNote";
-    noteDiv.setAttribute("data-hsfc-file-size-note", "true");
-    noteDiv.textContent = noteText;
-
-    fileInput.parentElement.appendChild(noteDiv);
+    return config;
   },
 
-  // Setup validation for file inputs
-  setup(formContainer) {
-    const fileInputs = formContainer.querySelectorAll('input[type="file"]');
+  // null restores the defaults (off)
+  configure(options) {
+    this._config = {
+      enabled: false,
+      domains: [],
+      topLevelDomains: [],
+      maxDistance: 2,
+      ...this.normalizeOptions(options),
+    };
+  },
 
-    fileInputs.forEach((fileInput, index) => {
-      // HubSpot doesn't forward its "allow multiple files" setting to the DOM attribute
-      fileInput.setAttribute('multiple', 'multiple');
-      this.showAllowedFormatsNote(fileInput);
-      this.showFileSizeNote(fileInput);
+  // Per-form options for the field's form, falling back to the module-wide values
+  getOptions(context = null) {
+    return { ...this._config, ...FormConfig.get(context).emailSuggestions };
+  },
 
-      fileInput.addEventListener("change", () => {
-        const existing = this._accumulatedFiles.get(fileInput) || [];
-        const incoming = Array.from(fileInput.files || []);
+  // Edit distance counting a swap of neighbouring letters ("gmial") as one edit
+  distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
 
-        const errorDetails = [];
-        const validIncoming = [];
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
 
-        for (const file of incoming) {
-          if (existing.some(f => f.name === file.name)) continue;
-          const ext = file.name.split('.').pop().toLowerCase();
-          let fileValid = true;
-          if (file.size > this.maxFileSize) {
-            errorDetails.push({ type: 'fileSize', message: ErrorMessageConfig.getMessage('fileSize', { maxSize: this.formatFileSize(this.maxFileSize) }) || `"${file.name}" exceeds ${this.formatFileSize(this.maxFileSize)}` });
-            fileValid = false;
-          }
-          if (!this.allowedExtensions.includes(ext)) {
-            errorDetails.push({ type: 'fileType', message: ErrorMessageConfig.getMessage('fileType', { allowedTypes: this.allowedExtensions.map(e => '.' + e).join(', ') }) || `"${file.name}" type not allowed` });
-            fileValid = false;
-          }
-          if (fileValid) validIncoming.push(file);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
         }
+      }
+    }
 
-        const merged = [...existing, ...validIncoming];
-
-        if (merged.length > this.maxFiles) {
-          const allowed = Math.max(0, this.maxFiles - existing.length);
-          const trimmed = [...existing, ...validIncoming.slice(0, allowed)];
-          errorDetails.push({ type: 'fileCount', message: ErrorMessageConfig.getMessage('fileCount', { max: this.maxFiles }) || `Maximum ${this.maxFiles} files allowed.` });
-          const dt = new DataTransfer();
-          trimmed.forEach(f => dt.items.add(f));
-          fileInput.files = dt.files;
-          this._accumulatedFiles.set(fileInput, trimmed);
-          this.showAcceptedFiles(fileInput);
-          this.showError(fileInput, errorDetails.map(d => d.message), errorDetails);
-          return;
-        }
+    return rows[a.length][b.length];
+  },
 
-        const dt = new DataTransfer();
-        merged.forEach(f => dt.items.add(f));
-        fileInput.files = dt.files;
-        this._accumulatedFiles.set(fileInput, merged);
-        this.showAcceptedFiles(fileInput);
+  // Nearest candidate within maxDistance; ties go to the earlier one
+  closest(value, candidates, maxDistance) {
+    let best = null;
+    let bestDistance = maxDistance + 1;
 
-        if (errorDetails.length > 0) {
-          this.showError(fileInput, errorDetails.map(d => d.message), errorDetails);
-        } else {
-          this.hideError(fileInput);
-        }
-      });
+    candidates.forEach((candidate) => {
+      const distance = this.distance(value, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
     });
+
+    return best;
+  },
+
+  // Corrected address for a mistyped domain ("jo@gmial.con" -> "jo@gmail.com"), or null
+  suggest(value, options = this._config) {
+    const address = (value || "").trim();
+    const at = address.lastIndexOf("@");
+    if (at < 1 || at === address.length - 1) return null;
+
+    const localPart = address.slice(0, at);
+    const domain = address.slice(at + 1).toLowerCase();
+    // Regional variants (yahoo.de next to yahoo.fr) are on one of the lists, so they're left alone
+    const domains = [...this.DOMAINS, ...(options.domains || [])];
+    if (domains.includes(domain) || EmailPolicy.FREE_MAIL_DOMAINS.includes(domain)) return null;
+
+    // One edit is the most a short domain can take before everything looks like a typo
+    const maxDistance = Math.min(options.maxDistance ?? 2, domain.length >= 8 ? 2 : 1);
+    const match = this.closest(domain, domains, maxDistance);
+    if (match) return `${localPart}@${match}`;
+
+    const labels = domain.split(".");
+    const topLevel = labels.pop();
+    const topLevelDomains = [...this.TOP_LEVEL_DOMAINS, ...(options.topLevelDomains || [])];
+    if (labels.length === 0 || topLevel.length < 2 || topLevelDomains.includes(topLevel)) {
+      return null;
+    }
+
+    const topLevelMatch = this.closest(topLevel, topLevelDomains, 1);
+    return topLevelMatch ? `${localPart}@${[...labels, topLevelMatch].join(".")}` : null;
   },
 };
 
@@ -1089,6 +3107,9 @@ const ErrorMessageConfig = {
       characterLimit: "📏 Enter {limit} characters or fewer. You are {overBy} character{plural} over the limit.",
       date: "📅 Please enter a valid date.",
       phone: "📞 Please enter a valid phone number.",
+      businessEmail: "💼 Please use your work email address.",
+      minLength: "📏 Enter at least {min} characters.",
+      maxLength: "📏 Enter {max} characters or fewer.",
       file: "📎 File type not allowed. Please select a different file.",
       fileSize: "📁 File size exceeds {maxSize} limit",
       fileType: "📄 File type not allowed. Allowed types: {allowedTypes}",
@@ -1102,6 +3123,17 @@ const ErrorMessageConfig = {
       captcha: "🤖 Please complete the verification",
       submission: "⚠️ There was an error submitting the form. Please try again.",
       network: "🌐 Connection error. Please check your internet connection.",
+      // Screen reader announcement after a dropdown choice, not an error
+      optionSelected: "{option} selected",
+      // Email domain suggestion: shown and announced text, its button's label, and the
+      // announcement once it is applied
+      emailSuggestion: "Did you mean {suggestion}?",
+      emailSuggestionAction: "Use {suggestion}",
+      emailSuggestionApplied: "Email changed to {suggestion}",
+      // Announced when Next/Submit waits for an async field rule
+      rulePending: "Checking your answers…",
+      // Summary when Next/Submit is blocked without a field to point at, e.g. by a plugin check
+      stepBlocked: "⚠️ Please review this step before continuing.",
     };
   },
 
@@ -1130,7 +3162,17 @@ const ErrorMessageConfig = {
     this._config.messages = value;
   },
 
-  hasExplicitMessage(messageType) {
+  // Messages for a context element: per-form overrides > configured > window > defaults
+  getMessages(context = null) {
+    const formMessages = FormConfig.get(context).errorMessages;
+
+    return {
+      ...this.messages,
+      ...(formMessages || {}),
+    };
+  },
+
+  hasExplicitMessage(messageType, context = null) {
     const hasOwn = (obj, key) =>
       !!obj && Object.prototype.hasOwnProperty.call(obj, key);
 
@@ -1147,14 +3189,15 @@ const ErrorMessageConfig = {
         : null;
 
     return (
+      hasOwn(FormConfig.get(context).errorMessages, messageType) ||
       hasOwn(configuredMessages, messageType) ||
       hasOwn(windowMessages, messageType)
     );
   },
 
-  // Get a specific message with optional interpolation
-  getMessage(messageType, interpolations = {}) {
-    const messages = this.messages;
+  // Get a specific message with optional interpolation; context is any element inside the form
+  getMessage(messageType, interpolations = {}, context = null) {
+    const messages = this.getMessages(context);
     let message = messages[messageType];
 
     // If no custom message is defined for this type, return null
@@ -1173,15 +3216,51 @@ const ErrorMessageConfig = {
   },
 };
 
-// Matches all nav/submit buttons HubSpot renders, including submit buttons placed outside .hsfc-NavigationRow
-const NAVIGATION_BUTTON_SELECTOR =
-  '.hsfc-NavigationRow button[type="button"], .hsfc-NavigationRow button[type="submit"], button[type="submit"]';
+// Elements and attributes this library adds to HubSpot markup, removed again on destroy
+const INJECTED_ELEMENT_SELECTOR =
+  '.hsfc-CharacterCounter, .hsfc-LiveRegion, .hsfc-EmailPolicyError, .hsfc-EmailSuggestion, .hsfc-CustomCharacterError, .hsfc-CustomValidationError, .hsfc-FileError, .hsfc-AcceptedFiles, [data-hsfc-file-size-note="true"], [data-hsfc-allowed-formats="true"]';
+const INJECTED_ATTRIBUTES = [
+  "data-has-error-summary",
+  "data-hsfc-nav-scroll-capture-bound",
+  "data-hsfc-next-handler-bound",
+  "data-character-limit-enforced",
+  "data-hsfc-character-limit-set",
+];
+
+// Write an input's value through HTMLInputElement's own setter. React overrides the value
+// property on the element to remember the last value it saw, so a plain assignment made
+// before its onChange runs would make HubSpot's form state miss the edit.
+const setNativeValue = (input, value) => {
+  const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(input), "value")?.set;
+  if (setter) {
+    setter.call(input, value);
+  } else {
+    input.value = value;
+  }
+};
+
+// Ids generated for elements that aria-controls / aria-activedescendant point at
+let generatedIdCount = 0;
+const ensureElementId = (element, prefix) => {
+  if (!element.id) {
+    element.id = `${prefix}-${++generatedIdCount}`;
+  }
+  return element.id;
+};
+
+// Plugin-supplied text goes into summary descriptions, which are HTML
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char],
+  );
 
 // HubSpot form validation system - optimized for multiple forms
 const HubSpotFormValidator = {
   // HubSpot uses both 'required' and 'aria-required="true"' attributes
-  REQUIRED_FIELD_SELECTOR:
-    'input[required], select[required], textarea[required], input[aria-required="true"], select[aria-required="true"], textarea[aria-required="true"]',
+  get REQUIRED_FIELD_SELECTOR() {
+    return SelectorRegistry.get("requiredField");
+  },
 
   _config: {
     strictErrorSummaryOrdering: null,
@@ -1206,6 +3285,11 @@ const HubSpotFormValidator = {
     this._config.strictErrorSummaryOrdering = !!value;
   },
 
+  isStrictErrorSummaryOrdering(context = null) {
+    const formValue = FormConfig.get(context).strictErrorSummaryOrdering;
+    return typeof formValue === "boolean" ? formValue : this.strictErrorSummaryOrdering;
+  },
+
   getFileErrorTypes(errorElement) {
     if (!errorElement || !errorElement.getAttribute) {
       return [];
@@ -1231,9 +3315,9 @@ const HubSpotFormValidator = {
     return types.length > 0 && !types.includes("fileReupload");
   },
 
-  getFileErrorInterpolationValues() {
-    const maxSize = FileUploadValidator.getResolvedMaxFileSizeLabel();
-    const allowedTypes = FileUploadValidator.allowedExtensions
+  getFileErrorInterpolationValues(context = null) {
+    const maxSize = FileUploadValidator.getResolvedMaxFileSizeLabel(context);
+    const allowedTypes = FileUploadValidator.getAllowedExtensions(context)
       .map((ext) => `.${ext}`)
       .join(", ");
 
@@ -1246,25 +3330,25 @@ const HubSpotFormValidator = {
       return null;
     }
 
-    const interpolationValues = this.getFileErrorInterpolationValues();
+    const interpolationValues = this.getFileErrorInterpolationValues(errorElement);
 
     if (fileErrorTypes.includes("fileReupload")) {
-      return ErrorMessageConfig.getMessage("fileReupload");
+      return ErrorMessageConfig.getMessage("fileReupload", {}, errorElement);
     }
 
     if (fileErrorTypes.includes("fileSize")) {
       return ErrorMessageConfig.getMessage("fileSize", {
         maxSize: interpolationValues.maxSize,
-      });
+      }, errorElement);
     }
 
     if (fileErrorTypes.includes("fileType")) {
       return ErrorMessageConfig.getMessage("fileType", {
         allowedTypes: interpolationValues.allowedTypes,
-      });
+      }, errorElement);
     }
 
-    return ErrorMessageConfig.getMessage("file");
+    return ErrorMessageConfig.getMessage("file", {}, errorElement);
   },
 
   isSubmissionOrNetworkError(text) {
@@ -1278,21 +3362,36 @@ const HubSpotFormValidator = {
   },
 
   resolveErrorText(originalText, errorElement) {
+    const resolvedText = this._resolveErrorText(originalText, errorElement);
+
+    DebugLogger.log("error-text", {
+      errorElement,
+      originalText,
+      resolvedText,
+      changed: resolvedText !== originalText,
+    });
+
+    return resolvedText;
+  },
+
+  _resolveErrorText(originalText, errorElement) {
     const t = originalText.toLowerCase();
+    const getMessage = (messageType, interpolations = {}) =>
+      ErrorMessageConfig.getMessage(messageType, interpolations, errorElement);
     if (
       t.includes("please complete this required field") ||
       t.includes("this field is required") ||
       originalText === "Please complete this required field."
     ) {
-      return ErrorMessageConfig.getMessage('required') || originalText;
+      return getMessage('required') || originalText;
     } else if (t.includes("email") && (t.includes("valid") || t.includes("format"))) {
-      return ErrorMessageConfig.getMessage('email') || originalText;
+      return getMessage('email') || originalText;
     } else if (t.includes("must be formatted correctly") || t.includes("invalid format")) {
-      return ErrorMessageConfig.getMessage('pattern') || originalText;
+      return getMessage('pattern') || originalText;
     } else if (t.includes("please enter a valid date") || t.includes("invalid date")) {
-      return ErrorMessageConfig.getMessage('date') || originalText;
+      return getMessage('date') || originalText;
     } else if (t.includes("phone number") && (t.includes("invalid") || t.includes("wrong format"))) {
-      return ErrorMessageConfig.getMessage('phone') || originalText;
+      return getMessage('phone') || originalText;
     } else {
       const customFileMessage = this.getCustomFileErrorMessage(errorElement);
       if (customFileMessage) return customFileMessage;
@@ -1300,21 +3399,21 @@ const HubSpotFormValidator = {
       if (this.isSelectionLimitErrorText(originalText)) {
         const normalized = originalText.replace(/Error:\s*/g, "Error: ");
         const interpolations = this.getSelectionLimitInterpolations(originalText);
-        const customMessage = ErrorMessageConfig.hasExplicitMessage('selectionLimit')
-          ? ErrorMessageConfig.getMessage('selectionLimit', interpolations)
+        const customMessage = ErrorMessageConfig.hasExplicitMessage('selectionLimit', errorElement)
+          ? getMessage('selectionLimit', interpolations)
           : null;
         return customMessage || normalized;
       } else if (t.includes("url") || t.includes("website")) {
-        return ErrorMessageConfig.getMessage('url') || originalText;
+        return getMessage('url') || originalText;
       } else if (t.includes("number") || t.includes("numeric")) {
-        return ErrorMessageConfig.getMessage('number') || originalText;
+        return getMessage('number') || originalText;
       } else if (t.includes("confirmation") || t.includes("match")) {
-        return ErrorMessageConfig.getMessage('confirmation') || originalText;
+        return getMessage('confirmation') || originalText;
       } else if (t.includes("captcha") || t.includes("verification")) {
-        return ErrorMessageConfig.getMessage('captcha') || originalText;
+        return getMessage('captcha') || originalText;
       } else if (this.isSubmissionOrNetworkError(originalText)) {
         const key = (t.includes('connection') || t.includes('network')) ? 'network' : 'submission';
-        return ErrorMessageConfig.getMessage(key) || originalText;
+        return getMessage(key) || originalText;
       }
     }
     return originalText;
@@ -1386,9 +3485,9 @@ const HubSpotFormValidator = {
 
   // Helper to find navigation button (not Previous)
   findNavigationButton(step) {
-    const buttons = step.querySelectorAll(NAVIGATION_BUTTON_SELECTOR);
+    const buttons = step.querySelectorAll(MarkupAdapter.detect(step).navigationButton);
     for (const button of buttons) {
-      const buttonText = button.textContent.trim().toLowerCase();
+      const buttonText = MarkupAdapter.getButtonText(button);
       // Return any button that is NOT a previous button
       if (!buttonText.includes("previous") && !buttonText.includes("back")) {
         return button;
@@ -1401,22 +3500,63 @@ const HubSpotFormValidator = {
     const rect = element.getBoundingClientRect();
     const style = getComputedStyle(element);
 
-    return (
-      rect.width > 0 &&
-      rect.height > 0 &&
-      style.display !== "none" &&
-      style.visibility !== "hidden" &&
-      style.opacity !== "0"
-    );
-  },
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.display !== "none" &&
+      style.visibility !== "hidden" &&
+      style.opacity !== "0"
+    );
+  },
+
+  // Create validator instance for specific form
+  createValidator(formContainer) {
+    // Extra (step) => boolean checks contributed by plugins
+    const pluginChecks = PluginRegistry.run("createValidator", { formContainer }).filter(
+      (check) => typeof check === "function",
+    );
+
+    const passesPluginChecks = (step) => {
+      const failedCheck = pluginChecks.findIndex((check) => {
+        try {
+          return check(step) === false;
+        } catch (e) {
+          return false;
+        }
+      });
+
+      if (failedCheck !== -1) {
+        logDecision(false, "plugin check failed", { step, check: failedCheck });
+        return false;
+      }
+
+      logDecision(true, "all checks passed", { step });
+      return true;
+    };
+
+    const logDecision = (valid, reason, details = {}) =>
+      DebugLogger.log("validate-step", { formContainer, valid, reason, ...details });
+
+    // Async rules still running block the step; ignorePending lets handleNextButtonClick()
+    // tell "only waiting" apart from real failures
+    const passesFinalChecks = (step, ignorePending) => {
+      const [pendingField] = ignorePending ? [] : FieldRules.getUnsettledFields(step);
+
+      if (pendingField) {
+        logDecision(false, "field rule pending", {
+          step,
+          field: pendingField,
+          name: pendingField.name || pendingField.id || null,
+        });
+        return false;
+      }
+
+      return passesPluginChecks(step);
+    };
 
-  // Create validator instance for specific form
-  createValidator(formContainer) {
-    const validateVisibleStep = () => {
+    const validateVisibleStep = ({ ignorePending = false } = {}) => {
       // Find currently visible step
-      const visibleStep = Array.from(
-        formContainer.querySelectorAll(".hsfc-Step"),
-      ).find((step) => {
+      const visibleStep = MarkupAdapter.getSteps(formContainer).find((step) => {
         const computedStyle = getComputedStyle(step);
         const isVisible =
           computedStyle.display !== "none" &&
@@ -1426,25 +3566,66 @@ const HubSpotFormValidator = {
       });
 
       if (!visibleStep) {
+        logDecision(false, "no visible step");
         return false;
       }
 
       // Find navigation button
       const nextButton = this.findNavigationButton(visibleStep);
       if (!nextButton) {
+        logDecision(false, "no navigation button", { step: visibleStep });
         return false;
       }
 
       // Check for visible errors
-      const errorElements = visibleStep.querySelectorAll(".hsfc-ErrorAlert");
-      const hasVisibleErrors = Array.from(errorElements).some(
+      const errorElements = MarkupAdapter.getErrorAlerts(visibleStep);
+      const visibleError = errorElements.find(
         (errorEl) =>
           this.isElementVisible(errorEl) &&
           errorEl.textContent.trim() !== "" &&
           !this.isSuppressibleFileError(errorEl),
       );
 
-      if (hasVisibleErrors) {
+      if (visibleError) {
+        logDecision(false, "HubSpot error visible", {
+          step: visibleStep,
+          field: this.findFieldForError(visibleError),
+          message: visibleError.textContent.trim(),
+        });
+        return false;
+      }
+
+      // Phone numbers are checked against the selected country even in optional fields
+      const invalidPhoneField = Array.from(
+        visibleStep.querySelectorAll('input[type="tel"]'),
+      ).find(
+        (field) =>
+          FieldValidator.hasPhoneNumber(field) &&
+          !FieldValidator.isFieldValid(field, visibleStep),
+      );
+
+      if (invalidPhoneField) {
+        logDecision(false, "phone number invalid", {
+          step: visibleStep,
+          field: invalidPhoneField,
+          name: invalidPhoneField.name || invalidPhoneField.id || null,
+          why: DebugLogger.enabled
+            ? FieldValidator.getInvalidReason(invalidPhoneField, visibleStep)
+            : undefined,
+        });
+        return false;
+      }
+
+      // Declarative rules apply to optional fields as well
+      const [ruleFailure] = FieldRules.getFailures(visibleStep);
+
+      if (ruleFailure) {
+        logDecision(false, "field rule failed", {
+          step: visibleStep,
+          field: ruleFailure.field,
+          name: ruleFailure.field.name || ruleFailure.field.id || null,
+          why: ruleFailure.rule,
+        });
         return false;
       }
 
@@ -1454,7 +3635,7 @@ const HubSpotFormValidator = {
       );
 
       if (requiredFields.length === 0) {
-        return true;
+        return passesFinalChecks(visibleStep, ignorePending);
       }
 
       // Validate required fields are filled - use centralized field validation
@@ -1473,16 +3654,30 @@ const HubSpotFormValidator = {
         return true;
       });
 
-      const allRequiredFilled = fieldsToValidate.every(isFieldValid);
+      const invalidField = fieldsToValidate.find((field) => !isFieldValid(field));
+
+      if (invalidField) {
+        logDecision(false, "required field invalid", {
+          step: visibleStep,
+          field: invalidField,
+          name: invalidField.name || invalidField.id || null,
+          why: DebugLogger.enabled
+            ? FieldValidator.getInvalidReason(invalidField, visibleStep)
+            : undefined,
+        });
+        return false;
+      }
 
-      return allRequiredFilled;
+      return passesFinalChecks(visibleStep, ignorePending);
     };
 
     return { validateVisibleStep };
   },
 
-  // Show custom HubSpot-style error message with WCAG compliance
-  showValidationError(step, formContainer = null) {
+  // Show custom HubSpot-style error message with WCAG compliance. With blocked set, the step
+  // was kept from advancing, so a summary is shown even without entries (a plugin check can
+  // fail without contributing one).
+  showValidationError(step, formContainer = null, { blocked = false } = {}) {
     // Remove any existing custom error
     const existingError = step.querySelector(".hsfc-CustomValidationError");
     if (existingError) {
@@ -1492,9 +3687,14 @@ const HubSpotFormValidator = {
     // Find all fields with errors to create descriptive links
     const fieldsWithErrors = this.getFieldsWithErrors(step, formContainer);
 
-    if (fieldsWithErrors.length === 0) {
+    const stepBlockedMessage =
+      fieldsWithErrors.length === 0 && blocked
+        ? ErrorMessageConfig.getMessage("stepBlocked", {}, step)
+        : null;
+
+    if (fieldsWithErrors.length === 0 && !stepBlockedMessage) {
       // No errors found, don't show error box
-      return;
+      return fieldsWithErrors;
     }
 
     // Create error container
@@ -1505,7 +3705,9 @@ const HubSpotFormValidator = {
 
     // Create main error message
     const heading = document.createElement("div");
-    heading.textContent = `This form contains ${fieldsWithErrors.length} error${fieldsWithErrors.length > 1 ? "s" : ""}. Please review the following:`;
+    heading.textContent =
+      stepBlockedMessage ||
+      `This form contains ${fieldsWithErrors.length} error${fieldsWithErrors.length > 1 ? "s" : ""}. Please review the following:`;
     errorDiv.appendChild(heading);
 
     // Create list of error links
@@ -1541,23 +3743,28 @@ const HubSpotFormValidator = {
       errorList.appendChild(listItem);
     });
 
-    errorDiv.appendChild(errorList);
+    if (fieldsWithErrors.length > 0) {
+      errorDiv.appendChild(errorList);
+    }
 
     // Find the step content area
-    const stepContent = step.querySelector(".hsfc-Step__Content") || step;
+    const stepContent = MarkupAdapter.getStepContent(step);
 
-    // Ensure the step content uses flexbox for proper ordering
-    const stepContentStyle = getComputedStyle(stepContent);
-    if (
-      stepContentStyle.display !== "flex" &&
-      stepContentStyle.display !== "inline-flex"
-    ) {
-      stepContent.style.display = "flex";
-      stepContent.style.flexDirection = "column";
-    }
+    // Legacy forms have no progress bar to order against, and flex would change their layout
+    if (MarkupAdapter.detect(step).flexboxOrdering) {
+      // Ensure the step content uses flexbox for proper ordering
+      const stepContentStyle = getComputedStyle(stepContent);
+      if (
+        stepContentStyle.display !== "flex" &&
+        stepContentStyle.display !== "inline-flex"
+      ) {
+        stepContent.style.display = "flex";
+        stepContent.style.flexDirection = "column";
+      }
 
-    // Add fallback classes for browsers that don't support :has()
-    HubSpotFormManager.addFlexboxFallbackClasses(step, stepContent);
+      // Add fallback classes for browsers that don't support :has()
+      HubSpotFormManager.addFlexboxFallbackClasses(step, stepContent);
+    }
 
     // Check if there's already a repositioned progress bar in the correct position
     // If so, we insert the validation error before it (so error appears above progress bar)
@@ -1588,12 +3795,28 @@ const HubSpotFormValidator = {
 
     // Store reference for persistent checking (no auto-remove)
     step.setAttribute("data-has-error-summary", "true");
+
+    return fieldsWithErrors;
+  },
+
+  // Plain-text error message for a getFieldsWithErrors() entry (descriptions are HTML)
+  getErrorEntryMessage(entry) {
+    if (typeof entry.description !== "string") {
+      return "";
+    }
+
+    const temp = document.createElement("div");
+    temp.innerHTML = entry.description;
+    const textElement = temp.querySelector(".customValidationErrorText");
+
+    return (textElement || temp).textContent.trim();
   },
 
   // Get fields with errors and their descriptions
   getFieldsWithErrors(step, formContainer = null) {
     const fieldsWithErrors = [];
-    const useStrictOrdering = this.strictErrorSummaryOrdering;
+    const useStrictOrdering = this.isStrictErrorSummaryOrdering(formContainer || step);
+    const markup = MarkupAdapter.detect(step);
     const normalizeLabel = (text) =>
       (text || "")
         .normalize("NFKD")
@@ -1621,20 +3844,14 @@ const HubSpotFormValidator = {
       );
     };
 
-    const fieldContainers = Array.from(
-      step.querySelectorAll(
-        ".hsfc-TextField, .hsfc-EmailField, .hsfc-FileField, .hsfc-PhoneField, .hsfc-DateField, .hsfc-CheckboxFieldGroup, .hsfc-RadioFieldGroup, .hsfc-FormField, .hs-form-field, [data-hsfc-id$='Field'], [data-hsfc-id$='FieldGroup']",
-      ),
-    );
+    const fieldContainers = Array.from(step.querySelectorAll(markup.fieldContainer));
 
     const getContainerLabel = (container) => {
       if (!(container instanceof Element)) {
         return "";
       }
 
-      const labelElement = container.querySelector(
-        ':scope > [data-hsfc-id="FieldLabel"]:not(.hsfc-label-without-required), :scope > .hsfc-FieldLabel:not(.hsfc-label-without-required), :scope > legend, [data-hsfc-id="FieldLabel"]:not(.hsfc-label-without-required), .hsfc-FieldLabel:not(.hsfc-label-without-required), legend',
-      );
+      const labelElement = container.querySelector(markup.fieldLabel);
 
       return labelElement?.textContent?.trim() || "";
     };
@@ -1649,15 +3866,9 @@ const HubSpotFormValidator = {
     });
 
     const visualFieldOrder = new Map();
-    const visibleFieldLabels = Array.from(
-      step.querySelectorAll(
-        '[data-hsfc-id="FieldLabel"]:not(.hsfc-label-without-required), .hsfc-FieldLabel:not(.hsfc-label-without-required), legend',
-      ),
-    )
+    const visibleFieldLabels = Array.from(step.querySelectorAll(markup.fieldLabel))
       .map((labelElement) => {
-        const parentFieldContainer = labelElement.closest(
-          ".hsfc-TextField, .hsfc-EmailField, .hsfc-FileField, .hsfc-PhoneField, .hsfc-DateField, .hsfc-CheckboxFieldGroup, .hsfc-RadioFieldGroup, .hsfc-FormField, .hs-form-field, [data-hsfc-id$='Field'], [data-hsfc-id$='FieldGroup']",
-        );
+        const parentFieldContainer = labelElement.closest(markup.fieldContainer);
 
         if (!parentFieldContainer || !isElementVisible(parentFieldContainer)) {
           return "";
@@ -1692,9 +3903,7 @@ const HubSpotFormValidator = {
     }
 
     // Find all visible error messages
-    const errorElements = step.querySelectorAll(
-      ".hsfc-ErrorAlert:not(.hsfc-CustomValidationError)",
-    );
+    const errorElements = MarkupAdapter.getErrorAlerts(step);
 
     for (const errorEl of errorElements) {
       // Size/count/type file errors are informational — keep them out of the summary.
@@ -1773,12 +3982,22 @@ const HubSpotFormValidator = {
           `Field "${field.name || field.id || "unknown"}"`;
 
         // For date fields with existing errors, don't add duplicate mandatory message
-        if (field.classList?.contains('hsfc-DateInput') && field.getAttribute('aria-invalid') === 'true') {
+        if (MarkupAdapter.isDateInput(field) && field.getAttribute('aria-invalid') === 'true') {
           continue; // Skip - HubSpot error message should already be in the list
         }
 
-        const customMessage = ErrorMessageConfig.getMessage('required');
-        const errorMessage = customMessage || "Please complete this required field.";
+        // A typed phone number that fails validation isn't missing, it's wrong
+        const isWrongPhoneNumber = field.type === "tel" && FieldValidator.hasPhoneNumber(field);
+        const customMessage = ErrorMessageConfig.getMessage(
+          isWrongPhoneNumber ? 'phone' : 'required',
+          {},
+          field,
+        );
+        const errorMessage =
+          customMessage ||
+          (isWrongPhoneNumber
+            ? "Please enter a valid phone number."
+            : "Please complete this required field.");
         const errorDescription = `<span class="customValidationErrorLabel">${fieldLabel}:</span> <span class="customValidationErrorText">${errorMessage}</span>`;
 
         fieldsWithErrors.push({
@@ -1790,6 +4009,22 @@ const HubSpotFormValidator = {
       }
     }
 
+    // Declarative rules come before the generic format checks so their messages win
+    for (const { field, message } of FieldRules.getFailures(step)) {
+      if (fieldsWithErrors.some((f) => f.field === field)) continue;
+
+      const fieldLabel =
+        this.getFieldLabel(field) ||
+        `Field "${field.name || field.id || "unknown"}"`;
+
+      fieldsWithErrors.push({
+        field,
+        fieldLabel,
+        description: `<span class="customValidationErrorLabel">${fieldLabel}:</span> <span class="customValidationErrorText">${message}</span>`,
+        errorElement: null,
+      });
+    }
+
     // Check for format validation on fields that have values (not empty)
     const allFields = step.querySelectorAll("input, select, textarea");
 
@@ -1814,16 +4049,27 @@ const HubSpotFormValidator = {
         field.name?.toLowerCase().includes("email")
       ) {
         if (!this.isValidEmail(field.value)) {
-          const customMessage = ErrorMessageConfig.getMessage('email');
+          const customMessage = ErrorMessageConfig.getMessage('email', {}, field);
           const errorMessage = customMessage || "must be formatted correctly";
           formatError = `<span class="customValidationErrorLabel">${fieldLabel}</span> <span class="customValidationErrorText">${errorMessage}</span>`;
         }
       }
+      // Check phone numbers against the selected country
+      else if (field.type === "tel") {
+        if (
+          FieldValidator.hasPhoneNumber(field) &&
+          !FieldValidator.isFieldValid(field, step)
+        ) {
+          const customMessage = ErrorMessageConfig.getMessage('phone', {}, field);
+          const errorMessage = customMessage || "Please enter a valid phone number.";
+          formatError = `<span class="customValidationErrorLabel">${fieldLabel}:</span> <span class="customValidationErrorText">${errorMessage}</span>`;
+        }
+      }
       // Check fields with pattern attribute
       else if (field.hasAttribute("pattern")) {
         try {
           if (!field.value.match(new RegExp(field.pattern))) {
-            const customMessage = ErrorMessageConfig.getMessage('pattern');
+            const customMessage = ErrorMessageConfig.getMessage('pattern', {}, field);
             const errorMessage = customMessage || "must be formatted correctly";
             formatError = `<span class="customValidationErrorLabel">${fieldLabel}</span> <span class="customValidationErrorText">${errorMessage}</span>`;
           }
@@ -1863,7 +4109,7 @@ const HubSpotFormValidator = {
           this.getFieldLabel(field) ||
           `Field "${field.name || field.id || "unknown"}"`;
 
-        const customMessage = ErrorMessageConfig.getMessage('required');
+        const customMessage = ErrorMessageConfig.getMessage('required', {}, field);
         const errorMessage = customMessage || "Please complete this required field.";
         fieldsWithErrors.push({
           field: field,
@@ -1891,6 +4137,31 @@ const HubSpotFormValidator = {
       }
     }
 
+    // Plugin entries: { field, message } or a prebuilt { field, fieldLabel, description }
+    const pluginEntries = PluginRegistry.run("getFieldsWithErrors", {
+      step,
+      formContainer,
+      fieldsWithErrors: fieldsWithErrors.slice(),
+    }).flat();
+
+    for (const entry of pluginEntries) {
+      if (!entry?.field || fieldsWithErrors.some((f) => f.field === entry.field)) continue;
+
+      const fieldLabel =
+        entry.fieldLabel ||
+        this.getFieldLabel(entry.field) ||
+        `Field "${entry.field.name || entry.field.id || "unknown"}"`;
+
+      fieldsWithErrors.push({
+        field: entry.field,
+        fieldLabel,
+        description:
+          entry.description ||
+          `<span class="customValidationErrorLabel">${escapeHtml(fieldLabel)}:</span> <span class="customValidationErrorText">${escapeHtml(entry.message || "")}</span>`,
+        errorElement: entry.errorElement || null,
+      });
+    }
+
     // Sort by visual DOM order so the error summary matches form field order.
     // Use stable field containers as anchors to avoid hidden/re-rendered input drift.
     const getSortAnchor = (field) => {
@@ -1901,26 +4172,20 @@ const HubSpotFormValidator = {
       const isGroupField = field.type === "radio" || field.type === "checkbox";
 
       if (isGroupField) {
-        const groupContainer = field.closest(
-          ".hsfc-RadioFieldGroup, .hsfc-CheckboxFieldGroup, .hs-fieldtype-radio, .hs-fieldtype-checkbox",
-        );
+        const groupContainer = field.closest(markup.groupField);
 
         if (groupContainer) {
           return groupContainer;
         }
       }
 
-      const fileContainer = field.closest(
-        ".hsfc-FileField, .hs-fieldtype-file",
-      );
+      const fileContainer = field.closest(markup.fileField);
 
       if (fileContainer) {
         return fileContainer;
       }
 
-      const fieldContainer = field.closest(
-        ".hs-form-field, .hsfc-FormField, [data-hsfc-id*='Field']",
-      );
+      const fieldContainer = field.closest(markup.fieldContainer);
 
       if (fieldContainer) {
         return fieldContainer;
@@ -2043,15 +4308,13 @@ const HubSpotFormValidator = {
 
     // Strategy 2: Within same form field container
     field = errorEl
-      .closest(".hs-form-field, .hsfc-FormField")
+      .closest(SelectorRegistry.get("field", errorEl))
       ?.querySelector("input, select, textarea");
     if (field) return field;
 
     // Strategy 3: Within specific field type containers
     field = errorEl
-      .closest(
-        ".hs-fieldtype-text, .hs-fieldtype-email, .hs-fieldtype-number, .hs-fieldtype-select, .hs-fieldtype-textarea",
-      )
+      .closest(SelectorRegistry.get("fieldTypeContainer", errorEl))
       ?.querySelector("input, select, textarea");
     if (field) return field;
 
@@ -2074,7 +4337,8 @@ const HubSpotFormValidator = {
 
     // Strategy 6: Look in parent's previous children
     let parentEl = errorEl.parentElement;
-    while (parentEl && !parentEl.matches(".hsfc-Step")) {
+    const boundary = SelectorRegistry.get("step", errorEl) || SelectorRegistry.get("form", errorEl);
+    while (parentEl && !parentEl.matches(boundary)) {
       const fieldInParent = parentEl.querySelector("input, select, textarea");
       if (fieldInParent) return fieldInParent;
       parentEl = parentEl.parentElement;
@@ -2088,28 +4352,24 @@ const HubSpotFormValidator = {
     // Special handling for radio and checkbox fields
     if (field.type === "radio" || field.type === "checkbox") {
       // Strategy 1: Look for the field group container
-      let groupContainer = field.closest(
-        ".hsfc-RadioFieldGroup, .hsfc-CheckboxFieldGroup",
-      );
+      let groupContainer = field.closest(SelectorRegistry.get("groupField", field));
 
       if (groupContainer) {
         // Look for the group label (usually at the top of the group)
-        const groupLabel = groupContainer.querySelector(
-          'label[data-hsfc-id="FieldLabel"]:first-child, .hsfc-FieldLabel:first-child',
-        );
+        const groupLabel = Array.from(
+          groupContainer.querySelectorAll(SelectorRegistry.get("label", field)),
+        ).find((label) => label.matches(":first-child"));
         if (groupLabel && groupLabel.textContent.trim()) {
           return groupLabel.textContent.trim().replace(/\s*\*\s*$/, "");
         }
       }
 
       // Strategy 2: Look for parent field container that might contain group info
-      let parentField = field.closest('[data-hsfc-id*="Field"]');
+      let parentField = field.closest(SelectorRegistry.get("fieldContainer", field));
 
       if (parentField) {
         // Look for any label in the parent that's not the individual option label
-        const parentLabel = parentField.querySelector(
-          'label[data-hsfc-id="FieldLabel"]',
-        );
+        const parentLabel = parentField.querySelector(SelectorRegistry.get("label", field));
         if (
           parentLabel &&
           !parentLabel.contains(field) &&
@@ -2132,9 +4392,9 @@ const HubSpotFormValidator = {
     // Standard field label detection (for individual fields like text, email, etc.)
     const label =
       field
-        .closest(".hs-form-field, .hsfc-FormField")
+        .closest(SelectorRegistry.get("field", field))
         ?.querySelector("label") ||
-      document.querySelector(`label[for="${field.id}"]`);
+      field.getRootNode().querySelector?.(`label[for="${field.id}"]`);
 
     if (label) {
       return label.textContent.trim().replace(/\s*\*\s*$/, ""); // Remove asterisk
@@ -2143,12 +4403,10 @@ const HubSpotFormValidator = {
     // Extended label detection strategies for date fields and other field types
     // Strategy 1: Look for label with data-hsfc-id="FieldLabel" in various parent containers
     let parentContainer = field.closest(
-      '.hsfc-FormField, .hsfc-Row, .hs-form-field, [data-hsfc-id*="Field"]',
+      `${SelectorRegistry.get("field", field)}, ${SelectorRegistry.get("row", field)}, ${SelectorRegistry.get("fieldContainer", field)}`,
     );
     if (parentContainer) {
-      const fieldLabel = parentContainer.querySelector(
-        'label[data-hsfc-id="FieldLabel"], .hsfc-FieldLabel',
-      );
+      const fieldLabel = parentContainer.querySelector(SelectorRegistry.get("label", field));
       if (fieldLabel && fieldLabel.textContent.trim()) {
         return fieldLabel.textContent.trim().replace(/\s*\*\s*$/, "");
       }
@@ -2231,10 +4489,8 @@ const HubSpotFormValidator = {
     if (!errorSummary) return;
 
     // Check if there are still visible errors (excluding our notifications)
-    const remainingErrors = step.querySelectorAll(
-      ".hsfc-ErrorAlert:not(.hsfc-CustomValidationError)",
-    );
-    const hasVisibleErrors = Array.from(remainingErrors).some(
+    const remainingErrors = MarkupAdapter.getErrorAlerts(step);
+    const hasVisibleErrors = remainingErrors.some(
       (errorEl) =>
         this.isElementVisible(errorEl) &&
         errorEl.textContent.trim() !== "" &&
@@ -2268,12 +4524,25 @@ const HubSpotFormValidator = {
       CharacterLimitValidator.hasCharacterLimitError(textarea),
     );
 
-    if (!hasVisibleErrors && !hasEmptyRequired && !hasCharacterLimitErrors) {
+    // Optional phone fields count once a number has been typed
+    const hasInvalidPhone = Array.from(step.querySelectorAll('input[type="tel"]')).some(
+      (field) => FieldValidator.hasPhoneNumber(field) && !FieldValidator.isFieldValid(field, step),
+    );
+
+    const hasRuleFailures = FieldRules.getFailures(step).length > 0;
+
+    if (
+      !hasVisibleErrors &&
+      !hasEmptyRequired &&
+      !hasCharacterLimitErrors &&
+      !hasInvalidPhone &&
+      !hasRuleFailures
+    ) {
       errorSummary.remove();
       step.removeAttribute("data-has-error-summary");
 
       // Clean up fallback classes when validation error is removed
-      const stepContent = step.querySelector(".hsfc-Step__Content") || step;
+      const stepContent = MarkupAdapter.getStepContent(step);
       HubSpotFormManager.removeFlexboxFallbackClasses(step, stepContent);
     }
   },
@@ -2284,6 +4553,16 @@ const HubSpotFormValidator = {
   },
 };
 
+// Subsystems setupSingleForm() and core.js may install; false skips all of its listeners and observers
+const DEFAULT_FEATURES = {
+  phone: true,
+  dropdown: true,
+  progressBar: true,
+  characterLimit: true,
+  fileUpload: true,
+  nativeErrorReplacement: true,
+};
+
 // Form management system
 const HubSpotFormManager = {
   // Track initialized forms to prevent duplicates
@@ -2292,10 +4571,42 @@ const HubSpotFormManager = {
   // Track cleanup resources for each form
   formCleanupMap: new WeakMap(),
 
-  // Temporary suppression set for native HubSpot renderer scroll jumps
-  rendererScrollSuppressedForms: new Set(),
+  // Form containers with a live cleanup controller, so destroyAll() can reach them
+  activeForms: new Set(),
+
+  // How long ready()/whenFormReady() and the initial form observer wait for a form
+  FORM_READY_TIMEOUT_MS: 10000,
+
+  // message listener and hbspt.forms.create wrapper, see installLifecycleBridge()
+  _lifecycleBridge: null,
+
+  // Shadow DOM: look inside open shadow roots, and optionally adopt our stylesheet there
+  discoverShadowRoots: false,
+  adoptStyles: false,
+  // shadow root -> { observer, adoptedSheet, styleElement }
+  _shadowRoots: new Map(),
+  // Set by core.js to attach its class/positioning observers to each new shadow root
+  _onShadowRootSetup: null,
+
+  // Optional selector limiting automatic setup (setupAllForms, observers, lifecycle signals)
+  // to forms matching it or inside an element matching it. setupSingleForm() is not limited.
+  formSelector: null,
+
+  // Page-wide state shared by every manager instance (see createInstance)
+  // Which manager enhanced each form, so instances never set up or tear down each other's forms
+  formOwners: new WeakMap(),
+
+  // Temporary suppression map (form -> cleanup) for native HubSpot renderer scroll jumps
+  rendererScrollSuppressedForms: new Map(),
   _rendererScrollPatchInstalled: false,
   _originalScrollIntoView: null,
+  _patchedScrollIntoView: null,
+  _scrollPatchUsers: new Set(),
+
+  DEFAULT_FEATURES,
+
+  // Replaced as a whole by configureFeatures()
+  features: { ...DEFAULT_FEATURES },
 
   // Configuration for mobile step-change scroll behavior
   mobileStepScrollResetConfig: {
@@ -2356,8 +4667,84 @@ const HubSpotFormManager = {
     this.mobileStepScrollResetConfig = defaults;
   },
 
+  // Keep only known feature names with boolean values
+  normalizeFeatures(featureOption = {}) {
+    const features = {};
+
+    Object.keys(this.DEFAULT_FEATURES).forEach((name) => {
+      if (typeof featureOption[name] === "boolean") {
+        features[name] = featureOption[name];
+      }
+    });
+
+    return features;
+  },
+
+  configureFeatures(featureOption) {
+    this.features = {
+      ...this.DEFAULT_FEATURES,
+      ...(featureOption && typeof featureOption === "object"
+        ? this.normalizeFeatures(featureOption)
+        : {}),
+    };
+  },
+
+  // Per-form features (options or FormConfig) win over the manager-wide map
+  isFeatureEnabled(name, context = null) {
+    const formFeatures = context ? FormConfig.get(context).features : null;
+
+    if (formFeatures && typeof formFeatures[name] === "boolean") {
+      return formFeatures[name];
+    }
+
+    return this.features[name] !== false;
+  },
+
+  // True when element is inside a form matched by formSelector (or no selector is set)
+  isInFormScope(element, formSelector = this.formSelector) {
+    if (!formSelector) {
+      return true;
+    }
+
+    try {
+      // Walk out through shadow hosts so formSelector can match the host of a web component
+      for (let current = element; current; current = current.getRootNode().host) {
+        if (current.closest(formSelector)) {
+          return true;
+        }
+      }
+
+      return false;
+    } catch (e) {
+      DebugLogger.log("invalid-form-selector", { formSelector, error: e });
+      return false;
+    }
+  },
+
+  // Isolated manager: shares these methods but owns its form tracking, cleanup
+  // controllers, global observer and scroll config. Used by createFormEnhancer().
+  createInstance(options = {}) {
+    const instance = Object.create(HubSpotFormManager);
+
+    instance.initializedForms = new WeakSet();
+    instance.formCleanupMap = new WeakMap();
+    instance.activeForms = new Set();
+    instance._globalObserver = null;
+    instance._lifecycleBridge = null;
+    instance.formSelector = options.formSelector || null;
+    instance.discoverShadowRoots = !!options.shadowRoots;
+    instance.adoptStyles = options.adoptStyles || false;
+    instance._shadowRoots = new Map();
+    instance._onShadowRootSetup = null;
+    instance.configureMobileStepScrollReset(options.mobileStepScrollReset);
+    instance.configureFeatures(options.features);
+
+    return instance;
+  },
+
   // Create cleanup controller for a form
   createFormCleanup(formContainer) {
+    const manager = this;
     const cleanup = {
       abortController: new AbortController(),
       observers: [],
@@ -2371,12 +4758,15 @@ const HubSpotFormManager = {
       _suppressRendererAutoScrollUntil: 0,
       _clearSuppressTimer: null,
 
+      // Next/Submit click waiting for async field rules (see waitForFieldRules)
+      _pendingRuleRetry: null,
+
       // Method to get current visible step with caching
       getVisibleStep() {
         if (!this._cacheValid || !this._cachedVisibleStep) {
-          this._cachedVisibleStep = Array.from(
-            formContainer.querySelectorAll(".hsfc-Step"),
-          ).find((step) => getComputedStyle(step).display !== "none");
+          this._cachedVisibleStep = MarkupAdapter.getSteps(formContainer).find(
+            (step) => getComputedStyle(step).display !== "none",
+          );
           this._cacheValid = true;
         }
         return this._cachedVisibleStep;
@@ -2421,12 +4811,14 @@ const HubSpotFormManager = {
           this._clearSuppressTimer = null;
         }
         HubSpotFormManager.rendererScrollSuppressedForms.delete(formContainer);
+        manager.activeForms.delete(formContainer);
         this.observers.length = 0;
         this.globalListeners.length = 0;
       },
     };
 
     this.formCleanupMap.set(formContainer, cleanup);
+    this.activeForms.add(formContainer);
     return cleanup;
   },
 
@@ -2435,22 +4827,26 @@ const HubSpotFormManager = {
     return this.formCleanupMap.get(formContainer);
   },
 
+  // The prototype patch is page-wide, so its state lives on HubSpotFormManager itself
+  // and is reference-counted across manager instances
   installRendererScrollPatch() {
-    if (this._rendererScrollPatchInstalled || typeof Element === "undefined") {
+    if (typeof Element === "undefined") {
       return;
     }
 
-    this._originalScrollIntoView = Element.prototype.scrollIntoView;
+    const shared = HubSpotFormManager;
+    shared._scrollPatchUsers.add(this);
 
-    Element.prototype.scrollIntoView = function patchedRendererScrollIntoView(...args) {
-      if (this?.classList?.contains("hsfc-Renderer")) {
-        for (const formContainer of HubSpotFormManager.rendererScrollSuppressedForms) {
-          if (!this.contains(formContainer)) {
-            continue;
-          }
+    if (shared._rendererScrollPatchInstalled) {
+      return;
+    }
 
-          const cleanup = HubSpotFormManager.getFormCleanup(formContainer);
-          if (!cleanup) {
+    shared._originalScrollIntoView = Element.prototype.scrollIntoView;
+
+    shared._patchedScrollIntoView = function patchedRendererScrollIntoView(...args) {
+      if (this?.matches?.(SelectorRegistry.get("renderer"))) {
+        for (const [formContainer, cleanup] of shared.rendererScrollSuppressedForms) {
+          if (!this.contains(formContainer)) {
             continue;
           }
 
@@ -2460,73 +4856,374 @@ const HubSpotFormManager = {
         }
       }
 
-      return HubSpotFormManager._originalScrollIntoView.apply(this, args);
+      return shared._originalScrollIntoView.apply(this, args);
     };
 
-    this._rendererScrollPatchInstalled = true;
+    Element.prototype.scrollIntoView = shared._patchedScrollIntoView;
+    shared._rendererScrollPatchInstalled = true;
+  },
+
+  uninstallRendererScrollPatch() {
+    const shared = HubSpotFormManager;
+    shared._scrollPatchUsers.delete(this);
+
+    if (
+      !shared._rendererScrollPatchInstalled ||
+      shared._scrollPatchUsers.size > 0 ||
+      typeof Element === "undefined"
+    ) {
+      return;
+    }
+
+    // Only restore the native method if nobody has patched over ours since
+    if (Element.prototype.scrollIntoView === shared._patchedScrollIntoView) {
+      Element.prototype.scrollIntoView = shared._originalScrollIntoView;
+    }
+
+    shared.rendererScrollSuppressedForms.clear();
+    shared._originalScrollIntoView = null;
+    shared._patchedScrollIntoView = null;
+    shared._rendererScrollPatchInstalled = false;
+  },
+
+  // Setup validation for all forms on page (or inside root)
+  setupAllForms(root = document, options = {}) {
+    this.installRendererScrollPatch();
+    this.setupFormsInRoot(root, options);
+    this.installLifecycleBridge(root, options);
+
+    if (this.discoverShadowRoots) {
+      this.findOpenShadowRoots(root).forEach((shadowRoot) =>
+        this.setupFormsInRoot(shadowRoot, options),
+      );
+    }
+  },
+
+  // Forms directly inside root (a document, element or shadow root) plus an observer for later ones
+  setupFormsInRoot(root, options = {}) {
+    if (this.isShadowRoot(root)) {
+      this.prepareShadowRoot(root);
+    }
+
+    const hubspotForms = MarkupAdapter.findForms(root).filter((form) =>
+      this.isInFormScope(form),
+    );
+
+    if (hubspotForms.length > 0) {
+      removeHubSpotFormStyles();
+
+      hubspotForms.forEach((formContainer, index) => {
+        this.setupSingleForm(formContainer, options);
+      });
+    }
+
+    this.setupGlobalObserver(root === document ? document.body : root, options);
+  },
+
+  isShadowRoot(node) {
+    return typeof ShadowRoot !== "undefined" && node instanceof ShadowRoot;
+  },
+
+  // Open shadow roots at or below node, including nested ones (closed roots are unreachable)
+  findOpenShadowRoots(node) {
+    const elements = Array.from(node.querySelectorAll?.("*") || []);
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      elements.unshift(node);
+    }
+
+    return elements
+      .filter((element) => element.shadowRoot)
+      .flatMap((element) => [element.shadowRoot, ...this.findOpenShadowRoots(element.shadowRoot)]);
+  },
+
+  // Shadow roots don't see the page's BaseStyle removal or stylesheet, so handle both here once
+  prepareShadowRoot(shadowRoot) {
+    if (this._shadowRoots.has(shadowRoot)) {
+      return;
+    }
+
+    const entry = {};
+    this._shadowRoots.set(shadowRoot, entry);
+
+    removeHubSpotFormStyles(shadowRoot);
+
+    if (this.adoptStyles) {
+      Object.assign(entry, this.adoptStylesInto(shadowRoot, this.adoptStyles));
+    }
+
+    this._onShadowRootSetup?.(shadowRoot);
+  },
+
+  // source: a CSSStyleSheet, CSS text, or true to copy the page's rules that target .hsfc-*
+  adoptStylesInto(shadowRoot, source) {
+    const hasConstructableSheets =
+      typeof CSSStyleSheet !== "undefined" &&
+      "adoptedStyleSheets" in shadowRoot &&
+      typeof CSSStyleSheet.prototype.replaceSync === "function";
+    const isSheet = typeof CSSStyleSheet !== "undefined" && source instanceof CSSStyleSheet;
+
+    if (hasConstructableSheets) {
+      try {
+        let adoptedSheet = source;
+
+        if (!isSheet) {
+          adoptedSheet = new CSSStyleSheet();
+          adoptedSheet.replaceSync(
+            typeof source === "string" ? source : this.getEnhancementCssText(),
+          );
+        }
+
+        shadowRoot.adoptedStyleSheets = [...shadowRoot.adoptedStyleSheets, adoptedSheet];
+        return { adoptedSheet };
+      } catch (e) {
+        // Fall through to a <style> element
+      }
+    }
+
+    const cssText = isSheet
+      ? Array.from(source.cssRules, (rule) => rule.cssText).join("\n")
+      : typeof source === "string"
+        ? source
+        : this.getEnhancementCssText();
+
+    if (!cssText) {
+      return {};
+    }
+
+    const styleElement = document.createElement("style");
+    styleElement.setAttribute("data-hsfc-adopted-styles", "true");
+    styleElement.textContent = cssText;
+    shadowRoot.appendChild(styleElement);
+
+    return { styleElement };
+  },
+
+  // Rules from same-origin page stylesheets that style .hsfc-* (the package CSS and theme overrides)
+  getEnhancementCssText() {
+    return Array.from(document.styleSheets)
+      .map((sheet) => {
+        try {
+          const rules = Array.from(sheet.cssRules, (rule) => rule.cssText);
+          return rules.some((rule) => rule.includes(".hsfc-")) ? rules.join("\n") : "";
+        } catch (e) {
+          // Cross-origin stylesheet - rules are not readable
+          return "";
+        }
+      })
+      .filter(Boolean)
+      .join("\n");
+  },
+
+  // Setup validation for individual form
+  // options: per-form characterLimit, allowedExtensions, maxFileSize, maxFiles,
+  // errorMessages and strictErrorSummaryOrdering (see FormConfig)
+  setupSingleForm(formContainer, options = {}) {
+    this.installRendererScrollPatch();
+
+    if (this.initializedForms.has(formContainer)) {
+      return;
+    }
+
+    // Another manager instance already owns this form
+    const owner = this.formOwners.get(formContainer);
+    if (owner && owner !== this) {
+      DebugLogger.log("form-skipped", { formContainer, reason: "owned by another instance" });
+      return;
+    }
+
+    // Resolve per-form settings before any subsystem reads them
+    FormConfig.set(formContainer, options);
+    Diagnostics.reset(formContainer);
+
+    // Clean up any existing setup for this container (in case of re-initialization)
+    const existingCleanup = this.getFormCleanup(formContainer);
+    if (existingCleanup) {
+      existingCleanup.destroy();
+    }
+
+    // Create new cleanup controller for this form
+    const cleanup = this.createFormCleanup(formContainer);
+
+    this.initializedForms.add(formContainer);
+    this.formOwners.set(formContainer, this);
+    const validator = HubSpotFormValidator.createValidator(formContainer);
+
+    this.initializeButtonState(formContainer, cleanup);
+    this.addEventListeners(formContainer, validator, cleanup);
+    this.setupFormObserver(formContainer, validator, cleanup);
+
+    // Setup phone field accessibility
+    if (this.isFeatureEnabled("phone", formContainer)) {
+      this.setupPhoneFieldAccessibility(formContainer, cleanup);
+    }
+
+    // Setup dropdown accessibility for WCAG compliance
+    if (this.isFeatureEnabled("dropdown", formContainer)) {
+      this.setupDropdownAccessibility(formContainer, cleanup);
+    }
+
+    // Setup progress bar repositioning for the first form only
+    if (this.isFeatureEnabled("progressBar", formContainer)) {
+      this.setupProgressBarRepositioning(formContainer, cleanup);
+    }
+
+    // Setup character limit validation for textareas
+    if (this.isFeatureEnabled("characterLimit", formContainer)) {
+      CharacterLimitValidator.setupCharacterLimits(formContainer, cleanup);
+    }
+
+    // Setup file upload validation
+    if (this.isFeatureEnabled("fileUpload", formContainer)) {
+      FileUploadValidator.setup(formContainer, cleanup);
+    }
+
+    // Setup native error message replacement
+    if (this.isFeatureEnabled("nativeErrorReplacement", formContainer)) {
+      this.setupNativeErrorMessageReplacement(formContainer, cleanup);
+    }
+
+    // Email domain typo suggestions (only act when emailSuggestions is on for the form)
+    this.setupEmailSuggestions(formContainer, cleanup);
+
+    // Set baseline visible step so first render does not trigger scroll reset.
+    cleanup.syncVisibleStepTracking();
+
+    // Plugins get the same signal as built-in listeners; a returned function runs on teardown
+    const { signal } = cleanup.abortController;
+    PluginRegistry.run("setupSingleForm", { formContainer, cleanup, signal, validator, options })
+      .filter((teardown) => typeof teardown === "function")
+      .forEach((teardown) => signal.addEventListener("abort", teardown, { once: true }));
+
+    const stepCount = MarkupAdapter.getSteps(formContainer).length;
+    const features = Object.keys(this.DEFAULT_FEATURES).filter((name) =>
+      this.isFeatureEnabled(name, formContainer),
+    );
+    Diagnostics.markEnhanced(formContainer, features);
+
+    DebugLogger.log("form-enhanced", {
+      formContainer,
+      markup: MarkupAdapter.detect(formContainer).name,
+      stepCount,
+      features,
+      config: FormConfig.get(formContainer),
+    });
+
+    dispatchFormEvent(formContainer, FORM_EVENTS.ENHANCED, { stepCount });
   },
 
-  // Setup validation for all forms on page
-  setupAllForms() {
-    this.installRendererScrollPatch();
+  // Resolves with the form once setupSingleForm() has finished on it. formContainer may
+  // also be a wrapper (e.g. the embed target) that HubSpot renders the form into later.
+  whenFormReady(formContainer, timeout = this.FORM_READY_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      if (!formContainer || typeof formContainer.querySelectorAll !== "function") {
+        reject(new Error("whenFormReady: expected a form or wrapper element"));
+        return;
+      }
 
-    const hubspotForms = document.querySelectorAll(".hsfc-Form");
+      // Enhanced by any manager instance counts
+      const isEnhanced = (form) => this.formOwners.has(form);
+      const enhancedForm = MarkupAdapter.isForm(formContainer)
+        ? isEnhanced(formContainer) && formContainer
+        : MarkupAdapter.findForms(formContainer).find(isEnhanced);
 
-    if (hubspotForms.length > 0) {
-      removeHubSpotFormStyles();
+      if (enhancedForm) {
+        resolve(enhancedForm);
+        return;
+      }
 
-      hubspotForms.forEach((formContainer, index) => {
-        this.setupSingleForm(formContainer);
-      });
-    }
+      let timer = null;
 
-    this.setupGlobalObserver();
-  },
+      // hsfc:enhanced bubbles, so a wrapper hears it from any form inside
+      const onEnhanced = (event) => {
+        clearTimeout(timer);
+        formContainer.removeEventListener(FORM_EVENTS.ENHANCED, onEnhanced);
+        resolve(event.detail.formContainer);
+      };
 
-  // Setup validation for individual form
-  setupSingleForm(formContainer) {
-    this.installRendererScrollPatch();
+      formContainer.addEventListener(FORM_EVENTS.ENHANCED, onEnhanced);
 
-    if (this.initializedForms.has(formContainer)) {
+      timer = setTimeout(() => {
+        formContainer.removeEventListener(FORM_EVENTS.ENHANCED, onEnhanced);
+        reject(new Error(`whenFormReady: no HubSpot form was enhanced within ${timeout}ms`));
+      }, timeout);
+    });
+  },
+
+  // Tear down a single form: listeners, observers and every element we injected
+  destroyForm(formContainer) {
+    const owner = this.formOwners.get(formContainer);
+    if (owner && owner !== this) {
       return;
     }
 
-    // Clean up any existing setup for this container (in case of re-initialization)
-    const existingCleanup = this.getFormCleanup(formContainer);
-    if (existingCleanup) {
-      existingCleanup.destroy();
+    const cleanup = this.getFormCleanup(formContainer);
+    if (cleanup) {
+      cleanup.destroy();
     }
 
-    // Create new cleanup controller for this form
-    const cleanup = this.createFormCleanup(formContainer);
+    this.formCleanupMap.delete(formContainer);
+    this.initializedForms.delete(formContainer);
+    this.activeForms.delete(formContainer);
+    this.formOwners.delete(formContainer);
+    FormConfig.delete(formContainer);
+    Diagnostics.clear(formContainer);
+    this.removeInjectedElements(formContainer);
+  },
 
-    this.initializedForms.add(formContainer);
-    const validator = HubSpotFormValidator.createValidator(formContainer);
+  // Tear down every enhanced form plus the page-level observer and scroll patch
+  destroyAll() {
+    Array.from(this.activeForms).forEach((formContainer) =>
+      this.destroyForm(formContainer),
+    );
 
-    this.initializeButtonState(formContainer, cleanup);
-    this.addEventListeners(formContainer, validator, cleanup);
-    this.setupFormObserver(formContainer, validator, cleanup);
+    const globalObserver = this.getGlobalObserver();
+    if (globalObserver) {
+      globalObserver.disconnect();
+      this.setGlobalObserver(null);
+    }
 
-    // Setup phone field accessibility
-    this.setupPhoneFieldAccessibility(formContainer, cleanup);
+    this._shadowRoots.forEach(({ observer, adoptedSheet, styleElement }, shadowRoot) => {
+      observer?.disconnect();
+      if (adoptedSheet) {
+        shadowRoot.adoptedStyleSheets = shadowRoot.adoptedStyleSheets.filter(
+          (sheet) => sheet !== adoptedSheet,
+        );
+      }
+      styleElement?.remove();
+    });
+    this._shadowRoots.clear();
 
-    // Setup dropdown accessibility for WCAG compliance
-    this.setupDropdownAccessibility(formContainer, cleanup);
+    this.uninstallLifecycleBridge();
+    this.uninstallRendererScrollPatch();
+  },
 
-    // Setup progress bar repositioning for the first form only
-    this.setupProgressBarRepositioning(formContainer, cleanup);
+  // Remove counters, summaries, file notes and binding markers added during setup
+  removeInjectedElements(formContainer) {
+    formContainer.querySelectorAll("input, select, textarea").forEach((field) => {
+      FieldRules.cancelValidation(field);
+      EmailPolicy.hideFieldError(field);
+      this.hideEmailSuggestion(field);
+    });
 
-    // Setup character limit validation for textareas
-    CharacterLimitValidator.setupCharacterLimits(formContainer, cleanup);
+    formContainer
+      .querySelectorAll(INJECTED_ELEMENT_SELECTOR)
+      .forEach((element) => element.remove());
 
-    // Setup file upload validation
-    FileUploadValidator.setup(formContainer);
+    formContainer
+      .querySelectorAll("[data-hsfc-rule-invalid]")
+      .forEach((field) => FieldRules.clearInvalid(field));
 
-    // Setup native error message replacement
-    this.setupNativeErrorMessageReplacement(formContainer, cleanup);
+    // Left in place, our own limit would win over a different characterLimit on the next setup
+    formContainer
+      .querySelectorAll("[data-hsfc-character-limit-set]")
+      .forEach((textarea) => textarea.removeAttribute("data-character-limit"));
 
-    // Set baseline visible step so first render does not trigger scroll reset.
-    cleanup.syncVisibleStepTracking();
+    // Binding markers would otherwise stop a later setupSingleForm() from re-attaching listeners
+    INJECTED_ATTRIBUTES.forEach((attribute) => {
+      formContainer
+        .querySelectorAll(`[${attribute}]`)
+        .forEach((element) => element.removeAttribute(attribute));
+    });
   },
 
   // Setup replacement of native HubSpot field error messages
@@ -2537,31 +5234,58 @@ const HubSpotFormManager = {
       if (errorElement.classList.contains('hsfc-FileError')) return;
 
       const originalText = errorElement.textContent.trim();
+
+      // Our own rewrite re-triggers the observer
+      if (errorElement._hsfcRewrittenText === originalText) return;
+
       const newText = HubSpotFormValidator.resolveErrorText(originalText, errorElement);
 
       if (newText !== originalText) {
         errorElement.textContent = newText;
       }
+      errorElement._hsfcRewrittenText = newText;
+
+      // HubSpot re-rendering the same text is still the same error; only report it once
+      if (
+        HubSpotFormValidator.isSubmissionOrNetworkError(originalText) &&
+        errorElement._hsfcReportedSubmissionText !== originalText
+      ) {
+        errorElement._hsfcReportedSubmissionText = originalText;
 
-      if (HubSpotFormValidator.isSubmissionOrNetworkError(originalText)) {
         const cleared = this.clearFilesOnSubmissionFailure(formContainer);
         if (cleared) {
           const currentStep = cleanup.getVisibleStep();
           if (currentStep) HubSpotFormValidator.showValidationError(currentStep, formContainer);
         }
+
+        const t = originalText.toLowerCase();
+        dispatchFormEvent(formContainer, FORM_EVENTS.SUBMISSION_ERROR, {
+          type: t.includes("connection") || t.includes("network") ? "network" : "submission",
+          originalMessage: originalText,
+          message: newText,
+          errorElement,
+          filesCleared: cleared,
+        });
       }
     };
 
     // Replace any existing error messages on setup
-    const existingErrors = formContainer.querySelectorAll('.hsfc-ErrorAlert');
+    const { errorAlert } = MarkupAdapter.detect(formContainer);
+    const existingErrors = formContainer.querySelectorAll(errorAlert);
     existingErrors.forEach(replaceNativeErrorText);
 
     // Fade out HubSpot's native "Upload complete" status (.hsfc-InfoAlert inside .hsfc-FileField) after 2s.
     // Suppress it immediately if our validation has already rejected the file.
+    // Matched element by element: overrides may hold commas inside :is() or attribute values,
+    // so the two selectors are never split or joined into one string
+    const fileFieldSelector = SelectorRegistry.get('fileField', formContainer);
+    const infoAlertSelector = SelectorRegistry.get('infoAlert', formContainer);
+    const isUploadInfo = (el) => el.matches(infoAlertSelector) && !!el.closest(fileFieldSelector);
+
     const scheduleInfoAlertDismiss = (el) => {
-      if (el._hsfcDismissed) return;
+      if (el._hsfcDismissed || !isUploadInfo(el)) return;
       el._hsfcDismissed = true;
-      const fileField = el.closest('.hsfc-FileField');
+      const fileField = el.closest(fileFieldSelector);
       const hasFileError = () => !!(fileField && fileField.querySelector('.hsfc-FileError'));
       if (hasFileError()) { el.style.display = 'none'; return; }
       setTimeout(() => {
@@ -2574,28 +5298,28 @@ const HubSpotFormManager = {
       }, 2000);
     };
     const dismissUploadComplete = (root) => {
-      if (root.classList && root.classList.contains('hsfc-InfoAlert') && root.closest('.hsfc-FileField')) {
+      if (root.matches && root.matches(infoAlertSelector)) {
         scheduleInfoAlertDismiss(root);
       }
-      root.querySelectorAll && root.querySelectorAll('.hsfc-FileField .hsfc-InfoAlert').forEach(scheduleInfoAlertDismiss);
+      root.querySelectorAll && root.querySelectorAll(infoAlertSelector).forEach(scheduleInfoAlertDismiss);
     };
 
     // Catch any already-present upload alerts
-    formContainer.querySelectorAll('.hsfc-FileField .hsfc-InfoAlert').forEach(scheduleInfoAlertDismiss);
+    dismissUploadComplete(formContainer);
 
     // Set up observer to catch new error messages as they appear
-    const errorObserver = new MutationObserver((mutations) => {
+    const errorObserver = MutationDispatcher.subscribe(formContainer, (mutations) => {
       mutations.forEach((mutation) => {
         // Check added nodes
         mutation.addedNodes.forEach((node) => {
           if (node.nodeType === Node.ELEMENT_NODE) {
             // Check if the added node is an error element
-            if (node.classList && node.classList.contains('hsfc-ErrorAlert')) {
+            if (node.matches && node.matches(errorAlert)) {
               replaceNativeErrorText(node);
             }
             
             // Check for error elements within the added node
-            const errorElements = node.querySelectorAll && node.querySelectorAll('.hsfc-ErrorAlert');
+            const errorElements = node.querySelectorAll && node.querySelectorAll(errorAlert);
             if (errorElements) {
               errorElements.forEach(replaceNativeErrorText);
             }
@@ -2605,28 +5329,24 @@ const HubSpotFormManager = {
         });
 
         // Check modified nodes for text content changes
-        if (mutation.type === 'childList' && mutation.target.classList && 
-            mutation.target.classList.contains('hsfc-ErrorAlert')) {
+        if (mutation.type === 'childList' && mutation.target.matches && 
+            mutation.target.matches(errorAlert)) {
           replaceNativeErrorText(mutation.target);
         }
       });
-    });
-
-    // Observe the form container for error message changes
-    errorObserver.observe(formContainer, {
-      childList: true,
-      subtree: true,
-    });
+    }, { childList: true });
 
     // Track observer for cleanup
     cleanup.observers.push(errorObserver);
   },
 
   clearFilesOnSubmissionFailure(container) {
+    if (!this.isFeatureEnabled("fileUpload", container)) return false;
+
     const fileInputs = container.querySelectorAll('input[type="file"]');
     if (fileInputs.length === 0) return false;
 
-    const allSteps = Array.from(container.querySelectorAll('.hsfc-Step'));
+    const allSteps = MarkupAdapter.getSteps(container);
     const isMultiStep = allSteps.length > 1;
 
     let clearedAny = false;
@@ -2639,15 +5359,15 @@ const HubSpotFormManager = {
 
       let reuploadMessage;
       if (isMultiStep) {
-        const parentStep = fileInput.closest('.hsfc-Step');
+        const parentStep = allSteps.find((step) => step.contains(fileInput));
         const stepNumber = parentStep ? allSteps.indexOf(parentStep) + 1 : null;
         reuploadMessage = stepNumber
-          ? (ErrorMessageConfig.getMessage('fileReuploadStep', { step: stepNumber }) ||
+          ? (ErrorMessageConfig.getMessage('fileReuploadStep', { step: stepNumber }, fileInput) ||
              `Please re-upload your file on step ${stepNumber} to resubmit the form.`)
-          : (ErrorMessageConfig.getMessage('fileReupload') ||
+          : (ErrorMessageConfig.getMessage('fileReupload', {}, fileInput) ||
              'Please re-upload your file to resubmit the form.');
       } else {
-        reuploadMessage = ErrorMessageConfig.getMessage('fileReupload') ||
+        reuploadMessage = ErrorMessageConfig.getMessage('fileReupload', {}, fileInput) ||
           'Please re-upload your file to resubmit the form.';
       }
 
@@ -2664,19 +5384,28 @@ const HubSpotFormManager = {
     // Use cached visible step if cleanup is available, otherwise fall back to direct query
     const visibleStep = cleanup
       ? cleanup.getVisibleStep()
-      : Array.from(formContainer.querySelectorAll(".hsfc-Step")).find(
+      : MarkupAdapter.getSteps(formContainer).find(
           (step) => getComputedStyle(step).display !== "none",
         );
 
     const navigationButtons = visibleStep
       ? [HubSpotFormValidator.findNavigationButton(visibleStep)].filter(Boolean)
       : Array.from(
-          formContainer.querySelectorAll(NAVIGATION_BUTTON_SELECTOR),
+          formContainer.querySelectorAll(MarkupAdapter.detect(formContainer).navigationButton),
         ).filter((button) => {
-          const buttonText = button.textContent.trim().toLowerCase();
+          const buttonText = MarkupAdapter.getButtonText(button);
           return !buttonText.includes("previous") && !buttonText.includes("back");
         });
 
+    if (navigationButtons.length === 0) {
+      Diagnostics.recordBailout(
+        formContainer,
+        "navigation",
+        "no Next/Submit button found; step validation will not run on click",
+        MarkupAdapter.detect(formContainer).navigationButton,
+      );
+    }
+
     // Keep navigation clickable so click-based validation/error summary can run.
     navigationButtons.forEach((button) => {
       button.disabled = false;
@@ -2706,7 +5435,7 @@ const HubSpotFormManager = {
       return false;
     }
 
-    const stepCount = formContainer.querySelectorAll(".hsfc-Step").length;
+    const stepCount = MarkupAdapter.getSteps(formContainer).length;
     if (stepCount < 2) {
       return false;
     }
@@ -2733,7 +5462,7 @@ const HubSpotFormManager = {
     }
 
     cleanup._suppressRendererAutoScrollUntil = Date.now() + 1500;
-    this.rendererScrollSuppressedForms.add(formContainer);
+    this.rendererScrollSuppressedForms.set(formContainer, cleanup);
 
     if (cleanup._clearSuppressTimer) {
       clearTimeout(cleanup._clearSuppressTimer);
@@ -2802,16 +5531,34 @@ const HubSpotFormManager = {
       if (this.mobileStepScrollResetConfig.enabled) {
         this.maybeResetScrollForStepChange(formContainer);
       }
+
+      const steps = MarkupAdapter.getSteps(formContainer);
+      const previousIndex = steps.indexOf(previousVisibleStep);
+      const currentIndex = steps.indexOf(currentVisibleStep);
+
+      const stepChange = {
+        previousStep: previousVisibleStep,
+        currentStep: currentVisibleStep,
+        previousIndex,
+        currentIndex,
+        stepCount: steps.length,
+        direction: currentIndex < previousIndex ? "backward" : "forward",
+      };
+
+      PluginRegistry.run("handleVisibleStepChange", { formContainer, cleanup, ...stepChange });
+      dispatchFormEvent(formContainer, FORM_EVENTS.STEP_CHANGE, stepChange);
     }
   },
 
   // Add all event listeners
   addEventListeners(formContainer, validator, cleanup) {
     // Navigation button handlers
-    const navigationButtons = formContainer.querySelectorAll(NAVIGATION_BUTTON_SELECTOR);
+    const navigationButtons = formContainer.querySelectorAll(
+      MarkupAdapter.detect(formContainer).navigationButton,
+    );
 
     navigationButtons.forEach((button, index) => {
-      const buttonText = button.textContent.trim().toLowerCase();
+      const buttonText = MarkupAdapter.getButtonText(button);
 
       if (!button.hasAttribute("data-hsfc-nav-scroll-capture-bound")) {
         button.addEventListener(
@@ -2856,13 +5603,15 @@ const HubSpotFormManager = {
 
     const formFields = visibleStep.querySelectorAll("input, select, textarea");
     const events = ["input", "change", "blur"];
+    const enforceCharacterLimit = this.isFeatureEnabled("characterLimit", formContainer);
 
     formFields.forEach((field) => {
       // Add character limit enforcement for text input fields (not textareas)
       if (
-        field.type === "text" ||
+        enforceCharacterLimit &&
+        (field.type === "text" ||
         field.type === "email" ||
-        (field.tagName.toLowerCase() === "input" && !field.type)
+        (field.tagName.toLowerCase() === "input" && !field.type))
       ) {
         this.setupTextInputCharacterLimit(field, cleanup);
       }
@@ -2872,13 +5621,28 @@ const HubSpotFormManager = {
         field.removeEventListener(eventType, validator.validateVisibleStep);
 
         // Add combined handler that removes custom errors and runs validation
+        const revalidate = () => {
+          FieldRules.refreshInvalid(field, visibleStep);
+          // Remove custom validation error when user starts interacting
+          HubSpotFormValidator.removeValidationError(visibleStep);
+          // Run the validation (but don't disable buttons anymore)
+          validator.validateVisibleStep();
+        };
+
         field.addEventListener(
           eventType,
           () => {
-            // Remove custom validation error when user starts interacting
-            HubSpotFormValidator.removeValidationError(visibleStep);
-            // Run the validation (but don't disable buttons anymore)
-            validator.validateVisibleStep();
+            if (EmailPolicy.appliesTo(field)) {
+              EmailPolicy.updateFieldError(field, eventType);
+            }
+
+            // Async rules run after a typing pause, or right away when the field loses focus
+            FieldRules.scheduleValidation(field, { immediate: eventType === "blur" })
+              ?.settled.then((current) => {
+                if (current && !cleanup.abortController.signal.aborted) revalidate();
+              });
+
+            revalidate();
           },
           {
             signal: cleanup.abortController.signal,
@@ -2923,9 +5687,28 @@ const HubSpotFormManager = {
     );
   },
 
+  // Run the step's pending validate() rules now and click the button again once they pass or
+  // fail; editing a field in the meantime cancels the replay. The wait is announced, since
+  // the click otherwise seems to do nothing.
+  waitForFieldRules(button, step, formContainer, cleanup) {
+    if (cleanup._pendingRuleRetry) return;
+
+    const message = ErrorMessageConfig.getMessage("rulePending", {}, formContainer);
+    if (message) this.announce(formContainer, message);
+
+    cleanup._pendingRuleRetry = FieldRules.validateNow(step).then((current) => {
+      cleanup._pendingRuleRetry = null;
+
+      if (current && !cleanup.abortController.signal.aborted && button.isConnected) {
+        button.click();
+      }
+    });
+  },
+
   // Handle navigation button clicks
   handleNextButtonClick(event, formContainer, cleanup) {
-    const currentStep = event.target.closest(".hsfc-Step");
+    const stepSelector = SelectorRegistry.get("step", formContainer);
+    const currentStep = stepSelector ? event.target.closest(stepSelector) : null;
 
     if (!currentStep) {
       // Alternative method: find visible step using cache
@@ -2947,6 +5730,22 @@ const HubSpotFormManager = {
       event.preventDefault();
       event.stopPropagation();
 
+      // Only async rules are outstanding: replay the click once their results are in
+      if (
+        FieldRules.getUnsettledFields(stepToValidate).length > 0 &&
+        validator.validateVisibleStep({ ignorePending: true })
+      ) {
+        this.waitForFieldRules(event.currentTarget, stepToValidate, formContainer, cleanup);
+        return false;
+      }
+
+      // Fields still being checked are flagged once their results are in
+      FieldRules.validateNow(stepToValidate).then((current) => {
+        if (current && !cleanup.abortController.signal.aborted) {
+          FieldRules.markFailures(stepToValidate);
+        }
+      });
+
       // Trigger individual field validations to show HubSpot's built-in error messages
       this.triggerFieldValidations(stepToValidate);
 
@@ -2956,7 +5755,21 @@ const HubSpotFormManager = {
       }
 
       // Show custom error message
-      HubSpotFormValidator.showValidationError(stepToValidate, formContainer);
+      const fieldsWithErrors =
+        HubSpotFormValidator.showValidationError(stepToValidate, formContainer, { blocked: true }) ||
+        [];
+
+      dispatchFormEvent(formContainer, FORM_EVENTS.VALIDATION_FAILED, {
+        step: stepToValidate,
+        trigger: event.target.type === "submit" ? "submit" : "next",
+        fields: fieldsWithErrors.map((entry) => ({
+          field: entry.field,
+          name: entry.field?.name || entry.field?.id || "",
+          label: entry.fieldLabel || "",
+          message: HubSpotFormValidator.getErrorEntryMessage(entry),
+          errorElement: entry.errorElement || null,
+        })),
+      });
 
       return false;
     }
@@ -2993,7 +5806,7 @@ const HubSpotFormManager = {
 
       if (needsValidation(field)) {
         // Special handling for HubSpot date fields - don't clear value to preserve date picker
-        if (field.classList?.contains('hsfc-DateInput')) {
+        if (MarkupAdapter.isDateInput(field)) {
           // For date fields, just trigger validation events without clearing the value
           field.focus();
           field.dispatchEvent(new Event("input", { bubbles: true }));
@@ -3069,28 +5882,35 @@ const HubSpotFormManager = {
         field.dispatchEvent(new Event("change", { bubbles: true }));
       }
     });
+
+    // HubSpot doesn't know about declarative rules, so flag those fields ourselves
+    FieldRules.markFailures(step);
   },
 
   // Setup form-specific observer
   setupFormObserver(formContainer, validator, cleanup) {
-    const observer = new MutationObserver((mutations) => {
+    const markup = MarkupAdapter.detect(formContainer);
+
+    // Style/class/disabled changes arrive coalesced, once per animation frame
+    const observer = MutationDispatcher.subscribe(formContainer, (mutations) => {
       let shouldRevalidate = false;
       let shouldAddListeners = false;
       let shouldRefreshNavigation = false;
       let shouldHandleStepChange = false;
+      let shouldResetButtons = false;
 
       for (const mutation of mutations) {
         if (!formContainer.contains(mutation.target)) continue;
 
         // Error element changes
         if (
-          mutation.target.classList?.contains("hsfc-ErrorAlert") ||
+          mutation.target.matches?.(markup.errorAlert) ||
           (mutation.type === "childList" &&
             [...mutation.addedNodes, ...mutation.removedNodes].some(
               (node) =>
                 node.nodeType === Node.ELEMENT_NODE &&
-                (node.classList?.contains("hsfc-ErrorAlert") ||
-                  node.querySelector?.(".hsfc-ErrorAlert")),
+                (node.matches?.(markup.errorAlert) ||
+                  node.querySelector?.(markup.errorAlert)),
             ))
         ) {
           shouldRevalidate = true;
@@ -3098,7 +5918,8 @@ const HubSpotFormManager = {
 
         // Step visibility changes
         if (
-          mutation.target.classList?.contains("hsfc-Step") &&
+          markup.step &&
+          mutation.target.matches?.(markup.step) &&
           mutation.type === "attributes" &&
           mutation.attributeName === "style"
         ) {
@@ -3112,8 +5933,9 @@ const HubSpotFormManager = {
           mutation.type === "attributes" &&
           (mutation.attributeName === "disabled" ||
             mutation.attributeName === "aria-disabled") &&
-          mutation.target.matches?.(NAVIGATION_BUTTON_SELECTOR)
+          mutation.target.matches?.(markup.navigationButton)
         ) {
+          shouldResetButtons = true;
           this.initializeButtonState(formContainer, cleanup);
         }
 
@@ -3135,14 +5957,32 @@ const HubSpotFormManager = {
           [...mutation.addedNodes].some(
             (node) =>
               node.nodeType === Node.ELEMENT_NODE &&
-              (node.matches?.(NAVIGATION_BUTTON_SELECTOR) ||
-                node.querySelector?.(NAVIGATION_BUTTON_SELECTOR)),
+              (node.matches?.(markup.navigationButton) ||
+                node.querySelector?.(markup.navigationButton)),
           )
         ) {
           shouldRefreshNavigation = true;
         }
       }
 
+      if (
+        shouldRevalidate ||
+        shouldAddListeners ||
+        shouldRefreshNavigation ||
+        shouldHandleStepChange ||
+        shouldResetButtons
+      ) {
+        DebugLogger.log("form-observer", {
+          formContainer,
+          mutations: mutations.length,
+          revalidate: shouldRevalidate,
+          addListeners: shouldAddListeners,
+          refreshNavigation: shouldRefreshNavigation,
+          stepChange: shouldHandleStepChange,
+          buttonStateReset: shouldResetButtons,
+        });
+      }
+
       if (shouldAddListeners) {
         setTimeout(
           () => this.addFieldListeners(formContainer, validator, cleanup),
@@ -3165,61 +6005,394 @@ const HubSpotFormManager = {
       if (shouldRevalidate) {
         setTimeout(() => validator.validateVisibleStep(), 50);
       }
+    }, {
+      childList: true,
+      attributes: ["style", "class", "disabled", "aria-disabled"],
     });
 
     // Track observer for cleanup
     cleanup.observers.push(observer);
+  },
 
-    observer.observe(formContainer, {
-      childList: true,
-      subtree: true,
-      attributes: true,
-      attributeFilter: ["style", "class", "disabled", "aria-disabled"],
-    });
+  // The default manager keeps its observer on window for backward compatibility;
+  // instances from createInstance() keep their own
+  getGlobalObserver() {
+    if (this !== HubSpotFormManager) {
+      return this._globalObserver;
+    }
+
+    return typeof window !== "undefined" ? window.hubspotFormGlobalObserver || null : null;
+  },
+
+  setGlobalObserver(observer) {
+    if (this !== HubSpotFormManager) {
+      this._globalObserver = observer;
+      return;
+    }
+
+    if (observer) {
+      window.hubspotFormGlobalObserver = observer;
+    } else {
+      delete window.hubspotFormGlobalObserver;
+    }
   },
 
   // Setup global observer for dynamically loaded forms
-  setupGlobalObserver() {
-    if (window.hubspotFormGlobalObserver) return;
+  setupGlobalObserver(root = document.body, options = {}) {
+    const isShadowRoot = this.isShadowRoot(root);
+    const shadowEntry = isShadowRoot ? this._shadowRoots.get(root) : null;
 
-    const globalObserver = new MutationObserver((mutations) => {
+    // Shadow roots each get their own observer; everything else shares the one global observer
+    if (isShadowRoot ? shadowEntry?.observer : this.getGlobalObserver()) return;
+
+    const globalObserver = MutationDispatcher.subscribe(root, (mutations) => {
       for (const mutation of mutations) {
         if (mutation.type !== "childList") continue;
 
         for (const addedNode of mutation.addedNodes) {
           if (addedNode.nodeType !== Node.ELEMENT_NODE) continue;
 
-          if (addedNode.classList?.contains("hsfc-Form")) {
+          const newForms = MarkupAdapter.findForms(addedNode).filter((form) =>
+            this.isInFormScope(form),
+          );
+          if (newForms.length > 0) {
             removeHubSpotFormStyles();
-            this.setupSingleForm(addedNode);
+            newForms.forEach((form) => this.setupSingleForm(form, options));
           }
 
-          const newForms = addedNode.querySelectorAll?.(".hsfc-Form");
-          if (newForms?.length > 0) {
-            removeHubSpotFormStyles();
-            newForms.forEach((form) => this.setupSingleForm(form));
+          if (this.discoverShadowRoots) {
+            this.findOpenShadowRoots(addedNode).forEach((shadowRoot) =>
+              this.setupFormsInRoot(shadowRoot, options),
+            );
           }
         }
       }
+    }, { childList: true });
+
+    // Store global observer reference for potential cleanup
+    if (isShadowRoot) {
+      shadowEntry.observer = globalObserver;
+    } else {
+      this.setGlobalObserver(globalObserver);
+    }
+  },
+
+  // HubSpot announces its own lifecycle through window.postMessage ({ type: "hsFormCallback",
+  // eventName, id, data }) and hbspt.forms.create callbacks. Listening to both starts
+  // enhancement as soon as HubSpot reports a form ready and tells us when a submission
+  // succeeded; the DOM observers above remain the fallback.
+  HUBSPOT_CALLBACK_MESSAGE_TYPE: "hsFormCallback",
+
+  // The embed script posts to its own window; HubSpot-hosted form frames post from these hosts
+  HUBSPOT_MESSAGE_ORIGIN_PATTERN: /^https:\/\/([a-z0-9-]+\.)*(hubspot\.com|hsforms\.com|hsforms\.net)$/,
+
+  // Any frame can postMessage us; a faked onFormSubmitted would clear the summary and fire
+  // hsfc:submitted, so only the page itself and HubSpot's own origins are believed
+  isTrustedLifecycleMessage(event) {
+    if (typeof window !== "undefined" && event.source === window) {
+      return true;
+    }
+
+    return typeof event.origin === "string" && this.HUBSPOT_MESSAGE_ORIGIN_PATTERN.test(event.origin);
+  },
+
+  installLifecycleBridge(root = document, options = {}) {
+    if (this._lifecycleBridge || typeof window === "undefined") {
+      return;
+    }
+
+    const bridge = { watchers: [] };
+
+    bridge.onMessage = (event) => {
+      const message = event.data;
+      if (
+        !message ||
+        typeof message !== "object" ||
+        message.type !== this.HUBSPOT_CALLBACK_MESSAGE_TYPE
+      ) {
+        return;
+      }
+
+      if (!this.isTrustedLifecycleMessage(event)) {
+        DebugLogger.log("lifecycle-message-ignored", {
+          eventName: message.eventName,
+          origin: event.origin,
+        });
+        return;
+      }
+
+      this.handleLifecycleSignal(
+        message.eventName,
+        { formId: message.id || null, data: message.data ?? null, source: "postMessage" },
+        root,
+        options,
+      );
+    };
+
+    window.addEventListener("message", bridge.onMessage);
+    this._lifecycleBridge = bridge;
+    this.wrapHbsptFormsCreate(bridge, root, options);
+  },
+
+  uninstallLifecycleBridge() {
+    const bridge = this._lifecycleBridge;
+    if (!bridge) {
+      return;
+    }
+
+    window.removeEventListener("message", bridge.onMessage);
+
+    // Drop the setters still waiting for the embed script; one it already triggered replaced
+    // itself with a plain property
+    bridge.watchers.forEach(({ owner, key, set }) => {
+      if (Object.getOwnPropertyDescriptor(owner, key)?.set === set) {
+        delete owner[key];
+      }
+    });
+
+    // Only restore if nobody has wrapped create() over ours since; otherwise our
+    // wrapper stays in the chain but ignores signals once the bridge is gone
+    const forms = window.hbspt?.forms;
+    if (bridge.wrappedCreate && forms?.create === bridge.wrappedCreate) {
+      forms.create = bridge.originalCreate;
+    }
+
+    this._lifecycleBridge = null;
+  },
+
+  // v2.js usually loads async or after this bundle, so window.hbspt.forms.create often doesn't
+  // exist yet. Each missing link gets a one-time setter that continues down the path once the
+  // embed script assigns it, and create() is wrapped as soon as it is defined.
+  wrapHbsptFormsCreate(bridge, root, options) {
+    const follow = (owner, [key, ...rest]) => {
+      const value = owner[key];
+
+      if (rest.length === 0) {
+        if (typeof value === "function") {
+          this.wrapHbsptFormsCreateNow(bridge, owner, root, options);
+        } else {
+          this.watchProperty(bridge, owner, key, () =>
+            this.wrapHbsptFormsCreateNow(bridge, owner, root, options),
+          );
+        }
+        return;
+      }
+
+      if (value && (typeof value === "object" || typeof value === "function")) {
+        follow(value, rest);
+      } else {
+        this.watchProperty(bridge, owner, key, (assigned) => {
+          if (assigned && (typeof assigned === "object" || typeof assigned === "function")) {
+            follow(assigned, rest);
+          }
+        });
+      }
+    };
+
+    follow(window, ["hbspt", "forms", "create"]);
+  },
+
+  // Call onAssign(value) the first time owner[key] is assigned, then behave as a plain property
+  watchProperty(bridge, owner, key, onAssign) {
+    const descriptor = Object.getOwnPropertyDescriptor(owner, key);
+    if ((descriptor && !descriptor.configurable) || !Object.isExtensible(owner)) {
+      return;
+    }
+
+    const watcher = { owner, key };
+    watcher.set = (value) => {
+      Object.defineProperty(owner, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
+      bridge.watchers = bridge.watchers.filter((entry) => entry !== watcher);
+
+      if (this._lifecycleBridge === bridge) {
+        onAssign(value);
+      }
+    };
+
+    Object.defineProperty(owner, key, {
+      get: () => undefined,
+      set: watcher.set,
+      enumerable: false,
+      configurable: true,
     });
+    bridge.watchers.push(watcher);
+  },
 
-    globalObserver.observe(document.body, {
-      childList: true,
-      subtree: true,
+  // Chain our callbacks in front of the caller's onFormReady/onBeforeFormSubmit/onFormSubmitted
+  wrapHbsptFormsCreateNow(bridge, forms, root, options) {
+    if (typeof forms.create !== "function" || forms.create === bridge.wrappedCreate) {
+      return;
+    }
+
+    const manager = this;
+    const originalCreate = forms.create;
+
+    const wrappedCreate = function wrappedHbsptFormsCreate(createOptions = {}, ...rest) {
+      const chain = (eventName) =>
+        function (...args) {
+          if (manager._lifecycleBridge === bridge) {
+            // Callbacks receive the form element (or a jQuery wrapper) and, for submits, the data
+            const formArg = args[0];
+            manager.handleLifecycleSignal(
+              eventName,
+              {
+                formId: createOptions.formId || null,
+                formElement: formArg?.jquery ? formArg[0] : formArg,
+                target: createOptions.target,
+                data: args[1] ?? null,
+                source: "hbspt.forms.create",
+              },
+              root,
+              options,
+            );
+          }
+
+          if (typeof createOptions[eventName] === "function") {
+            return createOptions[eventName].apply(this, args);
+          }
+        };
+
+      return originalCreate.call(
+        this,
+        {
+          ...createOptions,
+          onFormReady: chain("onFormReady"),
+          onBeforeFormSubmit: chain("onBeforeFormSubmit"),
+          onFormSubmitted: chain("onFormSubmitted"),
+        },
+        ...rest,
+      );
+    };
+
+    bridge.originalCreate = originalCreate;
+    bridge.wrappedCreate = wrappedCreate;
+    forms.create = wrappedCreate;
+  },
+
+  // Enhance on onFormReady; report onBeforeFormSubmit/onFormSubmitted as hsfc:* events
+  handleLifecycleSignal(eventName, signal, root = document, options = {}) {
+    const forms = this.findFormsForSignal(signal, root).filter((form) =>
+      this.isInFormScope(form),
+    );
+
+    if (eventName === "onFormReady") {
+      const pendingForms = forms.length > 0
+        ? forms
+        : this.getSearchRoots(root)
+            .flatMap((searchRoot) => MarkupAdapter.findForms(searchRoot))
+            .filter((form) => !this.formOwners.has(form) && this.isInFormScope(form));
+
+      if (pendingForms.length > 0) {
+        removeHubSpotFormStyles();
+        pendingForms.forEach((form) => this.setupSingleForm(form, options));
+      }
+      return;
+    }
+
+    const type = {
+      onBeforeFormSubmit: FORM_EVENTS.BEFORE_SUBMIT,
+      onFormSubmitted: FORM_EVENTS.SUBMITTED,
+    }[eventName];
+
+    if (!type) {
+      return;
+    }
+
+    // Without a usable id, only a page with a single enhanced form is unambiguous
+    const targets = forms.length > 0
+      ? forms.filter((form) => this.activeForms.has(form))
+      : this.activeForms.size === 1
+        ? Array.from(this.activeForms)
+        : [];
+
+    targets.forEach((formContainer) => {
+      if (type === FORM_EVENTS.SUBMITTED) {
+        // The submission went through, so any leftover summary is stale
+        formContainer
+          .querySelectorAll(".hsfc-CustomValidationError")
+          .forEach((summary) => summary.remove());
+      }
+
+      dispatchFormEvent(formContainer, type, {
+        formId: signal.formId,
+        data: signal.data,
+        source: signal.source,
+      });
     });
+  },
 
-    // Store global observer reference for potential cleanup
-    window.hubspotFormGlobalObserver = globalObserver;
+  // root plus, when shadow root discovery is on, every open shadow root below it
+  getSearchRoots(root = document) {
+    return this.discoverShadowRoots ? [root, ...this.findOpenShadowRoots(root)] : [root];
+  },
+
+  // contains() that also crosses shadow boundaries
+  isWithinRoot(node, root) {
+    for (let current = node; current; current = current.getRootNode().host) {
+      if (root === current.getRootNode() || root.contains(current)) {
+        return true;
+      }
+    }
+
+    return false;
+  },
+
+  // Map a lifecycle signal to .hsfc-Form elements inside root
+  findFormsForSignal(signal, root = document) {
+    const found = new Set();
+
+    const addFormsFrom = (element) => {
+      if (!element || element.nodeType !== Node.ELEMENT_NODE) return;
+
+      const form = MarkupAdapter.isForm(element)
+        ? element
+        : element.closest(MarkupAdapter.hsfc.form) ||
+          element.closest(MarkupAdapter.legacy.form) ||
+          MarkupAdapter.findForms(element)[0];
+
+      if (form && this.isWithinRoot(form, root)) {
+        found.add(form);
+      }
+    };
+
+    const searchRoots = this.getSearchRoots(root);
+
+    addFormsFrom(signal.formElement);
+
+    if (typeof signal.target === "string") {
+      try {
+        searchRoots.forEach((searchRoot) => addFormsFrom(searchRoot.querySelector(signal.target)));
+      } catch (e) {
+        // Invalid selector - ignore
+      }
+    }
+
+    // HubSpot form ids are GUIDs; anything else can't be matched safely
+    if (typeof signal.formId === "string" && /^[\w-]+$/.test(signal.formId)) {
+      searchRoots.forEach((searchRoot) =>
+        searchRoot
+          .querySelectorAll(`[data-form-id="${signal.formId}"], #hsForm_${signal.formId}`)
+          .forEach(addFormsFrom),
+      );
+    }
+
+    return Array.from(found);
   },
 
   // Progress bar repositioning functionality
   setupProgressBarRepositioning(formContainer, cleanup) {
     // Apply to any form with a progress bar
-    const allForms = document.querySelectorAll(".hsfc-Form");
-    const formIndex = Array.from(allForms).indexOf(formContainer) + 1;
+    const allForms = MarkupAdapter.findForms(formContainer.getRootNode());
+    const formIndex = allForms.indexOf(formContainer) + 1;
+    const progressBarSelector = SelectorRegistry.get("progressBar", formContainer);
 
     // Setup observer to watch for progress bar elements
-    const progressBarObserver = new MutationObserver((mutations) => {
+    const progressBarObserver = MutationDispatcher.subscribe(formContainer, (mutations) => {
       for (const mutation of mutations) {
         if (mutation.type !== "childList") continue;
 
@@ -3228,13 +6401,13 @@ const HubSpotFormManager = {
           if (addedNode.nodeType !== Node.ELEMENT_NODE) continue;
 
           // Direct progress bar match
-          if (addedNode.classList?.contains("hsfc-ProgressBar")) {
+          if (addedNode.matches?.(progressBarSelector)) {
             this.repositionProgressBar(addedNode, formContainer);
           }
 
           // Check for progress bars within added nodes
           const progressBars =
-            addedNode.querySelectorAll?.(".hsfc-ProgressBar");
+            addedNode.querySelectorAll?.(progressBarSelector);
           if (progressBars?.length > 0) {
             progressBars.forEach((progressBar) =>
               this.repositionProgressBar(progressBar, formContainer),
@@ -3242,21 +6415,15 @@ const HubSpotFormManager = {
           }
         }
       }
-    });
+    }, { childList: true });
 
     // Track observer for cleanup
     cleanup.observers.push(progressBarObserver);
 
-    // Start observing for progress bar changes
-    progressBarObserver.observe(formContainer, {
-      childList: true,
-      subtree: true,
-    });
-
     // Check for existing progress bars immediately
     setTimeout(() => {
       const existingProgressBars =
-        formContainer.querySelectorAll(".hsfc-ProgressBar");
+        formContainer.querySelectorAll(progressBarSelector);
       existingProgressBars.forEach((progressBar) =>
         this.repositionProgressBar(progressBar, formContainer),
       );
@@ -3264,9 +6431,9 @@ const HubSpotFormManager = {
 
     // Also check after a longer delay for late-loading progress bars
     setTimeout(() => {
-      const lateProgressBars = formContainer.querySelectorAll(
-        ".hsfc-ProgressBar:not([data-repositioned])",
-      );
+      const lateProgressBars = Array.from(
+        formContainer.querySelectorAll(progressBarSelector),
+      ).filter((progressBar) => !progressBar.hasAttribute("data-repositioned"));
       if (lateProgressBars.length > 0) {
         lateProgressBars.forEach((progressBar) =>
           this.repositionProgressBar(progressBar, formContainer),
@@ -3283,8 +6450,10 @@ const HubSpotFormManager = {
     }
 
     // Find the current step that contains this progress bar
-    const currentStep = progressBar.closest(".hsfc-Step");
+    const stepSelector = SelectorRegistry.get("step", formContainer);
+    const currentStep = stepSelector && progressBar.closest(stepSelector);
     if (!currentStep) {
+      Diagnostics.recordBailout(formContainer, "progressBar", "progress bar is not inside a step", stepSelector);
       return;
     }
 
@@ -3295,8 +6464,7 @@ const HubSpotFormManager = {
     progressBar.remove();
 
     // Find the step content area
-    const stepContent =
-      currentStep.querySelector(".hsfc-Step__Content") || currentStep;
+    const stepContent = MarkupAdapter.getStepContent(currentStep);
 
     // Ensure the step content uses flexbox for proper ordering
     const stepContentStyle = getComputedStyle(stepContent);
@@ -3338,8 +6506,10 @@ const HubSpotFormManager = {
     // No additional JavaScript ordering needed
   },
 
-  // Add fallback classes for proper flexbox layout
+  // Add fallback classes for proper flexbox layout (the stylesheet's :has() rules cover it otherwise)
   addFlexboxFallbackClasses(currentStep, stepContent) {
+    if (supportsHasSelector()) return;
+
     // Check if there are validation errors or progress bars
     const hasValidationError = currentStep.querySelector(
       ".hsfc-CustomValidationError",
@@ -3373,9 +6543,10 @@ const HubSpotFormManager = {
   // Helper function to find the first actual form field (not headings/paragraphs)
   findFirstFormField(stepContent) {
     // Look for containers that contain actual form inputs
-    const potentialFields = stepContent.querySelectorAll(
-      ".hsfc-Row, .hsfc-FormField, .hs-form-field",
-    );
+    const rowSelector = SelectorRegistry.get("row", stepContent);
+    const containerSelector = `${rowSelector}, ${SelectorRegistry.get("field", stepContent)}`;
+    const potentialFields = stepContent.querySelectorAll(containerSelector);
+    const addRowClass = !supportsHasSelector();
 
     for (const fieldContainer of potentialFields) {
       // Check if this container has actual form inputs
@@ -3384,7 +6555,7 @@ const HubSpotFormManager = {
       );
       if (hasFormInputs) {
         // Add fallback class for browsers that don't support :has()
-        if (fieldContainer.classList.contains("hsfc-Row")) {
+        if (addRowClass && fieldContainer.matches(rowSelector)) {
           fieldContainer.classList.add("hsfc-row-with-form-inputs");
         }
         return fieldContainer;
@@ -3395,10 +6566,8 @@ const HubSpotFormManager = {
     const directInput = stepContent.querySelector("input, select, textarea");
     if (directInput) {
       // Find the closest container that wraps this input
-      const inputContainer = directInput.closest(
-        ".hsfc-Row, .hsfc-FormField, .hs-form-field",
-      );
-      if (inputContainer && inputContainer.classList.contains("hsfc-Row")) {
+      const inputContainer = directInput.closest(containerSelector);
+      if (addRowClass && inputContainer && inputContainer.matches(rowSelector)) {
         inputContainer.classList.add("hsfc-row-with-form-inputs");
       }
       return inputContainer || directInput;
@@ -3408,9 +6577,12 @@ const HubSpotFormManager = {
   },
 
   setupDropdownAccessibility(formContainer, cleanup) {
-    const dropdownButtons = formContainer.querySelectorAll(
-      '.hsfc-DropdownInput input[type="text"][role="button"]',
-    );
+    const selectors = MarkupAdapter.detect(formContainer);
+    const dropdownButtons = formContainer.querySelectorAll(selectors.dropdownButton);
+
+    if (dropdownButtons.length === 0 && formContainer.querySelector(selectors.dropdownField)) {
+      Diagnostics.recordBailout(formContainer, "dropdown", "dropdown field without a dropdown button", selectors.dropdownButton);
+    }
 
     dropdownButtons.forEach((button, index) => {
       const isPhoneDropdown = this.isPhoneRelatedDropdown(button);
@@ -3423,11 +6595,11 @@ const HubSpotFormManager = {
       const focusSearchInput = () => {
         setTimeout(() => {
           const dropdownContainer =
-            button.closest(".hsfc-DropdownField") ||
-            button.closest(".hsfc-Row");
+            button.closest(selectors.dropdownField) ||
+            button.closest(selectors.row);
           if (dropdownContainer) {
             const dropdownOptions = dropdownContainer.querySelector(
-              ".hsfc-DropdownOptions",
+              selectors.dropdownOptions,
             );
             if (dropdownOptions) {
               const isVisible =
@@ -3437,7 +6609,7 @@ const HubSpotFormManager = {
 
               if (isVisible) {
                 const searchInput = dropdownOptions.querySelector(
-                  '.hsfc-DropdownOptions__Search input[type="text"]',
+                  selectors.dropdownSearchInput,
                 );
                 if (searchInput) {
                   const currentValue = button.value || "";
@@ -3452,24 +6624,8 @@ const HubSpotFormManager = {
         }, 100);
       };
 
-      // Keyboard handler
-      button.addEventListener(
-        "keydown",
-        (event) => {
-          if (event.key === "Enter" || event.key === " ") {
-            event.preventDefault();
-
-            // Trigger dropdown opening
-            button.click();
-
-            // Focus search field and preserve current value
-            focusSearchInput();
-          }
-        },
-        {
-          signal: cleanup.abortController.signal,
-        },
-      );
+      // Keyboard handling: combobox/listbox pattern with aria-activedescendant
+      this.setupDropdownCombobox(formContainer, button, selectors, focusSearchInput, cleanup);
 
       // Click handler for consistent behavior
       button.addEventListener(
@@ -3489,24 +6645,20 @@ const HubSpotFormManager = {
       "click",
       function (e) {
         let caret = null;
-        if (
-          e.target.classList &&
-          e.target.classList.contains("hsfc-DropdownInput__Caret")
-        ) {
+        if (e.target.matches && e.target.matches(selectors.dropdownCaret)) {
           caret = e.target;
         } else if (
           e.target.parentElement &&
-          e.target.parentElement.classList &&
-          e.target.parentElement.classList.contains("hsfc-DropdownInput__Caret")
+          e.target.parentElement.matches(selectors.dropdownCaret)
         ) {
           caret = e.target.parentElement;
         }
         if (caret && formContainer.contains(caret)) {
-          const dropdownInput = caret.closest(".hsfc-DropdownInput");
+          const dropdownInput = caret.closest(selectors.dropdownInput);
           if (dropdownInput) {
             setTimeout(() => {
               const dropdownOptions = dropdownInput.parentElement.querySelector(
-                ".hsfc-DropdownOptions",
+                selectors.dropdownOptions,
               );
               if (
                 dropdownOptions &&
@@ -3515,7 +6667,7 @@ const HubSpotFormManager = {
                 getComputedStyle(dropdownOptions).visibility !== "hidden"
               ) {
                 const searchInput = dropdownOptions.querySelector(
-                  '.hsfc-DropdownOptions__Search input[type="text"]',
+                  selectors.dropdownSearchInput,
                 );
                 if (searchInput) {
                   searchInput.focus();
@@ -3526,28 +6678,20 @@ const HubSpotFormManager = {
         }
         // --- Phone caret click-to-focus logic ---
         let phoneCaret = null;
-        if (
-          e.target.classList &&
-          e.target.classList.contains("hsfc-PhoneInput__FlagAndCaret")
-        ) {
+        if (e.target.matches && e.target.matches(selectors.phoneFlagAndCaret)) {
           phoneCaret = e.target;
         } else if (
           e.target.parentElement &&
-          e.target.parentElement.classList &&
-          e.target.parentElement.classList.contains(
-            "hsfc-PhoneInput__FlagAndCaret",
-          )
+          e.target.parentElement.matches(selectors.phoneFlagAndCaret)
         ) {
           phoneCaret = e.target.parentElement;
         }
         if (phoneCaret && formContainer.contains(phoneCaret)) {
-          const phoneField = phoneCaret.closest(
-            '.hsfc-PhoneField, [data-hsfc-id="PhoneField"]',
-          );
+          const phoneField = phoneCaret.closest(selectors.phoneField);
           if (phoneField) {
             setTimeout(() => {
               const dropdownOptions = phoneField.querySelector(
-                ".hsfc-DropdownOptions",
+                selectors.dropdownOptions,
               );
               if (
                 dropdownOptions &&
@@ -3556,7 +6700,7 @@ const HubSpotFormManager = {
                 getComputedStyle(dropdownOptions).visibility !== "hidden"
               ) {
                 const searchInput = dropdownOptions.querySelector(
-                  '.hsfc-DropdownOptions__Search input[type="text"]',
+                  selectors.dropdownSearchInput,
                 );
                 if (searchInput) {
                   searchInput.focus();
@@ -3570,6 +6714,456 @@ const HubSpotFormManager = {
     );
   },
 
+  // WAI-ARIA combobox pattern for a HubSpot dropdown trigger. HubSpot only renders
+  // .hsfc-DropdownOptions while the menu is open, so the listbox and its options are looked
+  // up on each key press; focus stays on the trigger or the search box and the highlighted
+  // option is exposed through aria-activedescendant.
+  setupDropdownCombobox(formContainer, button, selectors, focusSearchInput, cleanup) {
+    const container =
+      button.closest(selectors.dropdownField) || button.closest(selectors.row);
+    if (!container) return;
+
+    const signal = cleanup.abortController.signal;
+    const activeClass = "hsfc-DropdownOptions__List__ListItem--active";
+    let activeOption = null;
+    let typeahead = "";
+    let typeaheadTimer = null;
+
+    const getPanel = () => container.querySelector(selectors.dropdownOptions);
+    const getSearchInput = () => getPanel()?.querySelector(selectors.dropdownSearchInput) || null;
+    const getListbox = () => getPanel()?.querySelector(selectors.listbox) || null;
+    const isOpen = () => this.isDropdownOpen(getPanel());
+
+    const getOptions = () => {
+      const listbox = getListbox();
+      if (!listbox) return [];
+
+      const listboxId = ensureElementId(listbox, "hsfc-listbox");
+      return Array.from(listbox.querySelectorAll(selectors.option)).filter((option) => {
+        ensureElementId(option, `${listboxId}-option`);
+        return !option.hidden && option.getAttribute("aria-disabled") !== "true";
+      });
+    };
+
+    const setActiveOption = (option) => {
+      if (activeOption && activeOption !== option) {
+        activeOption.classList.remove(activeClass);
+      }
+      activeOption = option;
+
+      [button, getSearchInput()].forEach((element) => {
+        if (!element) return;
+        if (option) {
+          element.setAttribute("aria-activedescendant", option.id);
+        } else {
+          element.removeAttribute("aria-activedescendant");
+        }
+      });
+
+      if (option) {
+        option.classList.add(activeClass);
+        option.scrollIntoView?.({ block: "nearest" });
+      }
+    };
+
+    // The currently selected option, matched on aria-selected or the trigger's value
+    const getSelectedOption = (options) =>
+      options.find((option) => option.getAttribute("aria-selected") === "true") ||
+      options.find((option) => option.textContent.trim() === (button.value || "").trim()) ||
+      null;
+
+    const moveActive = (position) => {
+      const options = getOptions();
+      if (options.length === 0) return;
+
+      const current = options.indexOf(activeOption);
+      let index;
+      if (position === "first") index = 0;
+      else if (position === "last") index = options.length - 1;
+      else if (current === -1) {
+        const selected = options.indexOf(getSelectedOption(options));
+        index = selected !== -1 ? selected : position > 0 ? 0 : options.length - 1;
+      } else {
+        index = Math.min(Math.max(current + position, 0), options.length - 1);
+      }
+      setActiveOption(options[index]);
+    };
+
+    // Typed characters jump to the next option starting with them; repeating one
+    // character cycles through the options that start with it
+    const matchTypeahead = (character) => {
+      clearTimeout(typeaheadTimer);
+      typeahead += character.toLowerCase();
+      typeaheadTimer = setTimeout(() => {
+        typeahead = "";
+      }, 500);
+
+      const options = getOptions();
+      const repeated = typeahead.split("").every((char) => char === typeahead[0]);
+      const query = repeated ? typeahead[0] : typeahead;
+      const start = options.indexOf(activeOption) + (repeated ? 1 : 0);
+      const ordered = [...options.slice(Math.max(start, 0)), ...options.slice(0, Math.max(start, 0))];
+      const match = ordered.find((option) =>
+        option.textContent.trim().toLowerCase().startsWith(query),
+      );
+      if (match) setActiveOption(match);
+    };
+
+    // HubSpot opens the menu asynchronously; run the callback once it has rendered
+    const open = (callback) => {
+      if (isOpen()) {
+        callback();
+        return;
+      }
+      button.click();
+      setTimeout(() => {
+        if (!signal.aborted && isOpen()) callback();
+      }, 100);
+    };
+
+    const close = () => {
+      setActiveOption(null);
+      if (isOpen()) button.click();
+      button.focus();
+    };
+
+    const selectOption = (option) => {
+      setActiveOption(null);
+      option.click();
+      button.focus();
+    };
+
+    const handleKeydown = (event, fromSearch) => {
+      const { key } = event;
+
+      if (key === "ArrowDown" || key === "ArrowUp") {
+        event.preventDefault();
+        const step = key === "ArrowDown" ? 1 : -1;
+        if (isOpen()) {
+          moveActive(step);
+        } else {
+          open(() => moveActive(step));
+        }
+        return;
+      }
+
+      // Home/End keep moving the caret inside the search box
+      if ((key === "Home" || key === "End") && !fromSearch && isOpen()) {
+        event.preventDefault();
+        moveActive(key === "Home" ? "first" : "last");
+        return;
+      }
+
+      if (key === "Escape") {
+        if (!isOpen()) return;
+        event.preventDefault();
+        event.stopPropagation();
+        close();
+        return;
+      }
+
+      if (key === "Enter" || (key === " " && !fromSearch)) {
+        if (isOpen() && activeOption?.isConnected) {
+          event.preventDefault();
+          selectOption(activeOption);
+          return;
+        }
+        if (fromSearch) return;
+
+        event.preventDefault();
+        // Trigger dropdown opening, then focus the search field and preserve the current value
+        button.click();
+        focusSearchInput();
+        return;
+      }
+
+      if (!fromSearch && key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        event.preventDefault();
+        open(() => matchTypeahead(key));
+      }
+    };
+
+    const originalRole = button.getAttribute("role");
+    button.setAttribute("role", "combobox");
+    button.setAttribute("aria-haspopup", "listbox");
+    button.setAttribute("aria-expanded", "false");
+
+    // Put HubSpot's own role back on teardown
+    signal.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(typeaheadTimer);
+        activeOption?.classList.remove(activeClass);
+        if (originalRole) button.setAttribute("role", originalRole);
+        ["aria-haspopup", "aria-expanded", "aria-controls", "aria-activedescendant"].forEach(
+          (attribute) => button.removeAttribute(attribute),
+        );
+      },
+      { once: true },
+    );
+
+    button.addEventListener("keydown", (event) => handleKeydown(event, false), { signal });
+
+    // The search box lives inside the re-rendered panel, so its keys are delegated
+    container.addEventListener(
+      "keydown",
+      (event) => {
+        if (event.target !== button && event.target.matches?.(selectors.dropdownSearchInput)) {
+          handleKeydown(event, true);
+        }
+      },
+      { signal },
+    );
+
+    // Announce the choice however it was made (keyboard, mouse or touch)
+    container.addEventListener(
+      "click",
+      (event) => {
+        // HubSpot may already have removed the panel, so don't require the option to be attached
+        const option = event.target.closest?.(selectors.option);
+        if (!option) return;
+
+        const label = option.textContent.trim();
+        setTimeout(() => {
+          if (signal.aborted) return;
+
+          const message = ErrorMessageConfig.getMessage(
+            "optionSelected",
+            { option: button.value || label },
+            button,
+          );
+          if (message) this.announce(formContainer, message);
+        }, 100);
+      },
+      { signal },
+    );
+
+    // Keep aria-expanded, aria-controls and the active option in step with HubSpot's rendering
+    const syncState = () => {
+      // A HubSpot re-render resets the trigger to role="button"
+      if (button.getAttribute("role") !== "combobox") {
+        button.setAttribute("role", "combobox");
+      }
+
+      // Runs on every mutation batch in the dropdown, so measuring (which forces layout) is
+      // left for when the cheap check says a closed panel may have just opened
+      const panel = getPanel();
+      const expanded =
+        this.isDropdownPanelShown(panel) &&
+        (button.getAttribute("aria-expanded") === "true" || this.isDropdownOpen(panel));
+      button.setAttribute("aria-expanded", String(expanded));
+
+      const listbox = expanded ? getListbox() : null;
+      if (listbox) {
+        const listboxId = ensureElementId(listbox, "hsfc-listbox");
+        button.setAttribute("aria-controls", listboxId);
+        getSearchInput()?.setAttribute("aria-controls", listboxId);
+      }
+
+      if (!expanded || (activeOption && !activeOption.isConnected)) {
+        setActiveOption(null);
+      }
+    };
+    syncState();
+
+    cleanup.observers.push(
+      MutationDispatcher.subscribe(container, syncState, {
+        childList: true,
+        attributes: ["style", "class", "hidden", "role"],
+      }),
+    );
+  },
+
+  // Layout-free part of isDropdownOpen(): HubSpot renders the panel only while the menu is open
+  isDropdownPanelShown(dropdownOptions) {
+    return !!dropdownOptions && !dropdownOptions.hidden && dropdownOptions.style.display !== "none";
+  },
+
+  // Whether a dropdown's options panel is rendered and visible
+  isDropdownOpen(dropdownOptions) {
+    if (!dropdownOptions) return false;
+
+    const style = getComputedStyle(dropdownOptions);
+    return (
+      style.display !== "none" &&
+      style.visibility !== "hidden" &&
+      dropdownOptions.offsetHeight > 0
+    );
+  },
+
+  // Polite live region for announcements; one per form, removed with the other injected elements
+  announce(formContainer, message) {
+    let region = formContainer.querySelector(".hsfc-LiveRegion");
+    if (!region) {
+      region = document.createElement("div");
+      region.className = "hsfc-LiveRegion";
+      region.setAttribute("role", "status");
+      region.setAttribute("aria-live", "polite");
+      region.setAttribute("aria-atomic", "true");
+      formContainer.appendChild(region);
+    }
+
+    // Clear first so repeating the same message is still read out
+    region.textContent = "";
+    requestFrame(() => {
+      region.textContent = message;
+    });
+  },
+
+  // Delegated so email fields on later steps are covered without rebinding
+  setupEmailSuggestions(formContainer, cleanup) {
+    const { signal } = cleanup.abortController;
+    const isSuggestionField = (field) =>
+      field instanceof HTMLInputElement &&
+      EmailPolicy.isEmailField(field) &&
+      EmailSuggestions.getOptions(field).enabled;
+
+    // Shown while typing so Tab reaches the suggestion; announced once the field is left
+    const update = (event) => {
+      if (isSuggestionField(event.target)) {
+        this.updateEmailSuggestion(formContainer, event.target, event.type !== "input");
+      }
+    };
+
+    ["input", "change", "focusout"].forEach((eventType) => {
+      formContainer.addEventListener(eventType, update, { signal });
+    });
+
+    formContainer.addEventListener(
+      "click",
+      (event) => {
+        const suggestion = event.target.closest?.(".hsfc-EmailSuggestion");
+        if (suggestion && event.target.closest(".hsfc-EmailSuggestion__Button")) {
+          this.applyEmailSuggestion(formContainer, suggestion);
+        }
+      },
+      { signal },
+    );
+
+    // Escape dismisses the suggestion until the address changes
+    formContainer.addEventListener(
+      "keydown",
+      (event) => {
+        if (event.key !== "Escape") return;
+
+        const suggestion = event.target.closest?.(".hsfc-EmailSuggestion");
+        const field = suggestion?._hsfcField || (isSuggestionField(event.target) && event.target);
+        if (!field || !this.hideEmailSuggestion(field)) return;
+
+        this._dismissedEmailSuggestions.set(field, field.value.trim());
+        event.preventDefault();
+        if (suggestion) field.focus();
+      },
+      { signal },
+    );
+  },
+
+  // Field -> address whose suggestion was dismissed with Escape
+  _dismissedEmailSuggestions: new WeakMap(),
+
+  updateEmailSuggestion(formContainer, field, announce = false) {
+    const suggested =
+      this._dismissedEmailSuggestions.get(field) === field.value.trim()
+        ? null
+        : EmailSuggestions.suggest(field.value, EmailSuggestions.getOptions(field));
+
+    if (!suggested) {
+      this.hideEmailSuggestion(field);
+      return;
+    }
+
+    const container = field.closest(SelectorRegistry.get("field", field)) || field.parentElement;
+    let element = container.querySelector(".hsfc-EmailSuggestion");
+
+    if (!element) {
+      element = document.createElement("div");
+      element.className = "hsfc-EmailSuggestion";
+      element._hsfcField = field;
+
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "hsfc-EmailSuggestion__Button";
+      // The button stands in for {suggestion}
+      const template =
+        ErrorMessageConfig.getMessage("emailSuggestion", {}, field) ||
+        ErrorMessageConfig.defaultMessages.emailSuggestion;
+      const [before, after = ""] = template.split("{suggestion}", 2);
+      element.append(before, button, after);
+      container.appendChild(element);
+
+      const suggestionId = ensureElementId(element, "hsfc-email-suggestion");
+      const describedBy = (field.getAttribute("aria-describedby") || "").split(/\s+/).filter(Boolean);
+      field.setAttribute("aria-describedby", [...describedBy, suggestionId].join(" "));
+    }
+
+    // Rewriting the same text would drop the button out from under a click in progress
+    if (element.getAttribute("data-hsfc-suggestion") !== suggested) {
+      const button = element.querySelector(".hsfc-EmailSuggestion__Button");
+      button.textContent = suggested;
+      const label = ErrorMessageConfig.getMessage(
+        "emailSuggestionAction",
+        { suggestion: suggested },
+        field,
+      );
+      if (label) {
+        button.setAttribute("aria-label", label);
+      } else {
+        button.removeAttribute("aria-label");
+      }
+      element.setAttribute("data-hsfc-suggestion", suggested);
+    }
+
+    if (announce && element.getAttribute("data-hsfc-announced") !== suggested) {
+      element.setAttribute("data-hsfc-announced", suggested);
+      const message = ErrorMessageConfig.getMessage(
+        "emailSuggestion",
+        { suggestion: suggested },
+        field,
+      );
+      if (message) this.announce(formContainer, message);
+    }
+  },
+
+  // Returns whether a suggestion was showing
+  hideEmailSuggestion(field) {
+    const container = field.closest(SelectorRegistry.get("field", field)) || field.parentElement;
+    const element = container?.querySelector(".hsfc-EmailSuggestion");
+    if (!element || element._hsfcField !== field) return false;
+
+    const describedBy = (field.getAttribute("aria-describedby") || "")
+      .split(/\s+/)
+      .filter((id) => id && id !== element.id);
+    if (describedBy.length > 0) {
+      field.setAttribute("aria-describedby", describedBy.join(" "));
+    } else {
+      field.removeAttribute("aria-describedby");
+    }
+
+    element.remove();
+    return true;
+  },
+
+  // Write the suggestion into the field the way typing would, so HubSpot's state and our
+  // listeners (which then drop the suggestion) see it
+  applyEmailSuggestion(formContainer, element) {
+    const field = element._hsfcField;
+    const suggested = element.getAttribute("data-hsfc-suggestion");
+    if (!field || !suggested) return;
+
+    setNativeValue(field, suggested);
+    field.dispatchEvent(new Event("input", { bubbles: true }));
+    field.dispatchEvent(new Event("change", { bubbles: true }));
+    this.hideEmailSuggestion(field);
+
+    field.focus();
+    const message = ErrorMessageConfig.getMessage(
+      "emailSuggestionApplied",
+      { suggestion: suggested },
+      field,
+    );
+    if (message) this.announce(formContainer, message);
+  },
+
   // Helper method to detect if a dropdown is phone-related
   isPhoneRelatedDropdown(dropdownElement) {
     // HubSpot phone fields use .hsfc-PhoneInput__FlagAndCaret, not the standard dropdown button
@@ -3577,7 +7171,7 @@ const HubSpotFormManager = {
 
     // First, check if there's a phone input in the same container
     const container = dropdownElement.closest(
-      ".hs-form-field, .hsfc-FormField, .hsfc-PhoneField",
+      `${SelectorRegistry.get("field", dropdownElement)}, ${SelectorRegistry.get("phoneField", dropdownElement)}`,
     );
     if (container) {
       const phoneInput = container.querySelector('input[type="tel"]');
@@ -3622,32 +7216,29 @@ const HubSpotFormManager = {
   // Setup phone field accessibility
   setupPhoneFieldAccessibility(formContainer, cleanup) {
     // Find all HubSpot phone field containers
-    const phoneFields = formContainer.querySelectorAll(
-      '.hsfc-PhoneField, [data-hsfc-id="PhoneField"]',
-    );
+    const selectors = MarkupAdapter.detect(formContainer);
+    const phoneFields = formContainer.querySelectorAll(selectors.phoneField);
 
     phoneFields.forEach((phoneField, index) => {
       // Find the flag and caret element (the clickable country selector)
-      const flagAndCaret = phoneField.querySelector(
-        ".hsfc-PhoneInput__FlagAndCaret",
-      );
+      const flagAndCaret = phoneField.querySelector(selectors.phoneFlagAndCaret);
       if (!flagAndCaret) {
+        Diagnostics.recordBailout(formContainer, "phone", "phone field without a country flag/caret", selectors.phoneFlagAndCaret);
         return;
       }
 
       // Find the dropdown options container
-      const dropdownOptions = phoneField.querySelector(".hsfc-DropdownOptions");
+      const dropdownOptions = phoneField.querySelector(selectors.dropdownOptions);
       if (!dropdownOptions) {
+        Diagnostics.recordBailout(formContainer, "phone", "phone field without country dropdown options", selectors.dropdownOptions);
         return;
       }
 
       // Find the search input within the dropdown
-      const searchInput = dropdownOptions.querySelector(
-        'input[role="searchbox"], .hsfc-DropdownOptions__Search input',
-      );
+      const searchInput = dropdownOptions.querySelector(selectors.dropdownSearchInput);
 
       // Find the options list
-      const optionsList = dropdownOptions.querySelector('ul[role="listbox"]');
+      const optionsList = dropdownOptions.querySelector(selectors.listbox);
 
       // Find the phone input field
       const phoneInput = phoneField.querySelector('input[type="tel"]');
@@ -3662,6 +7253,29 @@ const HubSpotFormManager = {
         cleanup,
       );
 
+      const phoneOptions = PhoneCountries.getOptions(formContainer);
+      if (optionsList) {
+        if (phoneOptions.preferredCountries.length > 0) {
+          this.pinPreferredCountries(optionsList, phoneOptions.preferredCountries, cleanup);
+        }
+
+        if (searchInput && phoneOptions.countrySearch) {
+          this.addPhoneCountrySearch(
+            searchInput,
+            optionsList,
+            flagAndCaret,
+            dropdownOptions,
+            cleanup,
+          );
+        }
+
+        // Before the overwrite support starts listening, so this doesn't count as the visitor's pick
+        const defaultCountry = PhoneCountries.resolveDefaultCountry(formContainer);
+        if (defaultCountry && phoneInput) {
+          this.applyDefaultPhoneCountry(phoneField, phoneInput, optionsList, defaultCountry);
+        }
+      }
+
       // Add country code overwriting functionality
       if (phoneInput) {
         this.addPhoneInputOverwriteSupport(
@@ -3811,7 +7425,8 @@ const HubSpotFormManager = {
 
     // Close dropdown when clicking outside - track as global listener
     const outsideClickHandler = (event) => {
-      if (!phoneField.contains(event.target)) {
+      // composedPath() because event.target is retargeted to the host outside a shadow root
+      if (!event.composedPath().includes(phoneField)) {
         this.closePhoneDropdown(flagAndCaret, dropdownOptions);
       }
     };
@@ -3823,6 +7438,159 @@ const HubSpotFormManager = {
     });
   },
 
+  // Move the preferred countries, in the given order, to the top of the country list.
+  // HubSpot can re-render the list, so this re-runs on its mutations; the original order
+  // is put back on teardown.
+  pinPreferredCountries(optionsList, isoCodes, cleanup) {
+    const optionSelector = SelectorRegistry.get("option");
+    const preferredClass = "hsfc-PhoneOption--preferred";
+    const originalOrder = Array.from(optionsList.children);
+
+    const pin = () => {
+      const options = Array.from(optionsList.querySelectorAll(optionSelector));
+      const preferred = isoCodes
+        .map((iso) => options.find((option) => PhoneCountries.getOptionCountry(option) === iso))
+        .filter(Boolean);
+
+      options.forEach((option) => {
+        option.classList.toggle(preferredClass, preferred.includes(option));
+      });
+
+      // Already in place; moving them again would only re-trigger this subscription
+      if (preferred.every((option, index) => options[index] === option)) return;
+
+      preferred.reverse().forEach((option) => {
+        const first = optionsList.querySelector(optionSelector);
+        if (first !== option) first.parentElement.insertBefore(option, first);
+      });
+    };
+    pin();
+
+    cleanup.observers.push(MutationDispatcher.subscribe(optionsList, pin, { childList: true }));
+
+    cleanup.abortController.signal.addEventListener(
+      "abort",
+      () => {
+        optionsList
+          .querySelectorAll(`.${preferredClass}`)
+          .forEach((option) => option.classList.remove(preferredClass));
+
+        if (originalOrder.every((child) => child.parentElement === optionsList)) {
+          originalOrder.forEach((child) => optionsList.appendChild(child));
+        }
+      },
+      { once: true },
+    );
+  },
+
+  // Filter the country list ourselves so the search also matches ISO codes and localized
+  // names. HubSpot's React onChange never sees the typed text, so its own filter stays off
+  // and every option remains rendered; non-matching ones are hidden instead.
+  addPhoneCountrySearch(searchInput, optionsList, flagAndCaret, dropdownOptions, cleanup) {
+    const signal = cleanup.abortController.signal;
+    const getOptions = () =>
+      Array.from(optionsList.querySelectorAll(SelectorRegistry.get("option")));
+
+    const filter = (query) => {
+      getOptions().forEach((option) => {
+        option.hidden = !PhoneCountries.matchesSearch(option, query);
+      });
+    };
+
+    ["input", "change"].forEach((type) => {
+      searchInput.addEventListener(
+        type,
+        (event) => {
+          event.stopPropagation();
+          if (type === "input") this._phoneSearchTyped.set(searchInput, true);
+          filter(searchInput.value);
+        },
+        { signal },
+      );
+    });
+
+    // Enter picks the first match, since HubSpot doesn't know what was typed. Only after typing:
+    // the prefilled current country doesn't filter, so the first option would be a pinned one.
+    searchInput.addEventListener(
+      "keydown",
+      (event) => {
+        if (
+          event.key !== "Enter" ||
+          !this._phoneSearchTyped.get(searchInput) ||
+          !searchInput.value.trim()
+        ) {
+          return;
+        }
+
+        const [firstMatch] = this.getVisiblePhoneOptions(optionsList);
+        if (!firstMatch) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        firstMatch.click();
+        firstMatch.dispatchEvent(new CustomEvent("countrySelected", { bubbles: true }));
+        this.closePhoneDropdown(flagAndCaret, dropdownOptions);
+      },
+      { signal },
+    );
+
+    // Each time the list opens it starts unfiltered; opening it from the keyboard resets it
+    // through populatePhoneSearchWithCurrentCountry()
+    flagAndCaret.addEventListener(
+      "click",
+      () => this.resetPhoneCountrySearch(searchInput, optionsList),
+      { signal },
+    );
+
+    signal.addEventListener("abort", () => filter(""), { once: true });
+  },
+
+  // Search input -> whether the visitor typed in it since the list last opened
+  _phoneSearchTyped: new WeakMap(),
+
+  // Show every country again and forget what was typed
+  resetPhoneCountrySearch(searchInput, optionsList) {
+    this._phoneSearchTyped.set(searchInput, false);
+    optionsList.querySelectorAll(SelectorRegistry.get("option")).forEach((option) => {
+      option.hidden = false;
+    });
+  },
+
+  // Select the default country unless a number (typed or prefilled) is already there
+  applyDefaultPhoneCountry(phoneField, phoneInput, optionsList, iso) {
+    const value = (phoneInput.value || "").trim();
+    if (value && !/^\+?\d{1,4}$/.test(value)) return;
+
+    const flag = phoneField.querySelector(SelectorRegistry.get("phoneFlag"));
+    if (flag && PhoneCountries.getFlagCountry(flag.textContent) === iso) return;
+
+    const option = Array.from(optionsList.querySelectorAll(SelectorRegistry.get("option"))).find(
+      (candidate) => PhoneCountries.getOptionCountry(candidate) === iso,
+    );
+    if (!option) return;
+
+    const root = phoneField.getRootNode();
+    const previouslyFocused = root.activeElement;
+
+    option.click();
+
+    // HubSpot may focus the number input after a selection; don't steal focus on page load
+    if (root.activeElement !== previouslyFocused) {
+      if (previouslyFocused && previouslyFocused !== document.body) {
+        previouslyFocused.focus();
+      } else {
+        root.activeElement?.blur();
+      }
+    }
+  },
+
+  // Options not hidden by the country search
+  getVisiblePhoneOptions(optionsList) {
+    return Array.from(optionsList.querySelectorAll(SelectorRegistry.get("option"))).filter(
+      (option) => !option.hidden,
+    );
+  },
+
   // Toggle phone dropdown open/closed
   togglePhoneDropdown(flagAndCaret, dropdownOptions, searchInput) {
     const isCurrentlyOpen = this.isPhoneDropdownOpen(dropdownOptions);
@@ -3862,7 +7630,8 @@ const HubSpotFormManager = {
         if (this.isPhoneDropdownOpen(dropdownOptions)) {
           flagAndCaret.setAttribute("aria-expanded", "true");
 
-          if (searchInput) {
+          const phoneField = flagAndCaret.closest(SelectorRegistry.get("phoneField", flagAndCaret));
+          if (searchInput && phoneField) {
             // Pre-populate search input with current country selection
             this.populatePhoneSearchWithCurrentCountry(searchInput, phoneField);
 
@@ -3899,7 +7668,7 @@ const HubSpotFormManager = {
 
       // Backup focus attempt
       setTimeout(() => {
-        if (document.activeElement !== flagAndCaret) {
+        if (flagAndCaret.getRootNode().activeElement !== flagAndCaret) {
           flagAndCaret.focus();
         }
       }, 100);
@@ -3920,7 +7689,7 @@ const HubSpotFormManager = {
   focusFirstPhoneOption(optionsList) {
     if (!optionsList) return;
 
-    const firstOption = optionsList.querySelector('li[role="option"]');
+    const [firstOption] = this.getVisiblePhoneOptions(optionsList);
     if (firstOption) {
       firstOption.focus();
     }
@@ -3930,7 +7699,7 @@ const HubSpotFormManager = {
   focusLastPhoneOption(optionsList) {
     if (!optionsList) return;
 
-    const options = optionsList.querySelectorAll('li[role="option"]');
+    const options = this.getVisiblePhoneOptions(optionsList);
     const lastOption = options[options.length - 1];
     if (lastOption) {
       lastOption.focus();
@@ -3947,10 +7716,8 @@ const HubSpotFormManager = {
     optionsList.addEventListener(
       "keydown",
       (event) => {
-        const focusedOption = document.activeElement;
-        const options = Array.from(
-          optionsList.querySelectorAll('li[role="option"]'),
-        );
+        const focusedOption = optionsList.getRootNode().activeElement;
+        const options = this.getVisiblePhoneOptions(optionsList);
         const currentIndex = options.indexOf(focusedOption);
 
         switch (event.key) {
@@ -4011,7 +7778,7 @@ const HubSpotFormManager = {
     };
 
     // Listen for country selection via dropdown (clicks and keyboard)
-    const optionsList = phoneField.querySelector('ul[role="listbox"]');
+    const optionsList = phoneField.querySelector(SelectorRegistry.get("listbox"));
     if (optionsList) {
       optionsList.addEventListener("click", markCountrySelected, {
         signal: cleanup.abortController.signal,
@@ -4021,6 +7788,8 @@ const HubSpotFormManager = {
       });
     }
 
+    const formatAsYouType = PhoneCountries.getOptions(phoneField).format;
+
     // Listen for input changes
     phoneInput.addEventListener(
       "input",
@@ -4042,10 +7811,13 @@ const HubSpotFormManager = {
             currentValue,
             previousValue,
           );
+        } else if (formatAsYouType) {
+          // Runs before HubSpot's React listener, so its onChange receives the formatted value
+          this.formatPhoneInput(phoneInput, event, previousValue);
         }
 
         // Update tracking
-        lastKnownValue = currentValue;
+        lastKnownValue = phoneInput.value || "";
       },
       {
         signal: cleanup.abortController.signal,
@@ -4154,6 +7926,60 @@ const HubSpotFormManager = {
     );
   },
 
+  // Reformat the number for its country while keeping the caret next to the same digit
+  formatPhoneInput(phoneInput, event, previousValue) {
+    const iso = PhoneCountries.getFieldCountry(phoneInput);
+    const countDigits = (text) => (text.match(/\d/g) || []).length;
+    const caret = phoneInput.selectionStart ?? phoneInput.value.length;
+    let value = phoneInput.value || "";
+    let digitsBeforeCaret = countDigits(value.slice(0, caret));
+
+    // A pasted national number ("614-555-0100") is for the selected country
+    if (!value.trim().startsWith("+")) {
+      const dialCode = PhoneCountries.getNumbering(iso)?.dialCode;
+      if (event.inputType !== "insertFromPaste" || !dialCode) return;
+
+      value = `+${dialCode} ${value}`;
+      digitsBeforeCaret += dialCode.length;
+    }
+
+    // Backspace over a separator changes no digit, and reformatting would put the separator
+    // straight back; remove the digit in front of it instead
+    const digits = value.replace(/\D/g, "");
+    const { dialCode } = PhoneCountries.parseNumber(value, iso);
+    if (
+      event.inputType === "deleteContentBackward" &&
+      dialCode &&
+      digits === (previousValue || "").replace(/\D/g, "") &&
+      digitsBeforeCaret > dialCode.length
+    ) {
+      value = `+${digits.slice(0, digitsBeforeCaret - 1)}${digits.slice(digitsBeforeCaret)}`;
+      digitsBeforeCaret -= 1;
+    }
+
+    const formatted = PhoneCountries.formatNumber(value, iso);
+    if (formatted === null || formatted === phoneInput.value) return;
+
+    // The trunk prefix is dropped from the international format
+    const parsed = PhoneCountries.parseNumber(value, iso);
+    if (parsed.trunkPrefix && digitsBeforeCaret > parsed.dialCode.length) {
+      digitsBeforeCaret -= 1;
+    }
+
+    setNativeValue(phoneInput, formatted);
+
+    if (phoneInput.getRootNode().activeElement !== phoneInput) return;
+
+    let position = digitsBeforeCaret === 0 ? Math.min(caret, 1) : formatted.length;
+    for (let i = 0, seen = 0; i < formatted.length && digitsBeforeCaret > 0; i++) {
+      if (/\d/.test(formatted[i]) && ++seen === digitsBeforeCaret) {
+        position = i + 1;
+        break;
+      }
+    }
+    phoneInput.setSelectionRange(position, position);
+  },
+
   // Determine if country code should be overwritten
   shouldOverwriteCountryCode(
     currentValue,
@@ -4285,10 +8111,16 @@ const HubSpotFormManager = {
 
   // Populate search input with current country selection (like regular dropdowns)
   populatePhoneSearchWithCurrentCountry(searchInput, phoneField) {
+    const optionsList = phoneField.querySelector(SelectorRegistry.get("listbox"));
+    if (!optionsList) {
+      return;
+    }
+
+    // The list is opening: drop the last search's filter before showing the country text
+    this.resetPhoneCountrySearch(searchInput, optionsList);
+
     // Get the current country from the flag element
-    const flagElement = phoneField.querySelector(
-      ".hsfc-PhoneInput__FlagAndCaret__Flag",
-    );
+    const flagElement = phoneField.querySelector(SelectorRegistry.get("phoneFlag"));
     if (!flagElement) {
       return;
     }
@@ -4300,14 +8132,8 @@ const HubSpotFormManager = {
       return;
     }
 
-    // Find the matching option in the dropdown list to get the full text
-    const optionsList = phoneField.querySelector('ul[role="listbox"]');
-    if (!optionsList) {
-      return;
-    }
-
-    // Look for the option that starts with this flag emoji
-    const options = optionsList.querySelectorAll('li[role="option"]');
+    // Find the option that starts with this flag emoji, to get the full text
+    const options = optionsList.querySelectorAll(SelectorRegistry.get("option"));
     let matchingOption = null;
 
     for (const option of options) {
@@ -4334,8 +8160,8 @@ const HubSpotFormManager = {
 
 // Legacy compatibility functions
 const setupAllFormsValidation = () => HubSpotFormManager.setupAllForms();
-const setupSingleFormValidation = (formContainer) =>
-  HubSpotFormManager.setupSingleForm(formContainer);
+const setupSingleFormValidation = (formContainer, options) =>
+  HubSpotFormManager.setupSingleForm(formContainer, options);
 
 // Legacy function for backward compatibility
 const setupFieldValidation = setupAllFormsValidation;
@@ -4357,7 +8183,22 @@ export {
 };
 
 // Export utility functions
-export { removeHubSpotFormStyles };
+export { removeHubSpotFormStyles, FORM_EVENTS, DebugLogger, MutationDispatcher, supportsHasSelector };
+
+// Export plugin registry
+export { PluginRegistry, registerPlugin, unregisterPlugin };
+
+// Markup-drift diagnostics
+export { Diagnostics, diagnose };
 
 // Export additional validators for module compatibility
-export { FieldValidator, FileUploadValidator };
+export {
+  FieldValidator,
+  FieldRules,
+  FileUploadValidator,
+  MarkupAdapter,
+  SelectorRegistry,
+  PhoneCountries,
+  EmailPolicy,
+  EmailSuggestions,
+};
@@ -12,12 +12,23 @@ import {
   HubSpotFormValidator,
   CharacterLimitValidator,
   FieldValidator,
+  FieldRules,
   FileUploadValidator,
   ErrorMessageConfig,
+  PhoneCountries,
+  EmailPolicy,
+  EmailSuggestions,
+  MarkupAdapter,
+  SelectorRegistry,
   removeHubSpotFormStyles,
+  FORM_EVENTS,
+  registerPlugin,
+  unregisterPlugin,
+  MutationDispatcher,
+  diagnose,
 } from "./hubspot-forms.js";
 
-import { initializeCore } from './core.js';
+import { initializeCore, destroyCore, createFormEnhancer, ready, whenFormReady } from './core.js';
 
 const CDN_AUTO_INIT_RAN_FLAG = '__HUBSPOT_FORMS_CDN_AUTO_INIT_RAN__';
 
@@ -52,12 +63,56 @@ const autoInit = () => {
     if (window.HUBSPOT_FORMS_MOBILE_STEP_SCROLL_RESET !== undefined) {
       options.mobileStepScrollReset = window.HUBSPOT_FORMS_MOBILE_STEP_SCROLL_RESET;
     }
+    if (window.HUBSPOT_FORMS_FEATURES) {
+      options.features = window.HUBSPOT_FORMS_FEATURES;
+    }
+    if (window.HUBSPOT_FORMS_DEBUG) {
+      options.debug = true;
+    }
+    if (window.HUBSPOT_FORMS_ROOT) {
+      options.root = window.HUBSPOT_FORMS_ROOT;
+    }
+    if (window.HUBSPOT_FORMS_FORM_SELECTOR) {
+      options.formSelector = window.HUBSPOT_FORMS_FORM_SELECTOR;
+    }
+    if (window.HUBSPOT_FORMS_SHADOW_ROOTS) {
+      options.shadowRoots = true;
+    }
+    if (window.HUBSPOT_FORMS_ADOPT_STYLES) {
+      options.adoptStyles = window.HUBSPOT_FORMS_ADOPT_STYLES;
+    }
+    if (window.HUBSPOT_FORMS_SELECTORS) {
+      options.selectors = window.HUBSPOT_FORMS_SELECTORS;
+    }
+    if (window.HUBSPOT_FORMS_PHONE) {
+      options.phone = window.HUBSPOT_FORMS_PHONE;
+    }
+    if (window.HUBSPOT_FORMS_RULES) {
+      options.rules = window.HUBSPOT_FORMS_RULES;
+    }
+    if (window.HUBSPOT_FORMS_EMAIL_POLICY) {
+      options.emailPolicy = window.HUBSPOT_FORMS_EMAIL_POLICY;
+    }
+    if (window.HUBSPOT_FORMS_EMAIL_SUGGESTIONS !== undefined) {
+      options.emailSuggestions = window.HUBSPOT_FORMS_EMAIL_SUGGESTIONS;
+    }
   }
 
   // Initialize all core functionality
   initializeCore(options);
 };
 
+/**
+ * Tear down all enhancements; a later init() call starts over
+ */
+const destroy = () => {
+  destroyCore();
+
+  if (typeof window !== 'undefined') {
+    window[CDN_AUTO_INIT_RAN_FLAG] = false;
+  }
+};
+
 // Run when DOM is ready
 if (document.readyState === "loading") {
   document.addEventListener("DOMContentLoaded", autoInit);
@@ -71,8 +126,23 @@ window.HubSpotFormEnhancements = {
   HubSpotFormValidator,
   CharacterLimitValidator,
   FieldValidator,
+  FieldRules,
   FileUploadValidator,
   ErrorMessageConfig,
+  PhoneCountries,
+  EmailPolicy,
+  EmailSuggestions,
+  MarkupAdapter,
+  SelectorRegistry,
   removeHubSpotFormStyles,
+  FORM_EVENTS,
+  registerPlugin,
+  unregisterPlugin,
+  MutationDispatcher,
+  diagnose,
   init: autoInit,
+  destroy,
+  createFormEnhancer,
+  ready,
+  whenFormReady,
 };
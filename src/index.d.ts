@@ -17,6 +17,12 @@ export interface ErrorMessages {
   date?: string;
   /** Message for phone number validation */
   phone?: string;
+  /** Message for addresses rejected by emailPolicy; supports {domain} and {reason} */
+  businessEmail?: string;
+  /** Message for the minLength field rule; supports {min} */
+  minLength?: string;
+  /** Message for the maxLength field rule; supports {max} */
+  maxLength?: string;
   /** Message for file type validation */
   file?: string;
   /** Message for file size validation with interpolation support */
@@ -37,6 +43,18 @@ export interface ErrorMessages {
   submission?: string;
   /** Message for network/connection errors */
   network?: string;
+  /** Announced after a dropdown option is chosen; supports {option}. Empty string turns it off */
+  optionSelected?: string;
+  /** Email domain suggestion text; the button takes the place of {suggestion} */
+  emailSuggestion?: string;
+  /** Accessible label of the suggestion button; supports {suggestion} */
+  emailSuggestionAction?: string;
+  /** Announced after a suggestion is applied; supports {suggestion}. Empty string turns it off */
+  emailSuggestionApplied?: string;
+  /** Announced while Next/Submit waits for an async field rule. Empty string turns it off */
+  rulePending?: string;
+  /** Summary heading when Next/Submit is blocked with no field to list (e.g. by a plugin check). Empty string turns it off */
+  stepBlocked?: string;
 }
 
 export interface MobileStepScrollResetConfig {
@@ -52,6 +70,68 @@ export interface MobileStepScrollResetConfig {
   respectReducedMotion?: boolean;
 }
 
+// Subsystems that can be switched off; omitted keys stay enabled
+export interface FeatureFlags {
+  /** Phone country dropdown accessibility and country-code overwrite support */
+  phone?: boolean;
+  /** ARIA and keyboard support for .hsfc-DropdownInput */
+  dropdown?: boolean;
+  /** Moving the progress bar below the error summary */
+  progressBar?: boolean;
+  /** Textarea counters and text input length enforcement */
+  characterLimit?: boolean;
+  /** File size, type and count validation */
+  fileUpload?: boolean;
+  /** Rewriting HubSpot's native error messages */
+  nativeErrorReplacement?: boolean;
+}
+
+/** ISO 3166-1 alpha-2 country code, e.g. "GB" */
+export type CountryCode = string;
+
+// Phone field options; omitted keys keep HubSpot's behavior
+export interface PhoneOptions {
+  /** Countries pinned, in this order, at the top of the flag dropdown (array or comma-separated string) */
+  preferredCountries?: CountryCode[] | string;
+  /** Country selected while the number is empty: an ISO code, or "auto" to detect it from the time zone and browser language */
+  defaultCountry?: CountryCode | 'auto' | null;
+  /** Match the country search against ISO codes and localized names (default: true) */
+  countrySearch?: boolean;
+  /**
+   * Phone number validation against the selected country (default: 'lenient').
+   * 'lenient' checks the length, 'strict' also the leading digits, 'off' only rejects a bare country code
+   */
+  validation?: PhoneValidationLevel;
+  /** Format the number for its country as it is typed or pasted, e.g. "+1 (614) 555-0100" (default: false) */
+  format?: boolean;
+}
+
+export interface ParsedPhoneNumber {
+  /** Whether the value starts with "+" */
+  international: boolean;
+  country: CountryCode | null;
+  dialCode: string | null;
+  /** National significant number, without a trunk 0 */
+  national: string;
+  /** Whether a trunk 0 was dropped from the national number */
+  trunkPrefix: boolean;
+}
+
+export type PhoneValidationLevel = 'strict' | 'lenient' | 'off';
+
+export interface PhoneValidationResult {
+  valid: boolean;
+  /** Country whose rules were applied; null when only the E.164 limits were checked */
+  country: CountryCode | null;
+  reason: 'too short' | 'too long' | 'invalid prefix' | null;
+}
+
+/**
+ * Styles for shadow roots: true copies the page's .hsfc-* rules, a string is used
+ * as CSS text and a CSSStyleSheet is adopted as-is
+ */
+export type AdoptStylesOption = boolean | string | CSSStyleSheet;
+
 // Configuration options for initialization
 export interface HubSpotFormsConfig {
   /** Default character limit for textarea fields (default: 500) */
@@ -66,6 +146,86 @@ export interface HubSpotFormsConfig {
   strictErrorSummaryOrdering?: boolean;
   /** Mobile step-change scroll reset behavior config */
   mobileStepScrollReset?: boolean | MobileStepScrollResetConfig;
+  /** Plugins to register before forms are set up (same as registerPlugin()) */
+  plugins?: HubSpotFormsPlugin[];
+  /** Turn individual subsystems off, e.g. { phone: false } */
+  features?: FeatureFlags;
+  /** Only enhance and observe inside this element, shadow root or first match of this selector */
+  root?: ParentNode | string;
+  /** Only enhance forms matching this selector, or inside an element matching it */
+  formSelector?: string;
+  /** Also find and observe forms inside open shadow roots under root */
+  shadowRoots?: boolean;
+  /** Copy the enhancement stylesheet into each shadow root that contains a form */
+  adoptStyles?: AdoptStylesOption;
+  /** Override HubSpot selectors when its markup changes, e.g. { step: '.hsfc-Step' } (module-wide) */
+  selectors?: SelectorOverrides | null;
+  /** Preferred countries, default country and country search for phone fields; null restores the defaults */
+  phone?: PhoneOptions | null;
+  /** Declarative validation rules keyed by field name; null removes them */
+  rules?: FieldRulesMap | null;
+  /** Block free-mail, disposable or role addresses in email fields; null restores the defaults */
+  emailPolicy?: EmailPolicyOptions | null;
+  /** "Did you mean gmail.com?" suggestions for mistyped email domains; true enables the defaults */
+  emailSuggestions?: EmailSuggestionOptions | boolean | null;
+  /** Log enhancement decisions (forms enhanced, observer triggers, validation, error text mapping) */
+  debug?: boolean;
+  /** Receives debug entries instead of console.debug */
+  logger?: DebugLoggerSink;
+}
+
+/**
+ * A debug entry. event is one of 'form-enhanced', 'form-skipped', 'form-observer',
+ * 'validate-step', 'error-text', 'plugin-error', 'init-failed', 'root-not-found',
+ * 'invalid-form-selector', 'invalid-selector', 'subsystem-bailout', 'observer-error' or 'rule-error';
+ * the other keys
+ * depend on the event.
+ */
+export interface DebugEntry {
+  event: string;
+  [key: string]: unknown;
+}
+
+/** A function receiving each entry, or a console-like object with debug(message, entry) */
+export type DebugLoggerSink =
+  | ((entry: DebugEntry) => void)
+  | { debug(message: string, entry: DebugEntry): void };
+
+export interface DebugLogger {
+  enabled: boolean;
+  logger: DebugLoggerSink | null;
+  /** Pass null as logger to go back to console.debug */
+  configure(debug?: boolean, logger?: DebugLoggerSink | null): void;
+  log(event: string, details?: Record<string, unknown>): void;
+}
+
+/**
+ * Per-form options for setupSingleForm(). The same values can be set in markup with
+ * data-hsfc-character-limit, data-hsfc-allowed-extensions, data-hsfc-max-file-size,
+ * data-hsfc-max-files, data-hsfc-error-messages (JSON), data-hsfc-phone (JSON), data-hsfc-rules (JSON), data-hsfc-email-policy (JSON),
+ * data-hsfc-email-suggestions (JSON) and data-hsfc-strict-error-summary-ordering on the form or a wrapper.
+ * Resolution order: options > data attributes > init()/applyConfiguration() values.
+ */
+export interface FormOptions {
+  characterLimit?: number;
+  /** Array or comma-separated string of extensions */
+  allowedExtensions?: string[] | string;
+  /** Bytes, or a string like "5MB" */
+  maxFileSize?: number | string;
+  maxFiles?: number;
+  /** Merged over the module-wide messages */
+  errorMessages?: ErrorMessages;
+  strictErrorSummaryOrdering?: boolean;
+  /** Per-form overrides of the init() features map */
+  features?: FeatureFlags;
+  /** Merged over the init() phone options */
+  phone?: PhoneOptions;
+  /** Merged over the init() rules, key by key for each field */
+  rules?: FieldRulesMap;
+  /** Merged over the init() email policy */
+  emailPolicy?: EmailPolicyOptions;
+  /** Merged over the init() email suggestion options */
+  emailSuggestions?: EmailSuggestionOptions | boolean;
 }
 
 // Validation result interface
@@ -116,6 +276,238 @@ export interface FieldValidator {
   getFieldGroup(field: HTMLElement, container: HTMLElement): NodeList;
 }
 
+export type FieldRuleName =
+  | 'required'
+  | 'minLength'
+  | 'maxLength'
+  | 'pattern'
+  | 'email'
+  | 'emailPolicy'
+  | 'url'
+  | 'validate';
+
+/**
+ * Custom check for a non-empty value: true (or undefined) passes, false fails with the
+ * rule's message and a string fails with that string. May return a promise; signal aborts
+ * when the value changes before it settles.
+ */
+export type FieldRuleValidator = (
+  value: string,
+  field: HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement,
+  context: { signal: AbortSignal },
+) => boolean | string | void | Promise<boolean | string | void>;
+
+// Rules for one field; only required applies while the field is empty
+export interface FieldRuleSet {
+  /** Require a value even when HubSpot doesn't mark the field required */
+  required?: boolean;
+  minLength?: number;
+  maxLength?: number;
+  /** A string is compiled with new RegExp() (as in data-hsfc-rules JSON) */
+  pattern?: RegExp | string;
+  email?: boolean;
+  /** http(s) URL; the scheme may be omitted */
+  url?: boolean;
+  /** Runs last, after a typing pause; the field is aria-busy and Next/Submit wait while it is pending */
+  validate?: FieldRuleValidator;
+  /** Milliseconds of typing quiet before validate runs (default: FieldRules.DEFAULT_DEBOUNCE, 300) */
+  debounce?: number;
+  /** Milliseconds validate may stay pending before it counts as passing (default: FieldRules.DEFAULT_TIMEOUT, 10000) */
+  timeout?: number;
+  /** One message for every rule, or messages per rule; defaults come from ErrorMessageConfig */
+  message?: string | Partial<Record<FieldRuleName, string>>;
+}
+
+// Email policy options; every check is off by default
+export interface EmailPolicyOptions {
+  /** Reject addresses at free-mail providers (EmailPolicy.FREE_MAIL_DOMAINS plus freeMailDomains) */
+  blockFreeMail?: boolean;
+  /** Reject throwaway inboxes and their subdomains (EmailPolicy.DISPOSABLE_DOMAINS plus disposableDomains) */
+  blockDisposable?: boolean;
+  /** Reject shared mailboxes such as info@ (EmailPolicy.ROLE_ADDRESSES plus roleAddresses) */
+  blockRoleAddresses?: boolean;
+  /** Added to the bundled free-mail list (array or comma-separated string) */
+  freeMailDomains?: string[] | string;
+  disposableDomains?: string[] | string;
+  /** Local parts, e.g. "ceo" */
+  roleAddresses?: string[] | string;
+  /** Domains (and their subdomains) that are never rejected */
+  allowedDomains?: string[] | string;
+}
+
+export interface EmailPolicyResult {
+  allowed: boolean;
+  reason: 'free mail' | 'disposable' | 'role address' | null;
+  /** Domain of the address; null when it has no "@" */
+  domain: string | null;
+}
+
+// Business-email policy
+export interface EmailPolicy {
+  FREE_MAIL_DOMAINS: string[];
+  DISPOSABLE_DOMAINS: string[];
+  ROLE_ADDRESSES: string[];
+  /** Replace the module-wide options (null restores the defaults) */
+  configure(options: EmailPolicyOptions | null): void;
+  /** Options for the form containing context, merged over the module-wide ones */
+  getOptions(context?: Element | null): Required<
+    Pick<EmailPolicyOptions, 'blockFreeMail' | 'blockDisposable' | 'blockRoleAddresses'>
+  > &
+    Record<'freeMailDomains' | 'disposableDomains' | 'roleAddresses' | 'allowedDomains', string[]>;
+  /** Check an address against the options (the module-wide ones by default) */
+  check(value: string, options?: EmailPolicyOptions): EmailPolicyResult;
+  /** check() for an email field with its form's options */
+  checkField(field: HTMLInputElement): EmailPolicyResult;
+}
+
+export interface EmailSuggestionOptions {
+  /** Defaults to true when an options object is given */
+  enabled?: boolean;
+  /** Added to the bundled EmailSuggestions.DOMAINS (array or comma-separated string) */
+  domains?: string[] | string;
+  /** Last labels added to the bundled EmailSuggestions.TOP_LEVEL_DOMAINS, e.g. "za" */
+  topLevelDomains?: string[] | string;
+  /** Largest edit distance to a known domain (default 2; domains under 8 characters allow 1) */
+  maxDistance?: number;
+}
+
+// Email domain typo suggestions
+export interface EmailSuggestions {
+  DOMAINS: string[];
+  TOP_LEVEL_DOMAINS: string[];
+  /** Replace the module-wide options (null turns suggestions off) */
+  configure(options: EmailSuggestionOptions | boolean | null): void;
+  /** Options for the form containing context, merged over the module-wide ones */
+  getOptions(context?: Element | null): Required<EmailSuggestionOptions> &
+    Record<'domains' | 'topLevelDomains', string[]>;
+  /** Corrected address for a mistyped domain ("jo@gmial.con" -> "jo@gmail.com"), or null */
+  suggest(value: string, options?: EmailSuggestionOptions): string | null;
+  /** Edit distance, counting a swap of neighbouring letters as one edit */
+  distance(a: string, b: string): number;
+}
+
+/** Keyed by the field's full name ("0-1/company") or property name ("company") */
+export type FieldRulesMap = Record<string, FieldRuleSet>;
+
+export interface FieldRuleFailure {
+  field: HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement;
+  rule: FieldRuleName;
+  message: string;
+}
+
+// Declarative per-field validation rules
+export interface FieldRules {
+  /** Order in which rules are checked; the first failure is reported */
+  RULES: FieldRuleName[];
+  DEFAULT_DEBOUNCE: number;
+  /** Milliseconds a pending validate may take before it counts as passing */
+  DEFAULT_TIMEOUT: number;
+  /** Replace the module-wide rules (null removes them) */
+  configure(rules: FieldRulesMap | null): void;
+  /** Rules for a field, per-form rules merged over module-wide ones */
+  getRules(field: Element): FieldRuleSet | null;
+  /** The first rule the field fails, or null */
+  getFailedRule(field: Element, container: Element): FieldRuleName | null;
+  /** Every field in container failing a rule */
+  getFailures(container: Element): FieldRuleFailure[];
+  isValidUrl(value: string): boolean;
+  /** Fields whose validate result for the current value isn't in yet */
+  getUnsettledFields(container: Element): Array<HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement>;
+  /** Run every pending validate in container now; resolves false if a field changed meanwhile */
+  validateNow(container: Element): Promise<boolean>;
+}
+
+// Selectors for one HubSpot embed generation
+/** Keys of the HubSpot selector map, e.g. 'step', 'errorAlert', 'dropdownOptions' */
+export type SelectorKey =
+  | 'renderer'
+  | 'baseStyle'
+  | 'form'
+  | 'step'
+  | 'stepContent'
+  | 'row'
+  | 'field'
+  | 'fieldContainer'
+  | 'fieldTypeContainer'
+  | 'groupField'
+  | 'fileField'
+  | 'dateField'
+  | 'dateInput'
+  | 'label'
+  | 'fieldLabel'
+  | 'requiredIndicator'
+  | 'requiredField'
+  | 'errorAlert'
+  | 'nativeCharLimitError'
+  | 'infoAlert'
+  | 'navigationButton'
+  | 'progressBar'
+  | 'phoneField'
+  | 'phoneFlagAndCaret'
+  | 'phoneFlag'
+  | 'dropdownField'
+  | 'dropdownInput'
+  | 'dropdownButton'
+  | 'dropdownCaret'
+  | 'dropdownOptions'
+  | 'dropdownSearchInput'
+  | 'listbox'
+  | 'option';
+
+/**
+ * Overrides for the HubSpot selector map (init({ selectors })). Top-level keys apply to
+ * current (.hsfc-*) markup and to legacy keys without their own default; legacy overrides
+ * legacy v3 forms only. Pass null to restore the defaults.
+ */
+export type SelectorOverrides = Partial<Record<SelectorKey, string>> & {
+  legacy?: Partial<Record<SelectorKey, string>>;
+};
+
+export type MarkupSelectors = Record<Exclude<SelectorKey, 'step' | 'stepContent'>, string> & {
+  name: 'hsfc' | 'legacy';
+  /** null when the form has no steps (legacy forms are a single step) */
+  step: string | null;
+  stepContent: string | null;
+  /** Whether the error summary is ordered with flexbox inside the step content */
+  flexboxOrdering: boolean;
+};
+
+// Single source of every HubSpot selector; all modules read from it
+export interface SelectorRegistry {
+  readonly DEFAULTS: Readonly<Record<SelectorKey, string>>;
+  /** Legacy v3 values that differ from DEFAULTS */
+  readonly LEGACY_DEFAULTS: Readonly<Partial<Record<SelectorKey, string | null>>>;
+  readonly hsfc: MarkupSelectors;
+  readonly legacy: MarkupSelectors;
+  /** Replace all overrides; unknown keys and unparseable selectors are ignored */
+  configure(overrides: SelectorOverrides | null): void;
+  /** Selector for key, for the markup of context's form when given */
+  get<K extends keyof MarkupSelectors>(key: K, context?: Element | null): MarkupSelectors[K];
+}
+
+// Picks the current (.hsfc-*) or legacy v3 (.hs-form) markup for an element
+export interface MarkupAdapter {
+  /** Same objects as SelectorRegistry.hsfc / .legacy */
+  readonly hsfc: MarkupSelectors;
+  readonly legacy: MarkupSelectors;
+  /** Both form selectors, e.g. for querySelectorAll */
+  readonly FORM_SELECTOR: string;
+  /** Markup of the form the element belongs to (hsfc when outside any legacy form) */
+  detect(element: Element | null): MarkupSelectors;
+  isForm(element: Element | null): boolean;
+  /** Forms of either markup at or under node */
+  findForms(node: ParentNode): HTMLElement[];
+  /** Steps of a form; a legacy form is its own single step */
+  getSteps(formContainer: HTMLElement): HTMLElement[];
+  getStepContent(step: HTMLElement): HTMLElement;
+  /** Native and injected error messages, excluding the error summary */
+  getErrorAlerts(container: ParentNode & Element): HTMLElement[];
+  isErrorAlert(element: Element | null): boolean;
+  isDateInput(field: HTMLElement): boolean;
+  /** Lower-cased label of a button or <input type="submit"> */
+  getButtonText(button: HTMLElement): string;
+}
+
 // Character limit validator interface
 export interface CharacterLimitValidator {
   /** Default character limit */
@@ -179,6 +571,34 @@ export interface FileUploadValidator {
   setup(formContainer: HTMLElement): void;
 }
 
+// Phone country options and lookups
+export interface PhoneCountries {
+  /** Time zone names per country, used by defaultCountry: "auto" */
+  TIMEZONES: Record<CountryCode, string>;
+  /** "dial code|national number lengths|leading digits pattern" per country, e.g. GB: "44|9-10|[1235789]" */
+  NUMBERING: Record<CountryCode, string>;
+  /** National number templates per country, "#" for a digit, e.g. GB: "2:## #### ####|7:#### ######|#### ######" */
+  FORMATS: Record<CountryCode, string>;
+  /** Replace the module-wide phone options (null restores the defaults) */
+  configure(options: PhoneOptions | null): void;
+  /** Options for the form containing context, merged over the module-wide ones */
+  getOptions(context?: Element | null): Required<PhoneOptions> & { preferredCountries: CountryCode[] };
+  /** Country of a flag emoji, e.g. "🇬🇧" -> "GB" */
+  getFlagCountry(text: string): CountryCode | null;
+  /** Country from the visitor's time zone, then the region of navigator.languages */
+  detectCountry(): CountryCode | null;
+  /** Whether a country option matches a search by its text, ISO code or localized name */
+  matchesSearch(option: Element, query: string): boolean;
+  /** Check a number against a country's numbering plan; a dial code in the value wins over iso */
+  validateNumber(value: string, iso?: CountryCode | null, level?: PhoneValidationLevel): PhoneValidationResult;
+  /** validateNumber() for a tel input, with the country from its flag dropdown and its form's level */
+  validateField(field: HTMLInputElement): PhoneValidationResult;
+  /** Split a number into its dial code and national number; a dial code in the value wins over iso */
+  parseNumber(value: string, iso?: CountryCode | null): ParsedPhoneNumber;
+  /** International format of a partial or complete number; null for national numbers and countries without a template */
+  formatNumber(value: string, iso?: CountryCode | null): string | null;
+}
+
 // Error message configuration interface
 export interface ErrorMessageConfig {
   /** Error message configuration object */
@@ -188,9 +608,10 @@ export interface ErrorMessageConfig {
    * Get a specific error message with optional interpolation
    * @param messageType The type of message to retrieve
    * @param interpolations Optional values for message interpolation
+   * @param context Optional element inside a form, used to apply per-form messages
    * @returns The formatted error message
    */
-  getMessage(messageType: string, interpolations?: Record<string, any>): string;
+  getMessage(messageType: string, interpolations?: Record<string, any>, context?: Element | null): string;
 }
 
 // Form validator interface
@@ -199,7 +620,10 @@ export interface FormValidator {
    * Validate the currently visible step
    * @returns True if step is valid
    */
-  validateVisibleStep(): boolean;
+  validateVisibleStep(options?: {
+    /** Don't fail the step for async field rules that are still running */
+    ignorePending?: boolean;
+  }): boolean;
 }
 
 // HubSpot form validator interface
@@ -245,8 +669,13 @@ export interface HubSpotFormValidator {
   /**
    * Show custom validation error
    * @param step The form step element
+   * @param options blocked: show the stepBlocked summary even when no field has an error
    */
-  showValidationError(step: HTMLElement): void;
+  showValidationError(
+    step: HTMLElement,
+    formContainer?: HTMLElement | null,
+    options?: { blocked?: boolean }
+  ): void;
   
   /**
    * Remove validation error
@@ -260,13 +689,98 @@ export interface HubSpotFormManager {
   /**
    * Setup validation for all forms on page
    */
-  setupAllForms(): void;
+  setupAllForms(root?: ParentNode, options?: FormOptions): void;
   
   /**
    * Setup validation for individual form
    * @param formContainer The form container element
+   * @param options Per-form options, resolved before the module-wide configuration
    */
-  setupSingleForm(formContainer: HTMLElement): void;
+  setupSingleForm(formContainer: HTMLElement, options?: FormOptions): void;
+
+  /** How long readiness promises and the initial form observer wait (default 10000ms) */
+  FORM_READY_TIMEOUT_MS: number;
+
+  /**
+   * Resolves with the form once it is enhanced by any manager
+   * @param formContainer A .hsfc-Form, or a wrapper the form renders into
+   * @param timeout Milliseconds before rejecting (default FORM_READY_TIMEOUT_MS)
+   */
+  whenFormReady(formContainer: HTMLElement, timeout?: number): Promise<HTMLElement>;
+
+  /**
+   * Listen for HubSpot's postMessage callbacks and wrap hbspt.forms.create (if loaded) so
+   * onFormReady starts enhancement and submit callbacks become hsfc:* events.
+   * Called by setupAllForms() and init(); removed by destroyAll().
+   */
+  installLifecycleBridge(root?: ParentNode, options?: FormOptions): void;
+  /** Hosts whose hsFormCallback messages are accepted from other frames */
+  HUBSPOT_MESSAGE_ORIGIN_PATTERN: RegExp;
+  /** Whether a message came from this window or a HubSpot origin */
+  isTrustedLifecycleMessage(event: MessageEvent): boolean;
+  uninstallLifecycleBridge(): void;
+
+  /**
+   * Tear down a single form: listeners, observers and injected elements
+   * @param formContainer The form container element
+   */
+  destroyForm(formContainer: HTMLElement): void;
+
+  /**
+   * Tear down every enhanced form, the global form observer and the scrollIntoView patch
+   */
+  destroyAll(): void;
+
+  /** Manager-wide feature map (set by init({ features })) */
+  features: Required<FeatureFlags>;
+
+  /** Reset to all-enabled, then apply the given flags */
+  configureFeatures(features?: FeatureFlags): void;
+
+  /**
+   * Whether a subsystem runs; per-form features win over the manager-wide map
+   * @param context Any element inside the form, for per-form features
+   */
+  isFeatureEnabled(name: keyof FeatureFlags, context?: Element | null): boolean;
+
+  /** Limits automatic setup to matching forms; setupSingleForm() ignores it */
+  formSelector: string | null;
+
+  /** True when element is inside a form matched by formSelector (or none is set) */
+  isInFormScope(element: Element, formSelector?: string | null): boolean;
+
+  /** Look for forms inside open shadow roots (set from the shadowRoots option) */
+  discoverShadowRoots: boolean;
+
+  /** Stylesheet adopted into each shadow root with a form; false to leave them unstyled */
+  adoptStyles: AdoptStylesOption;
+
+  /** Set up forms directly inside root (document, element or shadow root) and observe it */
+  setupFormsInRoot(root: ParentNode, options?: FormOptions): void;
+
+  /** Open shadow roots at or below node, including nested ones */
+  findOpenShadowRoots(node: ParentNode): ShadowRoot[];
+
+  /**
+   * Strip HubSpot's BaseStyle from a shadow root and adopt styles into it.
+   * Runs once per shadow root; called by setupFormsInRoot().
+   */
+  prepareShadowRoot(shadowRoot: ShadowRoot): void;
+
+  /** Rules from same-origin page stylesheets that target .hsfc-* classes */
+  getEnhancementCssText(): string;
+
+  /**
+   * Create an isolated manager with its own form tracking, cleanup controllers
+   * and global observer. Used by createFormEnhancer().
+   */
+  createInstance(options?: {
+    formSelector?: string;
+    shadowRoots?: boolean;
+    adoptStyles?: AdoptStylesOption;
+    mobileStepScrollReset?: boolean | MobileStepScrollResetConfig;
+    features?: FeatureFlags;
+  }): HubSpotFormManager;
   
   /**
    * Create cleanup controller for a form
@@ -283,6 +797,234 @@ export interface HubSpotFormManager {
   getFormCleanup(formContainer: HTMLElement): any;
 }
 
+// Lifecycle events dispatched from each enhanced .hsfc-Form element
+export interface FormEventDetail {
+  /** The .hsfc-Form element the event was dispatched from */
+  formContainer: HTMLElement;
+}
+
+export interface EnhancedEventDetail extends FormEventDetail {
+  /** Number of .hsfc-Step elements in the form */
+  stepCount: number;
+}
+
+export interface StepChangeEventDetail extends FormEventDetail {
+  previousStep: HTMLElement;
+  currentStep: HTMLElement;
+  previousIndex: number;
+  currentIndex: number;
+  stepCount: number;
+  direction: 'forward' | 'backward';
+}
+
+export interface ValidationFailedField {
+  field: HTMLElement;
+  /** Field name (or id when unnamed) */
+  name: string;
+  label: string;
+  /** Plain-text error message as shown in the error summary */
+  message: string;
+  errorElement: HTMLElement | null;
+}
+
+export interface ValidationFailedEventDetail extends FormEventDetail {
+  step: HTMLElement;
+  /** Whether the blocked button was a Next button or the final submit */
+  trigger: 'next' | 'submit';
+  fields: ValidationFailedField[];
+}
+
+export interface RejectedFile {
+  file: File;
+  reasons: Array<'fileSize' | 'fileType' | 'fileCount'>;
+}
+
+export interface FileRejectedEventDetail extends FormEventDetail {
+  fileInput: HTMLInputElement;
+  rejectedFiles: RejectedFile[];
+  errors: Array<{ type: string; message: string }>;
+}
+
+export interface SubmissionErrorEventDetail extends FormEventDetail {
+  type: 'submission' | 'network';
+  /** Text HubSpot rendered */
+  originalMessage: string;
+  /** Text shown after ErrorMessageConfig replacement */
+  message: string;
+  errorElement: HTMLElement;
+  /** True when uploaded files were cleared and a re-upload notice was shown */
+  filesCleared: boolean;
+}
+
+// hsfc:before-submit and hsfc:submitted, relayed from HubSpot's own lifecycle signals
+export interface HubSpotSubmitEventDetail extends FormEventDetail {
+  /** HubSpot form GUID, when the signal carried one */
+  formId: string | null;
+  /** Submission values HubSpot passed along, if any */
+  data: unknown;
+  source: 'postMessage' | 'hbspt.forms.create';
+}
+
+export interface HubSpotFormEventMap {
+  'hsfc:enhanced': CustomEvent<EnhancedEventDetail>;
+  'hsfc:step-change': CustomEvent<StepChangeEventDetail>;
+  'hsfc:validation-failed': CustomEvent<ValidationFailedEventDetail>;
+  'hsfc:file-rejected': CustomEvent<FileRejectedEventDetail>;
+  'hsfc:submission-error': CustomEvent<SubmissionErrorEventDetail>;
+  'hsfc:before-submit': CustomEvent<HubSpotSubmitEventDetail>;
+  'hsfc:submitted': CustomEvent<HubSpotSubmitEventDetail>;
+}
+
+/** Lifecycle event names */
+export declare const FORM_EVENTS: {
+  readonly ENHANCED: 'hsfc:enhanced';
+  readonly STEP_CHANGE: 'hsfc:step-change';
+  readonly VALIDATION_FAILED: 'hsfc:validation-failed';
+  readonly FILE_REJECTED: 'hsfc:file-rejected';
+  readonly SUBMISSION_ERROR: 'hsfc:submission-error';
+  readonly BEFORE_SUBMIT: 'hsfc:before-submit';
+  readonly SUBMITTED: 'hsfc:submitted';
+};
+
+// Summary entry contributed by a plugin; description (HTML) wins over message
+export interface PluginErrorEntry {
+  field: HTMLElement;
+  message?: string;
+  fieldLabel?: string;
+  description?: string;
+  errorElement?: HTMLElement | null;
+}
+
+export interface PluginSetupContext {
+  formContainer: HTMLElement;
+  /** The form's cleanup controller */
+  cleanup: any;
+  /** Aborted when the form is torn down; pass to addEventListener */
+  signal: AbortSignal;
+  validator: { validateVisibleStep(): boolean };
+  options: FormOptions;
+}
+
+export interface PluginStepChangeContext extends StepChangeEventDetail {
+  cleanup: any;
+}
+
+// Every hook is optional; a throwing hook is skipped
+export interface HubSpotFormsPlugin {
+  /** Registering another plugin with the same name replaces this one */
+  name?: string;
+  /** Per-form setup; a returned function runs when the form is torn down */
+  setupSingleForm?(context: PluginSetupContext): void | (() => void);
+  /** Return an extra check; returning false from it keeps the step invalid */
+  createValidator?(context: { formContainer: HTMLElement }): void | ((step: HTMLElement) => boolean);
+  /** Return extra error summary entries for the step */
+  getFieldsWithErrors?(context: {
+    step: HTMLElement;
+    formContainer: HTMLElement | null;
+    fieldsWithErrors: ReadonlyArray<any>;
+  }): void | PluginErrorEntry[];
+  handleVisibleStepChange?(context: PluginStepChangeContext): void;
+}
+
+export interface PluginRegistry {
+  plugins: HubSpotFormsPlugin[];
+  register(plugin: HubSpotFormsPlugin): void;
+  unregister(pluginOrName: HubSpotFormsPlugin | string): void;
+  run(hookName: keyof HubSpotFormsPlugin, context: object): any[];
+}
+
+export declare const PluginRegistry: PluginRegistry;
+export declare const DebugLogger: DebugLogger;
+
+export interface MutationSubscriptionOptions {
+  /** Receive added/removed node records */
+  childList?: boolean;
+  /** Receive text node changes (observed only under target) */
+  characterData?: boolean;
+  /** Receive attribute records for these attributes (true: all), coalesced per animation frame */
+  attributes?: boolean | string[];
+  /** Also receive records for descendants of target (default true) */
+  subtree?: boolean;
+}
+
+// Shared observer: one MutationObserver per document or shadow root, routing records to subscribers
+export interface MutationDispatcher {
+  /** Returns a handle whose disconnect() ends the subscription */
+  subscribe(
+    target: Node,
+    callback: (records: MutationRecord[]) => void,
+    options?: MutationSubscriptionOptions
+  ): { disconnect(): void };
+}
+
+export declare const MutationDispatcher: MutationDispatcher;
+
+/** A subsystem that skipped (part of) its setup because markup it needs was missing */
+export interface DiagnosticBailout {
+  /** e.g. 'phone', 'dropdown', 'progressBar', 'navigation' */
+  subsystem: string;
+  reason: string;
+  selector: string | null;
+}
+
+export interface FormDiagnostics {
+  /** Position among the diagnosed forms */
+  index: number;
+  id: string | null;
+  markup: 'hsfc' | 'legacy';
+  /** setupSingleForm() has run on the form */
+  enhanced: boolean;
+  /** Features enabled when the form was set up */
+  features: Array<keyof FeatureFlags>;
+  stepCount: number;
+  /** Match count for every registry selector (null when the markup has no such selector) */
+  selectors: Record<SelectorKey, { selector: string | null; found: number | null }>;
+  /** Selectors the form should contain but doesn't */
+  missing: Array<{ key: SelectorKey; selector: string; reason: string }>;
+  bailouts: DiagnosticBailout[];
+  /** Enhanced, nothing missing and no bailouts */
+  ok: boolean;
+}
+
+export interface DiagnosticsReport {
+  version: number;
+  /** ISO timestamp */
+  generatedAt: string;
+  /** At least one form and every form ok */
+  ok: boolean;
+  baseStyle: {
+    selector: string;
+    /** Still in the document */
+    found: number;
+    /** Removed by removeHubSpotFormStyles() so far */
+    removed: number;
+    /** Never seen, likely a renamed BaseStyle tag */
+    missing: boolean;
+  };
+  forms: FormDiagnostics[];
+}
+
+export interface Diagnostics {
+  readonly REPORT_VERSION: number;
+  baseStylesRemoved: number;
+  diagnose(formContainer?: Element | null): DiagnosticsReport;
+  recordBailout(formContainer: HTMLElement, subsystem: string, reason: string, selector?: string | null): void;
+}
+
+export declare const Diagnostics: Diagnostics;
+
+/**
+ * Report which HubSpot selectors match and which subsystems bailed out, for one form,
+ * a wrapper holding forms, or every form on the page (including open shadow roots)
+ */
+export declare function diagnose(formContainer?: Element | null): DiagnosticsReport;
+
+/**
+ * Register a plugin. Register before forms are enhanced so every hook applies.
+ */
+export declare function registerPlugin(plugin: HubSpotFormsPlugin): void;
+export declare function unregisterPlugin(pluginOrName: HubSpotFormsPlugin | string): void;
+
 // Initialization return type
 export interface HubSpotFormsInstance {
   HubSpotFormManager: HubSpotFormManager | null;
@@ -291,7 +1033,9 @@ export interface HubSpotFormsInstance {
   FileUploadValidator?: FileUploadValidator | null;
   ErrorMessageConfig?: ErrorMessageConfig | null;
   FieldValidator?: FieldValidator | null;
-  removeHubSpotFormStyles?: () => void;
+  removeHubSpotFormStyles?: (root?: Document | ShadowRoot) => void;
+  /** Undo every enhancement (observers, listeners, injected DOM, scroll patch) */
+  destroy?: () => void;
 }
 
 /**
@@ -301,6 +1045,62 @@ export interface HubSpotFormsInstance {
  */
 export declare function init(options?: HubSpotFormsConfig): HubSpotFormsInstance;
 
+/**
+ * Undo every enhancement: disconnects all observers, removes listeners and
+ * injected elements, and restores the native scrollIntoView
+ */
+export declare function destroy(): void;
+
+// Options for createFormEnhancer(); everything except root and mobileStepScrollReset
+// is applied to each form as if passed to setupSingleForm()
+export interface FormEnhancerOptions extends FormOptions {
+  /** Element, shadow root or selector to scope the instance to (defaults to document) */
+  root?: ParentNode | string;
+  /** Only enhance forms matching this selector, or inside an element matching it */
+  formSelector?: string;
+  /** Also find and observe forms inside open shadow roots under root */
+  shadowRoots?: boolean;
+  /** Copy the enhancement stylesheet into each shadow root that contains a form */
+  adoptStyles?: AdoptStylesOption;
+  mobileStepScrollReset?: boolean | MobileStepScrollResetConfig;
+}
+
+// Isolated enhancer returned by createFormEnhancer()
+export interface FormEnhancer {
+  /** This instance's manager; does not share state with the exported HubSpotFormManager */
+  manager: HubSpotFormManager;
+  /** Enhance forms inside root now and as they appear */
+  init(): void;
+  /** Enhance one form; overrides are merged over the instance options */
+  setupForm(formContainer: HTMLElement, overrides?: FormOptions): void;
+  /** Tear down one form owned by this instance */
+  destroyForm(formContainer: HTMLElement): void;
+  /** Resolves with the forms this instance's init() enhanced */
+  ready(): Promise<HTMLElement[]>;
+  /** Resolves once the form, or the first form inside a wrapper, is enhanced */
+  whenFormReady(formContainer: HTMLElement, timeout?: number): Promise<HTMLElement>;
+  /** Tear down everything this instance set up */
+  destroy(): void;
+}
+
+/**
+ * Create an enhancer with its own state, observers and config. Nothing is stored
+ * on window, so several instances can coexist with each other and with init().
+ */
+export declare function createFormEnhancer(options?: FormEnhancerOptions): FormEnhancer;
+
+/**
+ * Resolves with the enhanced forms once init() has set up the forms on the page.
+ * Rejects if no form appears within 10s of setup, or destroy() runs first.
+ */
+export declare function ready(): Promise<HTMLElement[]>;
+
+/**
+ * Resolves with the form once it (or the first form inside a wrapper) is enhanced.
+ * Rejects after timeout (default 10000ms).
+ */
+export declare function whenFormReady(formContainer: HTMLElement, timeout?: number): Promise<HTMLElement>;
+
 /**
  * Default export - same as init function
  */
@@ -313,12 +1113,19 @@ export declare const HubSpotFormValidator: HubSpotFormValidator;
 export declare const CharacterLimitValidator: CharacterLimitValidator;
 export declare const FileUploadValidator: FileUploadValidator;
 export declare const ErrorMessageConfig: ErrorMessageConfig;
+export declare const PhoneCountries: PhoneCountries;
 export declare const FieldValidator: FieldValidator;
+export declare const FieldRules: FieldRules;
+export declare const EmailPolicy: EmailPolicy;
+export declare const EmailSuggestions: EmailSuggestions;
+export declare const MarkupAdapter: MarkupAdapter;
+export declare const SelectorRegistry: SelectorRegistry;
 
 /**
  * Remove HubSpot's default form styles
+ * @param root Document or shadow root holding HubSpot's BaseStyle (defaults to document)
  */
-export declare function removeHubSpotFormStyles(): void;
+export declare function removeHubSpotFormStyles(root?: Document | ShadowRoot): void;
 
 // Legacy compatibility functions
 /**
@@ -329,8 +1136,9 @@ export declare function setupAllFormsValidation(): void;
 /**
  * Setup validation for single form (legacy)
  * @param formContainer The form container element
+ * @param options Per-form options
  */
-export declare function setupSingleFormValidation(formContainer: HTMLElement): void;
+export declare function setupSingleFormValidation(formContainer: HTMLElement, options?: FormOptions): void;
 
 /**
  * Setup field validation (legacy)
@@ -347,4 +1155,7 @@ declare global {
     /** React reference for hydration detection */
     React?: any;
   }
+
+  interface HTMLElementEventMap extends HubSpotFormEventMap {}
+  interface DocumentEventMap extends HubSpotFormEventMap {}
 }
\ No newline at end of file
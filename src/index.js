@@ -10,19 +10,45 @@ import {
   HubSpotFormValidator,
   CharacterLimitValidator,
   FieldValidator,
+  FieldRules,
   FileUploadValidator,
   ErrorMessageConfig,
+  PhoneCountries,
+  EmailPolicy,
+  EmailSuggestions,
+  MarkupAdapter,
+  SelectorRegistry,
   removeHubSpotFormStyles,
+  FORM_EVENTS,
+  DebugLogger,
+  MutationDispatcher,
+  PluginRegistry,
+  registerPlugin,
+  unregisterPlugin,
+  Diagnostics,
+  diagnose,
   setupAllFormsValidation,
   setupSingleFormValidation,
   setupFieldValidation
 } from './hubspot-forms.js';
 
-import { initializeCore } from './core.js';
+import { initializeCore, destroyCore, createFormEnhancer, ready, whenFormReady } from './core.js';
 
 const AUTO_INIT_ATTACHED_FLAG = '__HUBSPOT_FORMS_AUTO_INIT_ATTACHED__';
 const AUTO_INIT_RAN_FLAG = '__HUBSPOT_FORMS_AUTO_INIT_RAN__';
 const MANUAL_INIT_FLAG = '__HUBSPOT_FORMS_MANUAL_INIT__';
+const IMMEDIATE_POSITIONING_STYLE_ID = 'hubspot-forms-immediate-positioning';
+
+// Deferred two-phase timers, cleared by destroy() so a route change can't re-init late
+const pendingTimers = new Set();
+
+const schedule = (callback, delay) => {
+  const timer = setTimeout(() => {
+    pendingTimers.delete(timer);
+    callback();
+  }, delay);
+  pendingTimers.add(timer);
+};
 
 /**
  * Main initialization function that accepts configuration options
@@ -49,10 +75,27 @@ const init = (options = {}) => {
     FileUploadValidator,
     ErrorMessageConfig,
     FieldValidator,
-    removeHubSpotFormStyles
+    removeHubSpotFormStyles,
+    destroy
   };
 };
 
+/**
+ * Undo every enhancement: observers, listeners, injected DOM and the
+ * scrollIntoView patch. Call on SPA route changes before the form unmounts.
+ */
+const destroy = () => {
+  if (typeof window === 'undefined') return;
+
+  pendingTimers.forEach(timer => clearTimeout(timer));
+  pendingTimers.clear();
+
+  destroyCore();
+
+  const tempStyle = document.getElementById(IMMEDIATE_POSITIONING_STYLE_ID);
+  if (tempStyle) tempStyle.remove();
+};
+
 /**
  * Two-phase initialization for React/SSR environments
  */
@@ -68,13 +111,16 @@ export const initializeWithTwoPhases = async (options = {}) => {
     ...options
   };
 
+  // Enable logging first so a failure in phase 2 is reported
+  DebugLogger.configure(defaultOptions.debug, defaultOptions.logger);
+
   // Always remove HubSpot injected styles on two-phase init
   removeHubSpotFormStyles();
   
   // Phase 1: Apply CSS-only positioning to prevent layout shifts
   const applyImmediateCSS = () => {
     const style = document.createElement('style');
-    style.id = 'hubspot-forms-immediate-positioning';
+    style.id = IMMEDIATE_POSITIONING_STYLE_ID;
     style.textContent = `
       /* Hide progress bars temporarily to prevent flashing */
       .hsfc-ProgressBar:not([data-repositioned]) {
@@ -96,27 +142,43 @@ export const initializeWithTwoPhases = async (options = {}) => {
     document.head.appendChild(style);
   };
 
-  // Apply immediate CSS
-  applyImmediateCSS();
+  // Apply immediate CSS (it hides progress bars until they are repositioned)
+  if (defaultOptions.features?.progressBar !== false) {
+    applyImmediateCSS();
+  }
 
-  // Phase 2: Wait for React hydration, then do proper DOM positioning
-  setTimeout(async () => {
+  // Phase 2: Wait for React hydration, then do proper DOM positioning. ready() can be awaited
+  // before this runs; it settles once init() has set up the forms.
+  schedule(() => {
     try {
       init({
         characterLimit: defaultOptions.characterLimit,
         allowedExtensions: defaultOptions.allowedExtensions,
         maxFileSize: defaultOptions.maxFileSize,
         strictErrorSummaryOrdering: defaultOptions.strictErrorSummaryOrdering,
+        features: defaultOptions.features,
+        debug: defaultOptions.debug,
+        logger: defaultOptions.logger,
+        root: defaultOptions.root,
+        formSelector: defaultOptions.formSelector,
+        shadowRoots: defaultOptions.shadowRoots,
+        adoptStyles: defaultOptions.adoptStyles,
+        selectors: defaultOptions.selectors,
+        phone: defaultOptions.phone,
+        rules: defaultOptions.rules,
+        emailPolicy: defaultOptions.emailPolicy,
+        emailSuggestions: defaultOptions.emailSuggestions,
       });
 
       // Remove temporary CSS after proper positioning is done
-      setTimeout(() => {
-        const tempStyle = document.getElementById('hubspot-forms-immediate-positioning');
+      schedule(() => {
+        const tempStyle = document.getElementById(IMMEDIATE_POSITIONING_STYLE_ID);
         if (tempStyle) tempStyle.remove();
       }, defaultOptions.cleanupDelay);
 
     } catch (error) {
-      // Silently fail to avoid console pollution in production
+      // Silently fail to avoid console pollution in production; debug mode reports it
+      DebugLogger.log('init-failed', { error });
     }
   }, defaultOptions.reactHydrationDelay);
 };
@@ -129,7 +191,7 @@ if (typeof window !== 'undefined' && !window.HUBSPOT_FORMS_NO_AUTO_INIT) {
     }
 
     window[AUTO_INIT_RAN_FLAG] = true;
-    setTimeout(() => {
+    schedule(() => {
       initializeWithTwoPhases();
     }, 1000);
   };
@@ -149,6 +211,12 @@ if (typeof window !== 'undefined' && !window.HUBSPOT_FORMS_NO_AUTO_INIT) {
 export {
   // Main initialization function
   init,
+  destroy,
+  createFormEnhancer,
+
+  // Readiness promises
+  ready,
+  whenFormReady,
   
   // Core managers and validators
   HubSpotFormManager,
@@ -157,9 +225,39 @@ export {
   FieldValidator,
   FileUploadValidator,
   ErrorMessageConfig,
+
+  // Declarative per-field validation rules
+  FieldRules,
+
+  // Free-mail, disposable and role address blocking
+  EmailPolicy,
+
+  // Email domain typo suggestions
+  EmailSuggestions,
+
+  // Phone country options and lookups
+  PhoneCountries,
+
+  // Current (.hsfc-*) and legacy v3 (.hs-form) markup selectors
+  MarkupAdapter,
+  SelectorRegistry,
   
   // Utility functions
   removeHubSpotFormStyles,
+  DebugLogger,
+
+  // Lifecycle event names
+  FORM_EVENTS,
+
+  // Plugins
+  PluginRegistry,
+  registerPlugin,
+  unregisterPlugin,
+  MutationDispatcher,
+
+  // Markup-drift diagnostics
+  Diagnostics,
+  diagnose,
   
   // Legacy compatibility functions
   setupAllFormsValidation,